@@ -6,6 +6,7 @@
 import { toLatLng } from "./utils/coordinates.js";
 import { normalizeGlyphResult } from "./utils/glyphNormalizer.js";
 import { DEFAULT_GEOMETRY, resolveCollection } from "./utils/collections.js";
+import { subscribeToMorpher } from "../shared/events.js";
 
 /**
  * Calculate the pixel dimensions of a feature's bounds at the current map zoom
@@ -91,6 +92,7 @@ export async function createLeafletGlyphLayer({
 
   let currentGeometry = geometry ?? DEFAULT_GEOMETRY;
   let currentMorphFactor = morphFactor ?? 0;
+  let currentEasing;
 
   const glyphLayer = L.layerGroup ? L.layerGroup([]) : null;
   if (!glyphLayer) {
@@ -102,7 +104,7 @@ export async function createLeafletGlyphLayer({
   }
 
   const markers = new Map();
-  const baseDataLookup = morpher ? morpher.getKeyData() : {};
+  let baseDataLookup = morpher ? morpher.getKeyData() : {};
 
   const resolveData = ({ feature, featureId, geometryType, morphValue }) => {
     if (typeof getGlyphData === "function") {
@@ -175,28 +177,32 @@ export async function createLeafletGlyphLayer({
     }
   };
 
-  const getCollection = ({ geometry: g = currentGeometry, morphFactor: m = currentMorphFactor } = {}) => {
+  const getCollection = ({ geometry: g = currentGeometry, morphFactor: m = currentMorphFactor, easing: e = currentEasing } = {}) => {
     if (typeof featureProvider === "function") {
-      return featureProvider({ geometry: g, morphFactor: m });
+      return featureProvider({ geometry: g, morphFactor: m, easing: e });
     }
     if (featureCollection) {
       return featureCollection;
     }
     if (morpher) {
-      return resolveCollection({ morpher, geometry: g, morphFactor: m });
+      return resolveCollection({ morpher, geometry: g, morphFactor: m, easing: e });
     }
     return null;
   };
 
-  const updateGlyphs = ({ geometry: nextGeometry, morphFactor: nextMorph } = {}) => {
+  // A per-call easing travels with its morph factor, so a bare refresh keeps it.
+  const updateGlyphs = ({ geometry: nextGeometry, morphFactor: nextMorph, easing: nextEasing } = {}) => {
     if (typeof nextGeometry !== "undefined") {
       currentGeometry = nextGeometry;
     }
     if (typeof nextMorph === "number") {
       currentMorphFactor = nextMorph;
+      currentEasing = nextEasing;
+    } else if (typeof nextEasing !== "undefined") {
+      currentEasing = nextEasing;
     }
 
-    const collection = getCollection({ geometry: currentGeometry, morphFactor: currentMorphFactor });
+    const collection = getCollection();
 
     if (!collection?.features) {
       markers.forEach((_, id) => removeMarker(id));
@@ -277,8 +283,20 @@ export async function createLeafletGlyphLayer({
     scaleWithZoom,
   });
 
+  const refreshData = () => {
+    baseDataLookup = morpher.getKeyData();
+    updateGlyphs({});
+  };
+
+  const unsubscribeMorpher = subscribeToMorpher(morpher, {
+    prepared: refreshData,
+    dataChanged: refreshData,
+    geometryChanged: refreshData,
+  });
+
   const destroy = () => {
     clear();
+    unsubscribeMorpher();
     if (map && zoomEndListener) {
       map.off("zoomend", zoomEndListener);
     }
@@ -3,6 +3,8 @@
  * @module adapters/leaflet/morphLayers
  */
 
+import { subscribeToMorpher } from "../shared/events.js";
+
 /**
  * Create Leaflet layers for morphing between regular and cartogram geometries,
  * with optional basemap blur/opacity effects.
@@ -10,18 +12,25 @@
  * @param {Object} params
  * @param {Object} params.morpher - Prepared GeoMorpher instance
  * @param {Object} params.L - Leaflet namespace
- * @param {number} [params.morphFactor=0] - Initial morph factor (0=regular, 1=cartogram)
+ * @param {Object} [params.map] - Leaflet map; when the morpher has several levels of detail the tween
+ *   layer follows its zoom, re-rendering on `zoomend`
+ * @param {number} [params.morphFactor=0] - Initial morph factor (0=regular, 1=cartogram; spans every keyframe when the morpher has more than two)
  * @param {Function} [params.regularStyle] - Style function for regular layer
  * @param {Function} [params.cartogramStyle] - Style function for cartogram layer
  * @param {Function} [params.tweenStyle] - Style function for tween/interpolated layer
  * @param {Function} [params.onEachFeature] - Callback for each feature
  * @param {Object} [params.basemapLayer] - Leaflet layer to apply effects to
  * @param {Object} [params.basemapEffect] - Effect configuration
- * @returns {Promise<Object>} - Layer group and update function
+ * @param {Object} [params.stagger] - Per-feature timing applied to the morpher (see `GeoMorpher#setStagger`)
+ * @param {string|Function} [params.easing] - Morph easing applied to the morpher (see `GeoMorpher#setEasing`)
+ * @param {Array|Set|Function|Object} [params.selection] - Features allowed to morph (see `GeoMorpher#setSelection`)
+ * @param {string|Object} [params.centroidPath] - Centroid route shape applied to the morpher (see `GeoMorpher#setCentroidPath`)
+ * @returns {Promise<Object>} - Layer group, update functions and `destroy()` to stop listening to the morpher and map
  */
 export async function createLeafletMorphLayers({
   morpher,
   L,
+  map,
   morphFactor = 0,
   regularStyle,
   cartogramStyle,
@@ -29,6 +38,10 @@ export async function createLeafletMorphLayers({
   onEachFeature,
   basemapLayer,
   basemapEffect,
+  stagger,
+  easing,
+  selection,
+  centroidPath,
 }) {
   if (!morpher || !L) {
     throw new Error("Both morpher and Leaflet namespace (L) are required");
@@ -43,6 +56,22 @@ export async function createLeafletMorphLayers({
     await morpher.prepare();
   }
 
+  if (typeof stagger !== "undefined") {
+    morpher.setStagger(stagger);
+  }
+
+  if (typeof easing !== "undefined") {
+    morpher.setEasing(easing);
+  }
+
+  if (typeof selection !== "undefined") {
+    morpher.setSelection(selection);
+  }
+
+  if (typeof centroidPath !== "undefined") {
+    morpher.setCentroidPath(centroidPath);
+  }
+
   const regularLayer = L.geoJSON(
     morpher.getRegularFeatureCollection(),
     layerOptions(regularStyle)
@@ -53,8 +82,13 @@ export async function createLeafletMorphLayers({
     layerOptions(cartogramStyle)
   );
 
+  const currentZoom = () => (typeof map?.getZoom === "function" ? map.getZoom() : undefined);
+  const levelCount = typeof morpher.getLevelsOfDetail === "function" ? morpher.getLevelsOfDetail().length : 1;
+  const resolveLevel = (zoom) => (levelCount > 1 ? morpher.getLevelOfDetailIndex(zoom) : 0);
+  let currentLevel = resolveLevel(currentZoom());
+
   const tweenLayer = L.geoJSON(
-    morpher.getInterpolatedFeatureCollection(morphFactor),
+    morpher.getInterpolatedFeatureCollection(morphFactor, { zoom: currentZoom() }),
     layerOptions(tweenStyle)
   );
 
@@ -211,14 +245,83 @@ export async function createLeafletMorphLayers({
     }
   };
 
-  const updateMorphFactor = (nextFactor) => {
-    const collection = morpher.getInterpolatedFeatureCollection(nextFactor);
+  let currentMorphFactor = morphFactor;
+
+  let lastCollection = null;
+  // Easing passed to the last `updateMorphFactor` call; re-renders reuse it.
+  let currentEasing;
+
+  const updateMorphFactor = (nextFactor, { easing: nextEasing } = {}) => {
+    const zoom = currentZoom();
+    const collection = morpher.getInterpolatedFeatureCollection(nextFactor, { zoom, easing: nextEasing });
     tweenLayer.clearLayers();
     tweenLayer.addData(collection);
+    currentMorphFactor = nextFactor;
+    currentEasing = nextEasing;
+    currentLevel = resolveLevel(zoom);
+    lastCollection = collection;
     applyBasemapEffect(nextFactor);
     return collection;
   };
 
+  const rerender = () => updateMorphFactor(currentMorphFactor, { easing: currentEasing });
+
+  const refreshLayers = () => {
+    regularLayer.clearLayers();
+    regularLayer.addData(morpher.getRegularFeatureCollection());
+    cartogramLayer.clearLayers();
+    cartogramLayer.addData(morpher.getCartogramFeatureCollection());
+    rerender();
+  };
+
+  const listensToMorpher = typeof morpher.on === "function";
+  const unsubscribeMorpher = subscribeToMorpher(morpher, {
+    prepared: refreshLayers,
+    dataChanged: refreshLayers,
+    geometryChanged: ({ reason }) => (reason === "cartogram" ? refreshLayers() : rerender()),
+  });
+
+  const handleZoomEnd = () => {
+    if (resolveLevel(currentZoom()) !== currentLevel) {
+      rerender();
+    }
+  };
+
+  const listensToZoom = levelCount > 1 && typeof map?.on === "function";
+  if (listensToZoom) {
+    map.on("zoomend", handleZoomEnd);
+  }
+
+  const destroy = () => {
+    unsubscribeMorpher();
+    if (listensToZoom) {
+      map.off?.("zoomend", handleZoomEnd);
+    }
+  };
+
+  const setStagger = (options) => {
+    morpher.setStagger(options);
+    // A subscribed controller has already re-rendered on `geometryChanged`.
+    return listensToMorpher ? lastCollection : rerender();
+  };
+
+  const setEasing = (nextEasing) => {
+    // The morpher-level easing replaces any per-call override.
+    currentEasing = undefined;
+    morpher.setEasing(nextEasing);
+    return listensToMorpher ? lastCollection : rerender();
+  };
+
+  const setSelection = (nextSelection) => {
+    morpher.setSelection(nextSelection);
+    return listensToMorpher ? lastCollection : rerender();
+  };
+
+  const setCentroidPath = (nextPath) => {
+    morpher.setCentroidPath(nextPath);
+    return listensToMorpher ? lastCollection : rerender();
+  };
+
   applyBasemapEffect(morphFactor);
 
   return {
@@ -227,5 +330,10 @@ export async function createLeafletMorphLayers({
     cartogramLayer,
     tweenLayer,
     updateMorphFactor,
+    setStagger,
+    setEasing,
+    setSelection,
+    setCentroidPath,
+    destroy,
   };
 }
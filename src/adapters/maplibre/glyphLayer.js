@@ -6,6 +6,7 @@
  */
 
 import { DEFAULT_GEOMETRY, resolveCollection } from "../shared/collections.js";
+import { subscribeToMorpher } from "../shared/events.js";
 import { toLngLat, getFeatureBoundsInPixels } from "./utils/coordinates.js";
 import { normalizeGlyphResult } from "./utils/glyphNormalizer.js";
 
@@ -67,8 +68,9 @@ export async function createMapLibreGlyphLayer({
 
   let currentGeometry = geometry ?? DEFAULT_GEOMETRY;
   let currentMorphFactor = morphFactor ?? 0;
+  let currentEasing;
 
-  const baseDataLookup = morpher ? morpher.getKeyData() : {};
+  let baseDataLookup = morpher ? morpher.getKeyData() : {};
   const markers = new Map();
 
   const resolveData = ({ featureId, feature }) => {
@@ -162,24 +164,28 @@ export async function createMapLibreGlyphLayer({
     entry.marker.remove();
   };
 
-  const getCollection = ({ geometry: g = currentGeometry, morphFactor: m = currentMorphFactor } = {}) => {
+  const getCollection = ({ geometry: g = currentGeometry, morphFactor: m = currentMorphFactor, easing: e = currentEasing } = {}) => {
     if (typeof featureProvider === "function") {
-      return featureProvider({ geometry: g, morphFactor: m });
+      return featureProvider({ geometry: g, morphFactor: m, easing: e });
     }
     if (featureCollection) return featureCollection;
-    if (morpher) return resolveCollection({ morpher, geometry: g, morphFactor: m });
+    if (morpher) return resolveCollection({ morpher, geometry: g, morphFactor: m, easing: e });
     return null;
   };
 
-  const updateGlyphs = ({ geometry: nextGeometry, morphFactor: nextMorph } = {}) => {
+  // A per-call easing travels with its morph factor, so a bare refresh keeps it.
+  const updateGlyphs = ({ geometry: nextGeometry, morphFactor: nextMorph, easing: nextEasing } = {}) => {
     if (typeof nextGeometry !== "undefined") {
       currentGeometry = nextGeometry;
     }
     if (typeof nextMorph === "number") {
       currentMorphFactor = nextMorph;
+      currentEasing = nextEasing;
+    } else if (typeof nextEasing !== "undefined") {
+      currentEasing = nextEasing;
     }
 
-    const collection = getCollection({ geometry: currentGeometry, morphFactor: currentMorphFactor });
+    const collection = getCollection();
 
     if (!collection?.features) {
       markers.forEach((_, id) => removeMarker(id));
@@ -257,8 +263,20 @@ export async function createMapLibreGlyphLayer({
     scaleWithZoom,
   });
 
+  const handleDataChanged = () => {
+    baseDataLookup = morpher.getKeyData();
+    updateGlyphs({});
+  };
+
+  const unsubscribeMorpher = subscribeToMorpher(morpher, {
+    prepared: handleDataChanged,
+    dataChanged: handleDataChanged,
+    geometryChanged: handleDataChanged,
+  });
+
   const destroy = () => {
     clear();
+    unsubscribeMorpher();
     if (scaleWithZoom && map) {
       map.off("zoomend", handleZoomEnd);
     }
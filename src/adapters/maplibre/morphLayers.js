@@ -5,6 +5,7 @@
  * corresponding fill layers that can be morphed by updating the tween source.
  */
 
+import { subscribeToMorpher } from "../shared/events.js";
 
 const DEFAULT_BASE_ID = "geomorpher";
 
@@ -312,13 +313,18 @@ const addLayers = ({ map, layers, beforeId }) => {
  * @param {Object} params
  * @param {Object} params.morpher - Prepared GeoMorpher instance
  * @param {maplibregl.Map} params.map - MapLibre map instance
- * @param {number} [params.morphFactor=0] - Initial morph factor
+ * @param {number} [params.morphFactor=0] - Initial morph factor (global across all keyframes)
  * @param {string} [params.idBase="geomorpher"] - Base identifier for sources/layers
  * @param {Object} [params.regularStyle] - MapLibre layer overrides for regular geography
  * @param {Object} [params.cartogramStyle] - MapLibre layer overrides for cartogram geography
  * @param {Object} [params.interpolatedStyle] - MapLibre layer overrides for tweened geography
  * @param {string} [params.beforeId] - Insert new layers before this layer id
- * @returns {Promise<Object>} - Controller with update/remove helpers
+ * @param {Object} [params.stagger] - Per-feature timing applied to the morpher (see `GeoMorpher#setStagger`)
+ * @param {string|Function} [params.easing] - Morph easing applied to the morpher (see `GeoMorpher#setEasing`)
+ * @param {Array|Set|Function|Object} [params.selection] - Features allowed to morph (see `GeoMorpher#setSelection`)
+ * @param {string|Object} [params.centroidPath] - Centroid route shape applied to the morpher (see `GeoMorpher#setCentroidPath`)
+ * @returns {Promise<Object>} - Controller with update/remove helpers. When the morpher has several
+ *   levels of detail the tween source follows the map zoom, re-rendering on `zoomend`.
  */
 export async function createMapLibreMorphLayers({
   morpher,
@@ -330,6 +336,10 @@ export async function createMapLibreMorphLayers({
   interpolatedStyle = {},
   beforeId,
   basemapEffect,
+  stagger,
+  easing,
+  selection,
+  centroidPath,
 } = {}) {
   if (!morpher || !map) {
     throw new Error("Both morpher and MapLibre map are required");
@@ -339,6 +349,22 @@ export async function createMapLibreMorphLayers({
     await morpher.prepare();
   }
 
+  if (typeof stagger !== "undefined") {
+    morpher.setStagger(stagger);
+  }
+
+  if (typeof easing !== "undefined") {
+    morpher.setEasing(easing);
+  }
+
+  if (typeof selection !== "undefined") {
+    morpher.setSelection(selection);
+  }
+
+  if (typeof centroidPath !== "undefined") {
+    morpher.setCentroidPath(centroidPath);
+  }
+
   const sourceIds = {
     regular: `${idBase}-regular-source`,
     cartogram: `${idBase}-cartogram-source`,
@@ -353,7 +379,8 @@ export async function createMapLibreMorphLayers({
 
   const regularCollection = morpher.getRegularFeatureCollection();
   const cartogramCollection = morpher.getCartogramFeatureCollection();
-  const interpolatedCollection = morpher.getInterpolatedFeatureCollection(morphFactor);
+  const currentZoom = () => (typeof map.getZoom === "function" ? map.getZoom() : undefined);
+  const interpolatedCollection = morpher.getInterpolatedFeatureCollection(morphFactor, { zoom: currentZoom() });
 
   addOrUpdateSource({ map, id: sourceIds.regular, data: regularCollection });
   addOrUpdateSource({ map, id: sourceIds.cartogram, data: cartogramCollection });
@@ -382,16 +409,24 @@ export async function createMapLibreMorphLayers({
 
   addLayers({ map, layers, beforeId });
 
+  const levelCount = typeof morpher.getLevelsOfDetail === "function" ? morpher.getLevelsOfDetail().length : 1;
+  const resolveLevel = (zoom) => (levelCount > 1 ? morpher.getLevelOfDetailIndex(zoom) : 0);
+  let currentLevel = resolveLevel(currentZoom());
   let currentMorphFactor = morphFactor;
   const basemapController = createBasemapEffectApplier({ map, effect: basemapEffect });
   basemapController.apply(currentMorphFactor);
 
-  const updateMorphFactor = (nextFactor) => {
+  let lastCollection = null;
+  // Easing passed to the last `updateMorphFactor` call; re-renders reuse it.
+  let currentEasing;
+
+  const updateMorphFactor = (nextFactor, { easing: nextEasing } = {}) => {
     if (!Number.isFinite(nextFactor)) {
       throw new Error("Morph factor must be a finite number");
     }
 
-    const collection = morpher.getInterpolatedFeatureCollection(nextFactor);
+    const zoom = currentZoom();
+    const collection = morpher.getInterpolatedFeatureCollection(nextFactor, { zoom, easing: nextEasing });
     const source = map.getSource(sourceIds.interpolated);
     if (!source || typeof source.setData !== "function") {
       throw new Error(`Interpolated source \"${sourceIds.interpolated}\" is missing or cannot be updated`);
@@ -399,11 +434,63 @@ export async function createMapLibreMorphLayers({
 
     source.setData(collection);
     currentMorphFactor = nextFactor;
+    currentEasing = nextEasing;
+    currentLevel = resolveLevel(zoom);
+    lastCollection = collection;
     basemapController.apply(nextFactor);
     map.triggerRepaint?.();
     return collection;
   };
 
+  const rerender = () => updateMorphFactor(currentMorphFactor, { easing: currentEasing });
+
+  const refreshSources = () => {
+    map.getSource(sourceIds.regular)?.setData?.(morpher.getRegularFeatureCollection());
+    map.getSource(sourceIds.cartogram)?.setData?.(morpher.getCartogramFeatureCollection());
+    rerender();
+  };
+
+  const listensToMorpher = typeof morpher.on === "function";
+  const unsubscribeMorpher = subscribeToMorpher(morpher, {
+    prepared: refreshSources,
+    dataChanged: refreshSources,
+    geometryChanged: ({ reason }) => (reason === "cartogram" ? refreshSources() : rerender()),
+  });
+
+  const handleZoomEnd = () => {
+    if (resolveLevel(currentZoom()) !== currentLevel) {
+      rerender();
+    }
+  };
+
+  const listensToZoom = levelCount > 1 && typeof map.on === "function";
+  if (listensToZoom) {
+    map.on("zoomend", handleZoomEnd);
+  }
+
+  const setStagger = (options) => {
+    morpher.setStagger(options);
+    // A subscribed controller has already re-rendered on `geometryChanged`.
+    return listensToMorpher ? lastCollection : rerender();
+  };
+
+  const setEasing = (nextEasing) => {
+    // The morpher-level easing replaces any per-call override.
+    currentEasing = undefined;
+    morpher.setEasing(nextEasing);
+    return listensToMorpher ? lastCollection : rerender();
+  };
+
+  const setSelection = (nextSelection) => {
+    morpher.setSelection(nextSelection);
+    return listensToMorpher ? lastCollection : rerender();
+  };
+
+  const setCentroidPath = (nextPath) => {
+    morpher.setCentroidPath(nextPath);
+    return listensToMorpher ? lastCollection : rerender();
+  };
+
   const setVisibility = (layerId, visibility) => {
     if (!map.style) return;
     const layer = map.getLayer(layerId);
@@ -429,6 +516,10 @@ export async function createMapLibreMorphLayers({
   };
 
   const remove = () => {
+    unsubscribeMorpher();
+    if (listensToZoom) {
+      map.off?.("zoomend", handleZoomEnd);
+    }
     basemapController.reset();
     for (const layerId of [layerIds.interpolated, layerIds.cartogram, layerIds.regular]) {
       if (map.style && map.getLayer(layerId)) {
@@ -453,6 +544,10 @@ export async function createMapLibreMorphLayers({
     sourceIds,
     layerIds,
     updateMorphFactor,
+    setStagger,
+    setEasing,
+    setSelection,
+    setCentroidPath,
     setLayerVisibility,
     applyBasemapEffect: basemapController.apply,
     remove,
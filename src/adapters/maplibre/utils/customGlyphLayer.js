@@ -9,6 +9,7 @@
  */
 
 import { DEFAULT_GEOMETRY, resolveCollection } from "../../shared/collections.js";
+import { subscribeToMorpher } from "../../shared/events.js";
 import { toLngLat } from "./coordinates.js";
 import { normalizeGlyphResult } from "./glyphNormalizer.js";
 
@@ -65,8 +66,9 @@ export async function createMapLibreCustomGlyphLayer({
 
   let currentGeometry = geometry ?? DEFAULT_GEOMETRY;
   let currentMorphFactor = morphFactor ?? 0;
+  let currentEasing;
 
-  const baseDataLookup = morpher ? morpher.getKeyData() : {};
+  let baseDataLookup = morpher ? morpher.getKeyData() : {};
   const glyphs = new Map(); // Map of featureId -> glyph data
 
   // Create canvas overlay
@@ -128,24 +130,28 @@ export async function createMapLibreCustomGlyphLayer({
       ? (context) => Boolean(filterFeature(context))
       : () => true;
 
-  const getCollection = ({ geometry: g = currentGeometry, morphFactor: m = currentMorphFactor } = {}) => {
+  const getCollection = ({ geometry: g = currentGeometry, morphFactor: m = currentMorphFactor, easing: e = currentEasing } = {}) => {
     if (typeof featureProvider === "function") {
-      return featureProvider({ geometry: g, morphFactor: m });
+      return featureProvider({ geometry: g, morphFactor: m, easing: e });
     }
     if (featureCollection) return featureCollection;
-    if (morpher) return resolveCollection({ morpher, geometry: g, morphFactor: m });
+    if (morpher) return resolveCollection({ morpher, geometry: g, morphFactor: m, easing: e });
     return null;
   };
 
-  const updateGlyphs = ({ geometry: nextGeometry, morphFactor: nextMorph } = {}) => {
+  // A per-call easing travels with its morph factor, so a bare refresh keeps it.
+  const updateGlyphs = ({ geometry: nextGeometry, morphFactor: nextMorph, easing: nextEasing } = {}) => {
     if (typeof nextGeometry !== "undefined") {
       currentGeometry = nextGeometry;
     }
     if (typeof nextMorph === "number") {
       currentMorphFactor = nextMorph;
+      currentEasing = nextEasing;
+    } else if (typeof nextEasing !== "undefined") {
+      currentEasing = nextEasing;
     }
 
-    const collection = getCollection({ geometry: currentGeometry, morphFactor: currentMorphFactor });
+    const collection = getCollection();
 
     if (!collection?.features) {
       glyphs.clear();
@@ -268,8 +274,20 @@ export async function createMapLibreCustomGlyphLayer({
     glyphCount: glyphs.size,
   });
 
+  const handleDataChanged = () => {
+    baseDataLookup = morpher.getKeyData();
+    updateGlyphs({});
+  };
+
+  const unsubscribeMorpher = subscribeToMorpher(morpher, {
+    prepared: handleDataChanged,
+    dataChanged: handleDataChanged,
+    geometryChanged: handleDataChanged,
+  });
+
   const destroy = () => {
     clear();
+    unsubscribeMorpher();
     if (canvas.parentNode) {
       canvas.parentNode.removeChild(canvas);
     }
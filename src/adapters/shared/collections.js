@@ -10,16 +10,16 @@ export const DEFAULT_GEOMETRY = "interpolated";
 export const collectionRetrievers = {
   regular: (morpher) => morpher.getRegularFeatureCollection(),
   cartogram: (morpher) => morpher.getCartogramFeatureCollection(),
-  interpolated: (morpher, factor) => morpher.getInterpolatedFeatureCollection(factor),
+  interpolated: (morpher, factor, easing) => morpher.getInterpolatedFeatureCollection(factor, { easing }),
 };
 
-export function resolveCollection({ morpher, geometry, morphFactor }) {
+export function resolveCollection({ morpher, geometry, morphFactor, easing }) {
   const getter = collectionRetrievers[geometry];
   if (getter) {
-    return getter(morpher, morphFactor);
+    return getter(morpher, morphFactor, easing);
   }
   if (typeof geometry === "function") {
-    return geometry({ morpher, morphFactor });
+    return geometry({ morpher, morphFactor, easing });
   }
   throw new Error(
     `Unsupported geometry "${geometry}". Use "regular", "cartogram", "interpolated", or provide a function.`
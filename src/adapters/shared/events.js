@@ -0,0 +1,24 @@
+/**
+ * Shared morpher event subscription for adapters
+ */
+
+/**
+ * Subscribe to several morpher events at once.
+ *
+ * @param {Object} morpher - GeoMorpher instance (or any object exposing `on(event, handler)`)
+ * @param {Object<string, Function>} handlers - Handler per event name; falsy entries are skipped
+ * @returns {Function} Removes every subscription; a no-op when the morpher has no `on()`
+ */
+export function subscribeToMorpher(morpher, handlers) {
+  if (typeof morpher?.on !== "function") {
+    return () => {};
+  }
+
+  const unsubscribers = Object.entries(handlers ?? {})
+    .filter(([, handler]) => typeof handler === "function")
+    .map(([event, handler]) => morpher.on(event, handler));
+
+  return () => {
+    unsubscribers.splice(0).forEach((unsubscribe) => unsubscribe());
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * Feature anchors: the point a feature's centroid, glyphs and generated
+ * cartogram shapes are placed at.
+ */
+
+import * as turf from "@turf/turf";
+import { isFiniteCoordinatePair } from "./interpolators.js";
+
+/**
+ * Centre of mass when it falls inside the polygon, else a point on the
+ * feature, else its centroid.
+ *
+ * @param {Object} feature - GeoJSON Feature
+ * @returns {Array<number>|null}
+ */
+export function resolveFeatureAnchor(feature) {
+  if (!feature?.geometry) return null;
+
+  const geometryType = feature.geometry.type;
+  const isPolygonal = geometryType === "Polygon" || geometryType === "MultiPolygon";
+
+  if (isPolygonal) {
+    try {
+      const centerOfMass = turf.centerOfMass(feature);
+      const coordinate = turf.getCoord(centerOfMass);
+      if (isFiniteCoordinatePair(coordinate) && turf.booleanPointInPolygon(centerOfMass, feature)) {
+        return coordinate;
+      }
+    } catch {
+      // Fall through to the next anchor strategy.
+    }
+
+    try {
+      const pointOnFeature = turf.pointOnFeature(feature);
+      const coordinate = turf.getCoord(pointOnFeature);
+      if (isFiniteCoordinatePair(coordinate)) {
+        return coordinate;
+      }
+    } catch {
+      // Fall through to centroid.
+    }
+  }
+
+  try {
+    const centroid = turf.centroid(feature);
+    const coordinate = turf.getCoord(centroid);
+    if (isFiniteCoordinatePair(coordinate)) {
+      return coordinate;
+    }
+  } catch {
+    return null;
+  }
+
+  return null;
+}
@@ -0,0 +1,92 @@
+/**
+ * Minimum-cost assignment (Hungarian algorithm, Jonker–Volgenant potentials form).
+ *
+ * Runs in O(n²·m) for an n × m matrix with n ≤ m; taller matrices are
+ * transposed internally so every row or every column is assigned.
+ *
+ * @param {Array<Array<number>>} costs - Rectangular cost matrix; `costs[row][col]`
+ * @returns {Array<number>} Column assigned to each row, or -1 for rows left unassigned
+ */
+export function solveAssignment(costs) {
+  const rowCount = Array.isArray(costs) ? costs.length : 0;
+  const columnCount = rowCount ? costs[0].length : 0;
+  if (!rowCount || !columnCount) {
+    return new Array(rowCount).fill(-1);
+  }
+
+  if (rowCount > columnCount) {
+    const transposed = Array.from({ length: columnCount }, (_, column) =>
+      costs.map((row) => row[column])
+    );
+    const byColumn = solveAssignment(transposed);
+    const assignment = new Array(rowCount).fill(-1);
+    byColumn.forEach((row, column) => {
+      if (row >= 0) assignment[row] = column;
+    });
+    return assignment;
+  }
+
+  const n = rowCount;
+  const m = columnCount;
+  const cost = (row, column) => {
+    const value = costs[row][column];
+    return Number.isFinite(value) ? value : Number.MAX_SAFE_INTEGER;
+  };
+
+  // 1-indexed potentials and matching, with index 0 as the virtual source.
+  const u = new Float64Array(n + 1);
+  const v = new Float64Array(m + 1);
+  const matchedRow = new Int32Array(m + 1);
+  const way = new Int32Array(m + 1);
+
+  for (let row = 1; row <= n; row += 1) {
+    matchedRow[0] = row;
+    let column0 = 0;
+    const minValues = new Float64Array(m + 1).fill(Number.POSITIVE_INFINITY);
+    const used = new Uint8Array(m + 1);
+
+    do {
+      used[column0] = 1;
+      const row0 = matchedRow[column0];
+      let delta = Number.POSITIVE_INFINITY;
+      let column1 = 0;
+
+      for (let column = 1; column <= m; column += 1) {
+        if (used[column]) continue;
+        const reduced = cost(row0 - 1, column - 1) - u[row0] - v[column];
+        if (reduced < minValues[column]) {
+          minValues[column] = reduced;
+          way[column] = column0;
+        }
+        if (minValues[column] < delta) {
+          delta = minValues[column];
+          column1 = column;
+        }
+      }
+
+      for (let column = 0; column <= m; column += 1) {
+        if (used[column]) {
+          u[matchedRow[column]] += delta;
+          v[column] -= delta;
+        } else {
+          minValues[column] -= delta;
+        }
+      }
+      column0 = column1;
+    } while (matchedRow[column0] !== 0);
+
+    do {
+      const column1 = way[column0];
+      matchedRow[column0] = matchedRow[column1];
+      column0 = column1;
+    } while (column0);
+  }
+
+  const assignment = new Array(n).fill(-1);
+  for (let column = 1; column <= m; column += 1) {
+    if (matchedRow[column] > 0) {
+      assignment[matchedRow[column] - 1] = column - 1;
+    }
+  }
+  return assignment;
+}
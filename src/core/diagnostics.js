@@ -0,0 +1,167 @@
+/**
+ * Join diagnostics for GeoMorpher inputs.
+ *
+ * Reports codes that will silently drop out of a morph: features present in
+ * only one geography, data rows that match nothing, duplicates, features with
+ * no geometry, and features that fall back to placeholder rings.
+ */
+
+const MAX_CODES_IN_MESSAGE = 5;
+
+const summarizeCollection = (collection, joinProperty) => {
+  const seen = new Set();
+  const duplicates = new Set();
+  const nullGeometry = [];
+  let withoutCode = 0;
+
+  for (const feature of collection?.features ?? []) {
+    const code = feature?.properties?.[joinProperty];
+    // Mirrors createLookup, which skips falsy keys.
+    if (!code) {
+      withoutCode += 1;
+      continue;
+    }
+    const key = String(code);
+    if (seen.has(key)) duplicates.add(key);
+    seen.add(key);
+    if (!feature.geometry) nullGeometry.push(key);
+  }
+
+  return {
+    codes: seen,
+    duplicates: [...duplicates],
+    nullGeometry,
+    withoutCode,
+  };
+};
+
+const difference = (left, right) => [...left].filter((code) => !right.has(code));
+
+/**
+ * Compare keyframe collections and data rows by join code.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.keyframes - FeatureCollections in morph order (regular first, cartogram last)
+ * @param {Array<Object>} [params.data] - Data rows
+ * @param {string} params.joinColumn - Data row join property
+ * @param {string} params.geoJSONJoinColumn - Feature join property
+ * @returns {Object} Diagnostics report
+ */
+export function collectJoinDiagnostics({ keyframes, data, joinColumn, geoJSONJoinColumn }) {
+  const summaries = keyframes.map((collection) => summarizeCollection(collection, geoJSONJoinColumn));
+  const regular = summaries[0];
+  const cartogram = summaries[summaries.length - 1];
+
+  const unmatchedDataKeys = new Set();
+  let dataRowsWithoutKey = 0;
+  let unmatchedDataRowCount = 0;
+  for (const row of Array.isArray(data) ? data : []) {
+    const key = row?.[joinColumn];
+    if (!key) {
+      dataRowsWithoutKey += 1;
+      continue;
+    }
+    if (!regular.codes.has(String(key))) {
+      unmatchedDataKeys.add(String(key));
+      unmatchedDataRowCount += 1;
+    }
+  }
+
+  const intermediateKeyframes = summaries.slice(1, -1).map((summary, offset) => ({
+    index: offset + 1,
+    onlyInRegular: difference(regular.codes, summary.codes),
+    onlyInKeyframe: difference(summary.codes, regular.codes),
+  })).filter((entry) => entry.onlyInRegular.length || entry.onlyInKeyframe.length);
+
+  return {
+    counts: {
+      regular: regular.codes.size,
+      cartogram: cartogram.codes.size,
+      dataRows: Array.isArray(data) ? data.length : 0,
+    },
+    onlyInRegular: difference(regular.codes, cartogram.codes),
+    onlyInCartogram: difference(cartogram.codes, regular.codes),
+    intermediateKeyframes,
+    unmatchedDataKeys: [...unmatchedDataKeys],
+    unmatchedDataRowCount,
+    dataRowsWithoutKey,
+    duplicateCodes: { regular: regular.duplicates, cartogram: cartogram.duplicates },
+    featuresWithoutCode: { regular: regular.withoutCode, cartogram: cartogram.withoutCode },
+    nullGeometry: { regular: regular.nullGeometry, cartogram: cartogram.nullGeometry },
+  };
+}
+
+const isPlaceholder = (ring) => Boolean(ring?.visibility && ring.visibility !== "always");
+
+const usesPlaceholder = (interpolator) => (
+  (interpolator?.polygons ?? []).some(({ shell, holes = [] }) => [shell, ...holes].some(isPlaceholder))
+  || (interpolator?.lines ?? []).some(isPlaceholder)
+);
+
+/**
+ * List codes whose interpolators fell back to placeholder rings, and regular
+ * codes for which no interpolator could be built.
+ */
+export function collectInterpolatorDiagnostics({ regularCodes, segments }) {
+  const placeholderRings = new Set();
+  for (const { interpolators } of segments) {
+    for (const [code, interpolator] of Object.entries(interpolators)) {
+      if (usesPlaceholder(interpolator)) placeholderRings.add(code);
+    }
+  }
+
+  const firstSegment = segments[0]?.interpolators ?? {};
+  return {
+    placeholderRings: [...placeholderRings],
+    withoutInterpolator: regularCodes.filter((code) => !firstSegment[code]),
+  };
+}
+
+export function hasJoinIssues(diagnostics) {
+  return Boolean(
+    diagnostics.onlyInRegular.length
+    || diagnostics.onlyInCartogram.length
+    || diagnostics.intermediateKeyframes.length
+    || diagnostics.unmatchedDataKeys.length
+    || diagnostics.duplicateCodes.regular.length
+    || diagnostics.duplicateCodes.cartogram.length
+    || diagnostics.nullGeometry.regular.length
+    || diagnostics.nullGeometry.cartogram.length
+  );
+}
+
+const describeCodes = (label, codes) => {
+  if (!codes.length) return null;
+  const shown = codes.slice(0, MAX_CODES_IN_MESSAGE).join(", ");
+  const more = codes.length > MAX_CODES_IN_MESSAGE ? `, +${codes.length - MAX_CODES_IN_MESSAGE} more` : "";
+  return `${codes.length} ${label} (${shown}${more})`;
+};
+
+export function describeJoinIssues(diagnostics) {
+  const parts = [
+    describeCodes("code(s) only in regular geography", diagnostics.onlyInRegular),
+    describeCodes("code(s) only in cartogram", diagnostics.onlyInCartogram),
+    describeCodes("data key(s) matching no feature", diagnostics.unmatchedDataKeys),
+    describeCodes("duplicate regular code(s)", diagnostics.duplicateCodes.regular),
+    describeCodes("duplicate cartogram code(s)", diagnostics.duplicateCodes.cartogram),
+    describeCodes("regular feature(s) without geometry", diagnostics.nullGeometry.regular),
+    describeCodes("cartogram feature(s) without geometry", diagnostics.nullGeometry.cartogram),
+    ...diagnostics.intermediateKeyframes.map(({ index, onlyInRegular, onlyInKeyframe }) =>
+      describeCodes(`code(s) mismatched in keyframe ${index}`, [...onlyInRegular, ...onlyInKeyframe])
+    ),
+  ].filter(Boolean);
+
+  return parts.length ? parts.join("; ") : "no join issues";
+}
+
+/**
+ * Thrown by GeoMorpher in `strict` mode when inputs do not join cleanly.
+ * The full report is available on `error.diagnostics`.
+ */
+export class GeoMorpherJoinError extends Error {
+  constructor(diagnostics) {
+    super(`GeoMorpher join check failed: ${describeJoinIssues(diagnostics)}`);
+    this.name = "GeoMorpherJoinError";
+    this.diagnostics = diagnostics;
+  }
+}
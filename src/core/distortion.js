@@ -0,0 +1,91 @@
+/**
+ * Per-feature distortion metrics.
+ *
+ * Compares morphed features against their regular geometry: how much the area
+ * grew or shrank, how far the centroid travelled, how the shape's compactness
+ * changed and, when a weighting variable is known, how well the area matches
+ * the feature's share of that variable.
+ */
+
+import * as turf from "@turf/turf";
+import { isFiniteCoordinatePair } from "./interpolators.js";
+
+const isPolygonal = (geometry) => geometry?.type === "Polygon" || geometry?.type === "MultiPolygon";
+
+const safeArea = (feature) => {
+  if (!isPolygonal(feature?.geometry)) return null;
+  try {
+    const area = turf.area(feature);
+    return Number.isFinite(area) ? area : null;
+  } catch {
+    return null;
+  }
+};
+
+// Polsby–Popper score: 1 for a circle, approaching 0 for elongated shapes.
+const compactness = (feature, area) => {
+  if (!(area > 0)) return null;
+  try {
+    const perimeter = turf.length(turf.polygonToLine(feature), { units: "meters" });
+    return perimeter > 0 ? (4 * Math.PI * area) / (perimeter * perimeter) : null;
+  } catch {
+    return null;
+  }
+};
+
+const displacement = (from, to) => {
+  if (!isFiniteCoordinatePair(from) || !isFiniteCoordinatePair(to)) return null;
+  return turf.distance(from, to, { units: "meters" });
+};
+
+const weightOf = (feature, weightProperty) => {
+  const value = Number(feature?.properties?.[weightProperty]);
+  return Number.isFinite(value) && value > 0 ? value : null;
+};
+
+/**
+ * Compute distortion metrics for every morphed feature.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.features - Morphed features carrying `properties.code` and `centroid`
+ * @param {Object} params.regularLookup - Regular features (with `centroid`) keyed by code
+ * @param {string} [params.weightProperty] - Property the cartogram is sized by
+ * @returns {Object<string, Object>} Per code: `areaRatio`, `centroidDisplacement` (metres),
+ *   `compactness`, `compactnessChange` and `valueAreaError`. Metrics that do not apply
+ *   (non-polygonal geometry, missing weights) are `null`.
+ */
+export function computeDistortionMetrics({ features, regularLookup, weightProperty = null }) {
+  const entries = features.map((feature) => {
+    const code = feature?.properties?.code;
+    const regular = regularLookup?.[code];
+    const area = safeArea(feature);
+    const regularArea = safeArea(regular);
+    const shape = compactness(feature, area);
+    const regularShape = compactness(regular, regularArea);
+    return {
+      code,
+      area,
+      weight: weightProperty ? weightOf(feature, weightProperty) : null,
+      metrics: {
+        areaRatio: area !== null && regularArea > 0 ? area / regularArea : null,
+        centroidDisplacement: displacement(regular?.centroid, feature?.centroid),
+        compactness: shape,
+        compactnessChange: shape !== null && regularShape !== null ? shape - regularShape : null,
+        valueAreaError: null,
+      },
+    };
+  });
+
+  // Shares are taken over the features that have both a positive area and weight.
+  const weighted = entries.filter(({ area, weight }) => area > 0 && weight !== null);
+  const totalArea = weighted.reduce((sum, { area }) => sum + area, 0);
+  const totalWeight = weighted.reduce((sum, { weight }) => sum + weight, 0);
+  if (totalArea > 0 && totalWeight > 0) {
+    weighted.forEach((entry) => {
+      // Signed relative error of the area share against the value share: 0 is a perfect fit.
+      entry.metrics.valueAreaError = (entry.area / totalArea) / (entry.weight / totalWeight) - 1;
+    });
+  }
+
+  return Object.fromEntries(entries.map(({ code, metrics }) => [code, metrics]));
+}
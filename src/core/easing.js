@@ -0,0 +1,73 @@
+/**
+ * Easing curves for morph interpolation.
+ *
+ * Each easing maps a linear factor in [0, 1] to an eased factor. Elastic and
+ * back curves deliberately overshoot [0, 1]; interpolators extrapolate past
+ * either end rather than clamping so the overshoot stays visible.
+ */
+
+const ELASTIC_PERIOD = (2 * Math.PI) / 3;
+const BACK_OVERSHOOT = 1.70158;
+const BACK_IN_OUT_OVERSHOOT = BACK_OVERSHOOT * 1.525;
+
+/**
+ * Create a stepped easing that jumps `count` times between 0 and 1, holding
+ * each level for an equal share of the timeline.
+ *
+ * @param {number} [count=1] - Number of jumps
+ * @returns {Function}
+ */
+export const steps = (count = 1) => {
+  const stepCount = Math.max(1, Math.floor(count));
+  return (t) => Math.min(1, Math.max(0, Math.floor(t * (stepCount + 1)) / stepCount));
+};
+
+// Pin both ends exactly so frames at 0 and 1 match the keyframes bit for bit.
+const pinEnds = (easing) => (t) => {
+  if (t <= 0) return 0;
+  if (t >= 1) return 1;
+  return easing(t);
+};
+
+export const EASINGS = Object.freeze(Object.fromEntries(Object.entries({
+  linear: (t) => t,
+  cubicIn: (t) => t * t * t,
+  cubicOut: (t) => 1 - (1 - t) ** 3,
+  cubicInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2),
+  sineIn: (t) => 1 - Math.cos((t * Math.PI) / 2),
+  sineOut: (t) => Math.sin((t * Math.PI) / 2),
+  sineInOut: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+  elasticIn: (t) => -(2 ** (10 * t - 10)) * Math.sin((t * 10 - 10.75) * ELASTIC_PERIOD),
+  elasticOut: (t) => 2 ** (-10 * t) * Math.sin((t * 10 - 0.75) * ELASTIC_PERIOD) + 1,
+  backIn: (t) => (BACK_OVERSHOOT + 1) * t * t * t - BACK_OVERSHOOT * t * t,
+  backOut: (t) => 1 + (BACK_OVERSHOOT + 1) * (t - 1) ** 3 + BACK_OVERSHOOT * (t - 1) ** 2,
+  backInOut: (t) => (t < 0.5
+    ? ((2 * t) ** 2 * ((BACK_IN_OUT_OVERSHOOT + 1) * 2 * t - BACK_IN_OUT_OVERSHOOT)) / 2
+    : ((2 * t - 2) ** 2 * ((BACK_IN_OUT_OVERSHOOT + 1) * (t * 2 - 2) + BACK_IN_OUT_OVERSHOOT) + 2) / 2),
+  step: steps(1),
+}).map(([name, easing]) => [name, pinEnds(easing)])));
+
+const ALIASES = {
+  cubic: "cubicInOut",
+  sine: "sineInOut",
+  elastic: "elasticOut",
+  back: "backOut",
+};
+
+/**
+ * Resolve an easing specification to a function.
+ *
+ * @param {string|Function|null} easing - Easing name, custom function, or null for linear
+ * @returns {Function|null} Easing function, or null when no easing applies
+ */
+export function resolveEasing(easing) {
+  if (easing == null || easing === false) return null;
+  if (typeof easing === "function") return easing;
+  if (typeof easing === "string") {
+    const resolved = EASINGS[ALIASES[easing] ?? easing];
+    if (resolved) return resolved;
+  }
+  throw new Error(
+    `Unknown easing "${easing}". Use one of ${[...Object.keys(EASINGS), ...Object.keys(ALIASES)].join(", ")} or a function.`
+  );
+}
@@ -0,0 +1,38 @@
+/**
+ * Minimal synchronous event emitter used by GeoMorpher.
+ */
+
+export function createEmitter({ scope = "geo-morpher" } = {}) {
+  const handlers = new Map();
+
+  const off = (event, handler) => {
+    const set = handlers.get(event);
+    if (!set) return;
+    set.delete(handler);
+    if (set.size === 0) handlers.delete(event);
+  };
+
+  const on = (event, handler) => {
+    if (typeof handler !== "function") {
+      throw new TypeError(`Handler for "${event}" must be a function`);
+    }
+    if (!handlers.has(event)) handlers.set(event, new Set());
+    handlers.get(event).add(handler);
+    return () => off(event, handler);
+  };
+
+  const emit = (event, payload) => {
+    const set = handlers.get(event);
+    if (!set) return;
+    // Copy so handlers may unsubscribe while the event is dispatched.
+    for (const handler of [...set]) {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`${scope}: "${event}" handler failed`, error);
+      }
+    }
+  };
+
+  return { on, off, emit };
+}
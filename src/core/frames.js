@@ -0,0 +1,299 @@
+/**
+ * Flat, reusable frame buffers for interpolated geometry.
+ *
+ * A frame stores every interpolated vertex in one typed array and describes
+ * the nesting with offset tables, so an animation loop can write frame after
+ * frame into the same memory instead of allocating a GeoJSON tree each time:
+ *
+ * - `positions[2v]`, `positions[2v + 1]`: x/y of vertex `v`
+ * - ring `r` spans vertices `ringOffsets[r]` to `ringOffsets[r + 1]`
+ * - part `p` (a polygon, a line or a point) spans rings `partOffsets[p]` to `partOffsets[p + 1]`
+ * - feature `f` spans parts `featureOffsets[f]` to `featureOffsets[f + 1]`
+ *
+ * Arrays are sized by capacity and grow by doubling; only the first
+ * `vertexCount`, `ringCount + 1`, `partCount + 1` and `featureCount + 1`
+ * entries are meaningful.
+ */
+
+import { signedRingArea } from "./rings.js";
+
+const POSITION_ARRAYS = {
+  32: Float32Array,
+  64: Float64Array,
+};
+
+const INITIAL_CAPACITY = 16;
+
+const grow = (array, needed) => {
+  if (needed <= array.length) return array;
+  const next = new array.constructor(Math.max(needed, array.length * 2, INITIAL_CAPACITY));
+  next.set(array);
+  return next;
+};
+
+/**
+ * Create an empty frame buffer to pass to `GeoMorpher#getInterpolatedFrame`.
+ *
+ * @param {Object} [options]
+ * @param {32|64} [options.precision=64] - `32` stores positions and centroids in `Float32Array`s
+ * @returns {Object}
+ */
+export function createFrameBuffer({ precision = 64 } = {}) {
+  const PositionArray = POSITION_ARRAYS[precision];
+  if (!PositionArray) {
+    throw new RangeError(`Frame precision must be 32 or 64, got ${precision}`);
+  }
+
+  return {
+    precision,
+    factor: 0,
+    positions: new PositionArray(INITIAL_CAPACITY * 2),
+    centroids: new PositionArray(INITIAL_CAPACITY * 2),
+    ringOffsets: new Uint32Array(INITIAL_CAPACITY),
+    partOffsets: new Uint32Array(INITIAL_CAPACITY),
+    featureOffsets: new Uint32Array(INITIAL_CAPACITY),
+    codes: [],
+    types: [],
+    featureCount: 0,
+    partCount: 0,
+    ringCount: 0,
+    vertexCount: 0,
+  };
+}
+
+export const resetFrame = (frame, factor) => {
+  frame.factor = factor;
+  frame.featureCount = 0;
+  frame.partCount = 0;
+  frame.ringCount = 0;
+  frame.vertexCount = 0;
+  frame.codes.length = 0;
+  frame.types.length = 0;
+  return frame;
+};
+
+const pushVertex = (frame, x, y) => {
+  const index = frame.vertexCount * 2;
+  frame.positions[index] = x;
+  frame.positions[index + 1] = y;
+  frame.vertexCount += 1;
+};
+
+const closeRing = (frame) => {
+  frame.ringCount += 1;
+  frame.ringOffsets = grow(frame.ringOffsets, frame.ringCount + 1);
+  frame.ringOffsets[frame.ringCount] = frame.vertexCount;
+};
+
+const closePart = (frame) => {
+  frame.partCount += 1;
+  frame.partOffsets = grow(frame.partOffsets, frame.partCount + 1);
+  frame.partOffsets[frame.partCount] = frame.ringCount;
+};
+
+const reverseVertices = (frame, start, end) => {
+  const { positions } = frame;
+  for (let left = start, right = end - 1; left < right; left += 1, right -= 1) {
+    const x = positions[left * 2];
+    const y = positions[left * 2 + 1];
+    positions[left * 2] = positions[right * 2];
+    positions[left * 2 + 1] = positions[right * 2 + 1];
+    positions[right * 2] = x;
+    positions[right * 2 + 1] = y;
+  }
+};
+
+const lerpX = ({ from, to }, index, factor) => from[index][0] + (to[index][0] - from[index][0]) * factor;
+const lerpY = ({ from, to }, index, factor) => from[index][1] + (to[index][1] - from[index][1]) * factor;
+
+// Length of the closed ring the interpolator would return, without writing it.
+const closedLength = (ring, factor) => {
+  const last = ring.from.length - 1;
+  if (last < 0) return 0;
+  const closed = lerpX(ring, 0, factor) === lerpX(ring, last, factor)
+    && lerpY(ring, 0, factor) === lerpY(ring, last, factor);
+  return closed ? last + 1 : last + 2;
+};
+
+/**
+ * Write one aligned ring. Mirrors the GeoJSON path: polygon rings are closed,
+ * shells wound counterclockwise and holes clockwise, and rings shorter than
+ * `minLength` are dropped. Winding is measured on the unrounded values.
+ */
+const writeRing = (frame, ring, factor, close = false, clockwise = null, minLength = 0) => {
+  const count = ring.from.length;
+  const start = frame.vertexCount;
+  frame.positions = grow(frame.positions, (start + count + 1) * 2);
+
+  for (let index = 0; index < count; index += 1) {
+    pushVertex(frame, lerpX(ring, index, factor), lerpY(ring, index, factor));
+  }
+
+  if (close && count) {
+    const originX = lerpX(ring, 0, factor);
+    const originY = lerpY(ring, 0, factor);
+    if (lerpX(ring, count - 1, factor) !== originX || lerpY(ring, count - 1, factor) !== originY) {
+      pushVertex(frame, originX, originY);
+    }
+  }
+
+  const length = frame.vertexCount - start;
+  if (length < minLength) {
+    frame.vertexCount = start;
+    return false;
+  }
+  const wound = clockwise === null || length < 4 || (signedRingArea(
+    ring.from,
+    (_, index) => lerpX(ring, index, factor),
+    (_, index) => lerpY(ring, index, factor)
+  ) < 0) === clockwise;
+  if (!wound) {
+    reverseVertices(frame, start, frame.vertexCount);
+  }
+  closeRing(frame);
+  return true;
+};
+
+const writePolygonal = (frame, entry, factor) => {
+  const { polygons } = entry;
+  // Like the GeoJSON path, degenerate shells are dropped only when a proper one survives.
+  const hasProperShell = polygons.some(({ shell }) => shell.isVisible(factor) && closedLength(shell, factor) >= 4);
+
+  for (const { shell, holes } of polygons) {
+    if (!shell.isVisible(factor)) continue;
+    if (hasProperShell && closedLength(shell, factor) < 4) continue;
+
+    writeRing(frame, shell, factor, true, false);
+    for (const hole of holes) {
+      if (hole.isVisible(factor)) {
+        writeRing(frame, hole, factor, true, true, 4);
+      }
+    }
+    closePart(frame);
+    if (entry.type === "Polygon") return true;
+  }
+
+  if (entry.type === "Polygon" && frame.partCount === frame.featureOffsets[frame.featureCount]) {
+    // GeoJSON keeps a vanished Polygon as `[[]]`.
+    closeRing(frame);
+    closePart(frame);
+  }
+  return frame.partCount > frame.featureOffsets[frame.featureCount];
+};
+
+const writeParts = (frame, entries, factor, single) => {
+  for (const part of entries) {
+    if (typeof part.isVisible === "function" && !part.isVisible(factor)) continue;
+    writeRing(frame, part, factor);
+    closePart(frame);
+    if (single) break;
+  }
+  return frame.partCount > frame.featureOffsets[frame.featureCount];
+};
+
+/**
+ * Append one feature's interpolated geometry and centroid. Returns `false`
+ * (leaving the frame untouched) when the geometry is empty at `factor`.
+ */
+export const writeFrameFeature = (frame, code, entry, factor, centroid) => {
+  const { partCount, ringCount, vertexCount } = frame;
+  frame.featureOffsets[frame.featureCount] = partCount;
+
+  let written = false;
+  if (Array.isArray(entry.polygons)) {
+    written = writePolygonal(frame, entry, factor);
+  } else if (Array.isArray(entry.lines)) {
+    written = writeParts(frame, entry.lines, factor, entry.type === "LineString");
+  } else if (Array.isArray(entry.points)) {
+    written = writeParts(frame, entry.points, factor, entry.type === "Point");
+  }
+
+  if (!written) {
+    frame.partCount = partCount;
+    frame.ringCount = ringCount;
+    frame.vertexCount = vertexCount;
+    return false;
+  }
+
+  const index = frame.featureCount;
+  frame.centroids = grow(frame.centroids, (index + 1) * 2);
+  frame.centroids[index * 2] = centroid ? centroid[0] : Number.NaN;
+  frame.centroids[index * 2 + 1] = centroid ? centroid[1] : Number.NaN;
+  frame.codes[index] = code;
+  frame.types[index] = entry.type;
+  frame.featureCount += 1;
+  frame.featureOffsets = grow(frame.featureOffsets, frame.featureCount + 1);
+  frame.featureOffsets[frame.featureCount] = frame.partCount;
+  return true;
+};
+
+const readRing = (frame, ring) => {
+  const points = [];
+  for (let vertex = frame.ringOffsets[ring]; vertex < frame.ringOffsets[ring + 1]; vertex += 1) {
+    points.push([frame.positions[vertex * 2], frame.positions[vertex * 2 + 1]]);
+  }
+  return points;
+};
+
+const readPart = (frame, part) => {
+  const rings = [];
+  for (let ring = frame.partOffsets[part]; ring < frame.partOffsets[part + 1]; ring += 1) {
+    rings.push(readRing(frame, ring));
+  }
+  return rings;
+};
+
+const readCoordinates = (frame, type, firstPart, endPart) => {
+  const parts = [];
+  for (let part = firstPart; part < endPart; part += 1) {
+    parts.push(readPart(frame, part));
+  }
+  switch (type) {
+    case "Point":
+      return parts[0]?.[0]?.[0] ?? [];
+    case "MultiPoint":
+      return parts.map((rings) => rings[0][0]);
+    case "LineString":
+      return parts[0]?.[0] ?? [];
+    case "MultiLineString":
+      return parts.map((rings) => rings[0]);
+    case "Polygon":
+      return parts[0] ?? [[]];
+    default:
+      return parts;
+  }
+};
+
+/**
+ * Convert a frame back into a GeoJSON FeatureCollection.
+ *
+ * @param {Object} frame - Frame written by `GeoMorpher#getInterpolatedFrame`
+ * @param {Object} [options]
+ * @param {Function} [options.getProperties] - `(code, index) => properties` merged into each feature
+ * @returns {Object} FeatureCollection whose features carry `code`, `morph_factor` and `centroid`
+ */
+export function frameToFeatureCollection(frame, { getProperties } = {}) {
+  const features = [];
+  for (let index = 0; index < frame.featureCount; index += 1) {
+    const code = frame.codes[index];
+    const x = frame.centroids[index * 2];
+    const y = frame.centroids[index * 2 + 1];
+    const feature = {
+      type: "Feature",
+      properties: {
+        ...(typeof getProperties === "function" ? getProperties(code, index) : {}),
+        code,
+        morph_factor: frame.factor,
+      },
+      geometry: {
+        type: frame.types[index],
+        coordinates: readCoordinates(frame, frame.types[index], frame.featureOffsets[index], frame.featureOffsets[index + 1]),
+      },
+    };
+    if (Number.isFinite(x) && Number.isFinite(y)) {
+      feature.centroid = [x, y];
+    }
+    features.push(feature);
+  }
+  return { type: "FeatureCollection", features };
+}
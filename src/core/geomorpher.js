@@ -1,359 +1,299 @@
 import cloneDeep from "lodash/cloneDeep.js";
 import keyBy from "lodash/keyBy.js";
 import mapValues from "lodash/mapValues.js";
-import flubber from "flubber";
 import * as turf from "@turf/turf";
 import { enrichGeoData, createLookup } from "../utils/enrichment.js";
+import {
+  AUTO_JOIN,
+  detectJoinColumns,
+  createJoinKeyIndex,
+  alignJoinRows,
+  alignJoinFeatures,
+} from "../utils/joinKeys.js";
 import { toWGS84FeatureCollection } from "../utils/projection.js";
 import { normalizeCartogramInput } from "../utils/cartogram.js";
 import { isLikelyWGS84, WGS84Projection } from "../utils/projections.js";
+import { simplifyFeatureCollection, SIMPLIFY_METHODS } from "../utils/simplify.js";
+import {
+  clampFactor,
+  isFiniteCoordinatePair,
+  createGeometryInterpolator,
+  serializeGeometryInterpolator,
+  restoreGeometryInterpolator,
+} from "./interpolators.js";
+import { createStaggerSchedule, resolveStaggeredFactor } from "./stagger.js";
+import { resolveEasing } from "./easing.js";
+import { resolveSelection } from "./selection.js";
+import { computeDistortionMetrics } from "./distortion.js";
+import { resolveCentroidPath, createCentroidControls, pointOnPath } from "./paths.js";
+import { createFrameBuffer, resetFrame, writeFrameFeature } from "./frames.js";
+import { resolveFeatureAnchor } from "./anchors.js";
+import { validateFeatureCollection } from "./validation.js";
+import { createEmitter } from "./events.js";
+import {
+  collectJoinDiagnostics,
+  collectInterpolatorDiagnostics,
+  hasJoinIssues,
+  GeoMorpherJoinError,
+} from "./diagnostics.js";
 
-const clampFactor = (value) => {
-  if (!Number.isFinite(value)) return 0;
-  if (value <= 0) return 0;
-  if (value >= 1) return 1;
-  return value;
-};
-
-const isFiniteCoordinatePair = (value) => (
-  Array.isArray(value)
-  && value.length >= 2
-  && Number.isFinite(value[0])
-  && Number.isFinite(value[1])
-);
-
-const RING_VISIBILITY_EPSILON = 1e-3;
-const PLACEHOLDER_SCALE = 0.02;
-const MIN_PLACEHOLDER_SIZE = 1e-4;
-
-const ensureClosedRing = (ring) => {
-  if (!Array.isArray(ring) || ring.length === 0) return [];
-  const first = ring[0];
-  const last = ring[ring.length - 1];
-  if (!Array.isArray(first) || !Array.isArray(last)) return [];
-  if (first.length < 2 || last.length < 2) return [];
-  if (first[0] === last[0] && first[1] === last[1]) {
-    return ring.slice();
-  }
-  return [...ring, first];
-};
-
-const extractOuterRings = (geometry) => {
-  if (!geometry) return [];
-  if (geometry.type === "Polygon") {
-    const ring = geometry.coordinates?.[0];
-    return ring ? [ensureClosedRing(ring)] : [];
-  }
-  if (geometry.type === "MultiPolygon") {
-    const polygons = Array.isArray(geometry.coordinates) ? geometry.coordinates : [];
-    return polygons
-      .map((polygon) => (Array.isArray(polygon) && polygon[0] ? ensureClosedRing(polygon[0]) : null))
-      .filter((ring) => Array.isArray(ring) && ring.length >= 3);
-  }
-  return [];
-};
-
-const computeRingCentroid = (ring) => {
-  if (!Array.isArray(ring) || ring.length === 0) return [0, 0];
-  let sumX = 0;
-  let sumY = 0;
-  let count = 0;
-  for (const coordinate of ring) {
-    if (!Array.isArray(coordinate) || coordinate.length < 2) continue;
-    const [x, y] = coordinate;
-    if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
-    sumX += x;
-    sumY += y;
-    count += 1;
-  }
-  if (count === 0) return [0, 0];
-  return [sumX / count, sumY / count];
-};
-
-const computeRingBounds = (ring) => {
-  let minX = Number.POSITIVE_INFINITY;
-  let minY = Number.POSITIVE_INFINITY;
-  let maxX = Number.NEGATIVE_INFINITY;
-  let maxY = Number.NEGATIVE_INFINITY;
-
-  for (const coordinate of ring ?? []) {
-    if (!Array.isArray(coordinate) || coordinate.length < 2) continue;
-    const [x, y] = coordinate;
-    if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
-    if (x < minX) minX = x;
-    if (y < minY) minY = y;
-    if (x > maxX) maxX = x;
-    if (y > maxY) maxY = y;
-  }
+function withCentroid(feature, preferredCentroid = null) {
+  const centroid = isFiniteCoordinatePair(preferredCentroid)
+    ? preferredCentroid
+    : isFiniteCoordinatePair(feature?.centroid)
+      ? feature.centroid
+      : resolveFeatureAnchor(feature);
 
-  if (!Number.isFinite(minX) || !Number.isFinite(minY) || !Number.isFinite(maxX) || !Number.isFinite(maxY)) {
-    return { width: 0, height: 0 };
+  if (!isFiniteCoordinatePair(centroid)) {
+    return { ...feature };
   }
 
   return {
-    width: Math.max(maxX - minX, 0),
-    height: Math.max(maxY - minY, 0),
+    ...feature,
+    centroid,
   };
-};
-
-const createPlaceholderRing = (referenceRing) => {
-  if (!Array.isArray(referenceRing) || referenceRing.length === 0) return null;
-  const centroid = computeRingCentroid(referenceRing);
-  const [cx, cy] = centroid;
-  if (!Number.isFinite(cx) || !Number.isFinite(cy)) return null;
-
-  const { width, height } = computeRingBounds(referenceRing);
-  const span = Math.max(width, height);
-  const offset = Math.max(span * PLACEHOLDER_SCALE, MIN_PLACEHOLDER_SIZE);
-
-  const ring = [
-    [cx - offset, cy - offset],
-    [cx + offset, cy - offset],
-    [cx + offset, cy + offset],
-    [cx - offset, cy + offset],
-  ];
+}
 
-  return ensureClosedRing(ring);
-};
+function interpolateCentroid(fromCentroid, toCentroid, factor, control = null, out = undefined) {
+  const from = isFiniteCoordinatePair(fromCentroid) ? fromCentroid : null;
+  const to = isFiniteCoordinatePair(toCentroid) ? toCentroid : null;
 
-const distanceSquared = (a, b) => {
-  if (!Array.isArray(a) || !Array.isArray(b) || a.length < 2 || b.length < 2) return Number.POSITIVE_INFINITY;
-  const dx = a[0] - b[0];
-  const dy = a[1] - b[1];
-  return dx * dx + dy * dy;
-};
+  if (from && to) {
+    // Eased factors may overshoot [0, 1]; extrapolate along the same path.
+    const amount = Number.isFinite(factor) ? factor : 0;
+    return pointOnPath(from, to, control, amount, out);
+  }
 
-const matchRingPairs = (fromRings, toRings) => {
-  const pairs = [];
-  const toPool = toRings.map((ring) => ({
-    ring,
-    centroid: computeRingCentroid(ring),
-  }));
-
-  for (const ring of fromRings) {
-    const centroid = computeRingCentroid(ring);
-    let bestIndex = -1;
-    let bestDistance = Number.POSITIVE_INFINITY;
-    for (let index = 0; index < toPool.length; index += 1) {
-      const candidate = toPool[index];
-      const candidateDistance = distanceSquared(centroid, candidate.centroid);
-      if (candidateDistance < bestDistance) {
-        bestDistance = candidateDistance;
-        bestIndex = index;
-      }
-    }
+  return to ?? from ?? null;
+}
 
-    if (bestIndex >= 0) {
-      const [match] = toPool.splice(bestIndex, 1);
-      pairs.push({ fromRing: ring, toRing: match.ring });
-    } else {
-      pairs.push({ fromRing: ring, toRing: null });
-    }
+export const SNAPSHOT_FORMAT = "geo-morpher/prepared";
+export const SNAPSHOT_VERSION = 2;
+// Version 1 snapshots lack the morph options and data keys; they still restore.
+const READABLE_SNAPSHOT_VERSIONS = [1, SNAPSHOT_VERSION];
+
+/**
+ * Copy an option into a snapshot. Sets become arrays; anything holding a
+ * function cannot be serialised and comes back `undefined`.
+ */
+const toSnapshotValue = (value) => {
+  if (typeof value === "function") return undefined;
+  if (value instanceof Set) return toSnapshotValue([...value]);
+  if (Array.isArray(value)) {
+    const items = value.map(toSnapshotValue);
+    return items.some((item) => typeof item === "undefined") ? undefined : items;
   }
-
-  for (const remaining of toPool) {
-    pairs.push({ fromRing: null, toRing: remaining.ring });
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value).map(([key, item]) => [key, toSnapshotValue(item)]);
+    return entries.some(([, item]) => typeof item === "undefined") ? undefined : Object.fromEntries(entries);
   }
-
-  return pairs;
+  return value;
 };
 
-const createRingInterpolator = ({ fromRing, toRing }) => {
-  if (fromRing && toRing) {
-    const interpolator = flubber.interpolate(fromRing, toRing, { string: false });
-    return {
-      interpolate: (factor) => interpolator(factor),
-      isVisible: () => true,
-    };
+function assertValidSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== "object") {
+    throw new TypeError("Prepared snapshot must be an object or JSON string");
   }
-
-  if (fromRing && !toRing) {
-    const placeholder = createPlaceholderRing(fromRing);
-    if (!placeholder) {
-      const constantRing = ensureClosedRing(fromRing);
-      return {
-        interpolate: () => constantRing,
-        isVisible: (factor) => factor < 1 - RING_VISIBILITY_EPSILON,
-      };
-    }
-
-    const interpolator = flubber.interpolate(fromRing, placeholder, { string: false });
-    return {
-      interpolate: (factor) => interpolator(factor),
-      isVisible: (factor) => factor < 1 - RING_VISIBILITY_EPSILON,
-    };
+  if (snapshot.format !== SNAPSHOT_FORMAT) {
+    throw new Error(`Unrecognised snapshot format "${snapshot.format}"; expected "${SNAPSHOT_FORMAT}"`);
   }
-
-  if (!fromRing && toRing) {
-    const placeholder = createPlaceholderRing(toRing);
-    if (!placeholder) {
-      const constantRing = ensureClosedRing(toRing);
-      return {
-        interpolate: () => constantRing,
-        isVisible: (factor) => factor > RING_VISIBILITY_EPSILON,
-      };
-    }
-
-    const interpolator = flubber.interpolate(placeholder, toRing, { string: false });
-    return {
-      interpolate: (factor) => interpolator(factor),
-      isVisible: (factor) => factor > RING_VISIBILITY_EPSILON,
-    };
+  if (!READABLE_SNAPSHOT_VERSIONS.includes(snapshot.version)) {
+    throw new Error(
+      `Unsupported snapshot version ${snapshot.version}; this build reads versions ${READABLE_SNAPSHOT_VERSIONS.join(" and ")}`
+    );
   }
 
-  return null;
-};
-
-const createGeometryInterpolator = ({ fromGeometry, toGeometry }) => {
-  const fromRings = extractOuterRings(fromGeometry);
-  const toRings = extractOuterRings(toGeometry);
-
-  if (!fromRings.length && !toRings.length) {
-    return null;
+  const { keyframes, segments } = snapshot;
+  if (!Array.isArray(keyframes) || keyframes.length < 2) {
+    throw new Error("Prepared snapshot must contain at least two keyframe collections");
   }
-
-  const pairs = matchRingPairs(fromRings, toRings);
-  const ringInterpolators = pairs
-    .map((pair) => createRingInterpolator(pair))
-    .filter((entry) => entry && typeof entry.interpolate === "function");
-
-  if (!ringInterpolators.length) {
-    return null;
+  if (!Array.isArray(segments) || segments.length !== keyframes.length - 1) {
+    throw new Error("Prepared snapshot must contain one interpolator segment per keyframe transition");
   }
+}
 
-  const geometryType =
-    ringInterpolators.length === 1 && fromGeometry?.type !== "MultiPolygon" && toGeometry?.type !== "MultiPolygon"
-      ? "Polygon"
-      : "MultiPolygon";
+// Factors outside [0, 1] (easing overshoot) extrapolate the first or last segment.
+const resolveKeyframeSegment = (factor, segmentCount) => {
+  if (segmentCount <= 1) {
+    return { segmentIndex: 0, localFactor: factor };
+  }
 
-  return {
-    type: geometryType,
-    interpolate: (rawFactor) => {
-      const factor = clampFactor(rawFactor);
-      const rings = [];
-
-      for (const entry of ringInterpolators) {
-        if (typeof entry.isVisible === "function" && !entry.isVisible(factor)) {
-          continue;
-        }
+  const scaled = factor * segmentCount;
+  const segmentIndex = Math.min(Math.max(Math.floor(scaled), 0), segmentCount - 1);
+  return { segmentIndex, localFactor: scaled - segmentIndex };
+};
 
-        try {
-          rings.push(ensureClosedRing(entry.interpolate(factor)));
-        } catch (error) {
-          rings.push([]);
-        }
-      }
+/**
+ * Normalise the `simplify` option into levels of detail sorted by `minZoom`.
+ * The last level is the most detailed and is used when no zoom is given.
+ */
+const resolveLevelsOfDetail = (simplify) => {
+  if (!simplify) {
+    return [{ tolerance: 0, method: null, minZoom: 0 }];
+  }
 
-      const filteredRings = rings.filter((ring) => Array.isArray(ring) && ring.length >= 4);
-      const effectiveRings = filteredRings.length ? filteredRings : rings;
+  const levels = Array.isArray(simplify.levels) && simplify.levels.length
+    ? simplify.levels
+    : [{ tolerance: simplify.tolerance, minZoom: 0 }];
 
-      if (geometryType === "Polygon") {
-        const ring = effectiveRings.find((candidate) => Array.isArray(candidate) && candidate.length >= 4) ?? [];
-        return [ring];
+  return levels
+    .map((level) => {
+      const method = level?.method ?? simplify.method ?? "douglas-peucker";
+      if (!SIMPLIFY_METHODS.includes(method)) {
+        throw new Error(`Unknown simplification method "${method}". Use one of: ${SIMPLIFY_METHODS.join(", ")}`);
       }
-
-      const multiRings = effectiveRings.filter((ring) => Array.isArray(ring) && ring.length >= 4);
-      const ringsToUse = multiRings.length ? multiRings : effectiveRings;
-      return ringsToUse.map((ring) => [ring]);
-    },
-  };
+      return {
+        tolerance: Number.isFinite(level?.tolerance) && level.tolerance > 0 ? level.tolerance : 0,
+        method,
+        minZoom: Number.isFinite(level?.minZoom) ? level.minZoom : 0,
+      };
+    })
+    .sort((a, b) => a.minZoom - b.minZoom);
 };
 
-function withCentroid(feature, preferredCentroid = null) {
-  const centroid = isFiniteCoordinatePair(preferredCentroid)
-    ? preferredCentroid
-    : isFiniteCoordinatePair(feature?.centroid)
-      ? feature.centroid
-      : resolveFeatureAnchor(feature);
-
-  if (!isFiniteCoordinatePair(centroid)) {
-    return { ...feature };
-  }
-
-  return {
-    ...feature,
-    centroid,
-  };
-}
-
-function resolveFeatureAnchor(feature) {
-  if (!feature?.geometry) return null;
+const throwIfAborted = (signal) => {
+  if (!signal?.aborted) return;
+  throw signal.reason ?? new DOMException("GeoMorpher preparation was aborted", "AbortError");
+};
 
-  const geometryType = feature.geometry.type;
-  const isPolygonal = geometryType === "Polygon" || geometryType === "MultiPolygon";
+const isAbortError = (error) => error?.name === "AbortError";
 
-  if (isPolygonal) {
-    try {
-      const centerOfMass = turf.centerOfMass(feature);
-      const coordinate = turf.getCoord(centerOfMass);
-      if (isFiniteCoordinatePair(coordinate) && turf.booleanPointInPolygon(centerOfMass, feature)) {
-        return coordinate;
-      }
-    } catch {
-      // Fall through to the next anchor strategy.
-    }
+const buildKeyData = (features, joinColumn) => keyBy(
+  features.map((feature) => ({
+    code: feature.properties?.[joinColumn],
+    population: Number(feature.properties?.population ?? 0),
+    data: feature,
+  })),
+  "code"
+);
 
-    try {
-      const pointOnFeature = turf.pointOnFeature(feature);
-      const coordinate = turf.getCoord(pointOnFeature);
-      if (isFiniteCoordinatePair(coordinate)) {
-        return coordinate;
-      }
-    } catch {
-      // Fall through to centroid.
-    }
-  }
+const collectBaseProperties = (geojson) => (geojson?.features ?? []).map((feature) => feature?.properties ?? {});
 
-  try {
-    const centroid = turf.centroid(feature);
-    const coordinate = turf.getCoord(centroid);
-    if (isFiniteCoordinatePair(coordinate)) {
-      return coordinate;
-    }
-  } catch {
-    return null;
+const withProperties = (collection, properties) => (collection
+  ? {
+    ...collection,
+    features: collection.features.map((feature, index) => ({
+      ...feature,
+      properties: properties[index] ?? feature.properties,
+    })),
   }
+  : collection);
+
+// Features built between event-loop yields when a signal can abort the build.
+const ABORT_CHECK_INTERVAL = 25;
+
+const yieldToEventLoop = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * Build one segment's interpolators. With a signal the loop yields every
+ * `ABORT_CHECK_INTERVAL` features, so an abort dispatched by another task (a
+ * worker's abort message, a UI event) is seen before the build finishes.
+ */
+const buildSegmentInterpolators = async (fromLookup, toLookup, { signal, onFeature, ringMatching, maxSegmentLength } = {}) => {
+  const interpolators = {};
+  let built = 0;
+  for (const [code, feature] of Object.entries(fromLookup)) {
+    if (signal && built > 0 && built % ABORT_CHECK_INTERVAL === 0) await yieldToEventLoop();
+    built += 1;
+    throwIfAborted(signal);
+    const targetFeature = toLookup[code];
+    const geometryInterpolator = createGeometryInterpolator({
+      fromGeometry: feature?.geometry,
+      toGeometry: targetFeature?.geometry,
+      fromAnchor: feature?.centroid,
+      toAnchor: targetFeature?.centroid,
+      ringMatching,
+      maxSegmentLength,
+    });
+    onFeature?.();
 
-  return null;
-}
-
-function interpolateCentroid(fromCentroid, toCentroid, factor) {
-  const from = isFiniteCoordinatePair(fromCentroid) ? fromCentroid : null;
-  const to = isFiniteCoordinatePair(toCentroid) ? toCentroid : null;
+    if (!geometryInterpolator) continue;
 
-  if (from && to) {
-    const clamped = clampFactor(factor);
-    return [
-      from[0] + (to[0] - from[0]) * clamped,
-      from[1] + (to[1] - from[1]) * clamped,
-    ];
+    interpolators[code] = geometryInterpolator;
   }
+  return interpolators;
+};
 
-  return to ?? from ?? null;
-}
+// Geometry issues per keyframe, shaped like the join report: regular, cartogram, then any keyframes in between.
+const summarizeGeometryIssues = (keyframeIssues = []) => ({
+  regular: keyframeIssues[0] ?? {},
+  cartogram: keyframeIssues[keyframeIssues.length - 1] ?? {},
+  intermediateKeyframes: keyframeIssues.slice(1, -1)
+    .map((issues, offset) => ({ index: offset + 1, issues: issues ?? {} }))
+    .filter(({ issues }) => Object.keys(issues).length),
+});
+
+const buildDiagnostics = ({
+  keyframes,
+  data,
+  joinColumn,
+  geoJSONJoinColumn,
+  segments,
+  regularLookup,
+  keyframeGeometryIssues,
+  joinDetection = null,
+}) => ({
+  ...collectJoinDiagnostics({ keyframes, data, joinColumn, geoJSONJoinColumn }),
+  ...collectInterpolatorDiagnostics({ regularCodes: Object.keys(regularLookup ?? {}), segments }),
+  geometryIssues: summarizeGeometryIssues(keyframeGeometryIssues),
+  joinDetection,
+});
+
+const serializeSegments = (segments) => segments.map(({ interpolators }) =>
+  mapValues(interpolators, serializeGeometryInterpolator)
+);
+
+const restoreSegments = (segments) => segments.map((descriptors) => ({
+  interpolators: mapValues(descriptors ?? {}, restoreGeometryInterpolator),
+}));
 
 export class GeoMorpher {
   constructor({
     regularGeoJSON,
     cartogramGeoJSON,
+    keyframes = null,
     data = null,
     getData = null,
     joinColumn = "lsoa",
-    geoJSONJoinColumn = "code",
+    geoJSONJoinColumn = null,
     aggregations = {},
     normalize = true,
     projection = null,
     cartogramGridOptions = {},
+    stagger = null,
+    easing = null,
+    selection = null,
+    centroidPath = null,
+    weightProperty = null,
+    strict = false,
+    repair = false,
+    ringMatching = {},
+    simplify = null,
+    maxSegmentLength = null,
   }) {
-    this.regularGeoJSON = regularGeoJSON;
-    this.cartogramGeoJSON = cartogramGeoJSON;
+    // An explicit keyframe sequence supersedes the regular/cartogram pair:
+    // the first keyframe is the regular geography and the last the cartogram.
+    this.keyframes = Array.isArray(keyframes) && keyframes.length >= 2 ? keyframes : null;
+    this.regularGeoJSON = this.keyframes ? this.keyframes[0] : regularGeoJSON;
+    this.cartogramGeoJSON = this.keyframes ? this.keyframes[this.keyframes.length - 1] : cartogramGeoJSON;
     this.data = data;
     this.getData = getData;
-    this.joinColumn = joinColumn;
-    this.geoJSONJoinColumn = geoJSONJoinColumn;
+    // "auto" columns are resolved (and join keys normalised) by prepare().
+    this._joinRequest = {
+      joinColumn,
+      geoJSONJoinColumn: geoJSONJoinColumn ?? (joinColumn === AUTO_JOIN ? AUTO_JOIN : "code"),
+    };
+    this.joinColumn = this._joinRequest.joinColumn;
+    this.geoJSONJoinColumn = this._joinRequest.geoJSONJoinColumn;
+    this.autoJoin = this.joinColumn === AUTO_JOIN || this.geoJSONJoinColumn === AUTO_JOIN;
+    this._joinKeyIndex = null;
+    this._joinDetection = null;
     this.aggregations = aggregations;
     this.normalize = normalize;
     this.projection = projection;
+    this.strict = Boolean(strict);
+    this.repair = Boolean(repair);
+    this.weightProperty = weightProperty ?? null;
 
     // Auto-detect WGS84 if no projection is provided
     if (!this.projection && isLikelyWGS84(this.regularGeoJSON) === "WGS84") {
@@ -361,30 +301,59 @@ export class GeoMorpher {
     }
 
     this.cartogramGridOptions = cartogramGridOptions ?? {};
+    this.ringMatching = ringMatching ?? {};
+    this.simplify = simplify ?? null;
+    this.maxSegmentLength = maxSegmentLength;
+    this.levelsOfDetail = resolveLevelsOfDetail(this.simplify);
 
     this._normalizedCartogramGeoJSON = null;
+    this._normalizedKeyframeGeoJSONs = null;
+
+    this.stagger = stagger ?? null;
+    this._staggerSchedule = null;
+    this.easing = easing ?? null;
+    resolveEasing(this.easing);
+    this.selection = selection ?? null;
+    this._selection = resolveSelection(this.selection);
+    this.centroidPath = centroidPath ?? null;
+    this._centroidPath = resolveCentroidPath(this.centroidPath);
+    this._centroidControls = null;
+
+    this._events = createEmitter({ scope: "geo-morpher:GeoMorpher" });
 
     this.state = {
       prepared: false,
+      transition: false,
       regularEnriched: null,
       cartogramEnriched: null,
       regularWGS84: null,
       cartogramWGS84: null,
       geographyLookup: {},
       cartogramLookup: {},
+      keyframeWGS84: [],
+      keyframeLookups: [],
+      keyframeBaseProperties: [],
+      keyframeGeometryIssues: [],
       keyData: {},
       interpolators: {},
+      segments: [],
+      levels: [],
+      diagnostics: null,
     };
   }
 
-  ensureCartogramGeoJSON() {
+  /**
+   * Normalised cartogram geography. Generator descriptors are built from
+   * `regularGeoJSON`, which `prepare()` passes enriched with `data`.
+   */
+  ensureCartogramGeoJSON(regularGeoJSON = this.regularGeoJSON) {
     if (this._normalizedCartogramGeoJSON) {
       return this._normalizedCartogramGeoJSON;
     }
 
     this._normalizedCartogramGeoJSON = normalizeCartogramInput({
       input: this.cartogramGeoJSON,
-      regularGeoJSON: this.regularGeoJSON,
+      regularGeoJSON,
       joinProperty: this.geoJSONJoinColumn,
       gridOptions: this.cartogramGridOptions,
     });
@@ -392,82 +361,537 @@ export class GeoMorpher {
     return this._normalizedCartogramGeoJSON;
   }
 
-  async prepare() {
-    const modelData = await this.loadData();
+  /**
+   * Normalised target geographies in morph order, excluding the regular
+   * geography. Without explicit keyframes this is just the cartogram.
+   */
+  ensureKeyframeGeoJSONs(regularGeoJSON = this.regularGeoJSON) {
+    if (this._normalizedKeyframeGeoJSONs) {
+      return this._normalizedKeyframeGeoJSONs;
+    }
+
+    if (!this.keyframes) {
+      this._normalizedKeyframeGeoJSONs = [this.ensureCartogramGeoJSON(regularGeoJSON)];
+      return this._normalizedKeyframeGeoJSONs;
+    }
+
+    const intermediate = this.keyframes.slice(1, -1).map((input) => normalizeCartogramInput({
+      input,
+      regularGeoJSON,
+      joinProperty: this.geoJSONJoinColumn,
+      gridOptions: this.cartogramGridOptions,
+    }));
+
+    this._normalizedKeyframeGeoJSONs = [...intermediate, this.ensureCartogramGeoJSON(regularGeoJSON)];
+    return this._normalizedKeyframeGeoJSONs;
+  }
+
+  /**
+   * Load data and build every interpolator. Emits `prepared` on success and
+   * `error` (with `phase: "prepare"`) on failure; aborts are not reported.
+   *
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with `{ processed, total }` as interpolators are built
+   * @param {AbortSignal} [options.signal] - Aborts preparation between features; with a signal the build
+   *   yields to the event loop between feature batches so aborts from other tasks are seen
+   */
+  async prepare(options = {}) {
+    try {
+      await this._prepare(options);
+    } catch (error) {
+      if (!isAbortError(error) && !options?.signal?.aborted) this._emitError(error, "prepare");
+      throw error;
+    }
+    this._events.emit("prepared", { morpher: this });
+    return this;
+  }
+
+  async _prepare({ onProgress, signal } = {}) {
+    throwIfAborted(signal);
+    const rows = await this.loadData();
+    throwIfAborted(signal);
+    if (this.autoJoin) this._resolveJoinColumns(rows);
+    const modelData = this._alignJoinRows(rows);
+
+    // Generators read `value` from the enriched regular geography, so it can name a data column.
+    const regular = this._createKeyframe(this.regularGeoJSON, modelData);
+    const keyframes = [
+      regular,
+      ...this.ensureKeyframeGeoJSONs(regular.enriched).map((geojson) => this._createKeyframe(geojson, modelData)),
+    ];
 
-    const regularEnriched = enrichGeoData({
-      data: modelData,
-      geojson: cloneDeep(this.regularGeoJSON),
+    this.state = await this._buildState(keyframes, { data: modelData, onProgress, signal });
+    this._staggerSchedule = null;
+    this._centroidControls = null;
+    return this;
+  }
+
+  /**
+   * Pick the join columns with the best key overlap and index the regular
+   * geography's codes by their normalised form.
+   */
+  _resolveJoinColumns(rows) {
+    const { joinColumn, geoJSONJoinColumn } = this._joinRequest;
+    const detection = detectJoinColumns({
+      rows,
+      regularGeoJSON: this.regularGeoJSON,
+      cartogramGeoJSON: this.cartogramGeoJSON,
+      joinColumn: joinColumn === AUTO_JOIN ? null : joinColumn,
+      geoJSONJoinColumn: geoJSONJoinColumn === AUTO_JOIN ? null : geoJSONJoinColumn,
+    });
+
+    if (detection.geoJSONJoinColumn !== this.geoJSONJoinColumn) {
+      // Grid cartograms are keyed by the join property, so normalise them again.
+      this._normalizedCartogramGeoJSON = null;
+      this._normalizedKeyframeGeoJSONs = null;
+    }
+    this.joinColumn = detection.joinColumn;
+    this.geoJSONJoinColumn = detection.geoJSONJoinColumn;
+    this._joinKeyIndex = createJoinKeyIndex(this.regularGeoJSON, this.geoJSONJoinColumn);
+    this._joinDetection = detection;
+  }
+
+  _alignJoinRows(rows) {
+    return this._joinKeyIndex ? alignJoinRows(rows, this.joinColumn, this._joinKeyIndex) : rows;
+  }
+
+  /**
+   * Enrich one input geography, project it to WGS84, validate (and with
+   * `repair`, fix) its geometry and add centroids. `baseProperties` keeps the
+   * pre-enrichment properties for `setData()`. With automatic joins the
+   * codes are first rewritten to match the regular geography's.
+   */
+  _createKeyframe(input, data) {
+    const geojson = this._joinKeyIndex
+      ? alignJoinFeatures(input, this.geoJSONJoinColumn, this._joinKeyIndex).collection
+      : input;
+    const enriched = enrichGeoData({
+      data,
+      geojson: cloneDeep(geojson),
       joinColumn: this.joinColumn,
       geoJSONJoinColumn: this.geoJSONJoinColumn,
       aggregations: this.aggregations,
       normalize: this.normalize,
     });
+    const { collection: projected, issues } = validateFeatureCollection(
+      toWGS84FeatureCollection(enriched, this.projection),
+      { joinProperty: this.geoJSONJoinColumn, repair: this.repair }
+    );
+    return {
+      enriched,
+      wgs84: {
+        ...projected,
+        features: projected.features.map(withCentroid),
+      },
+      baseProperties: collectBaseProperties(geojson),
+      geometryIssues: issues,
+    };
+  }
 
-    const baseCartogramGeoJSON = this.ensureCartogramGeoJSON();
+  /**
+   * Check joins and build every interpolator for a keyframe sequence,
+   * returning the prepared state without assigning it.
+   */
+  async _buildState(keyframes, { data, onProgress, signal, transition = false }) {
+    const keyframeWGS84 = keyframes.map(({ wgs84 }) => wgs84);
+    const keyframeLookups = keyframeWGS84.map((collection) => createLookup(collection.features, (feature) =>
+      feature?.properties?.[this.geoJSONJoinColumn]
+    ));
 
-    const cartogramEnriched = enrichGeoData({
-      data: modelData,
-      geojson: cloneDeep(baseCartogramGeoJSON),
+    const joinDiagnostics = collectJoinDiagnostics({
+      keyframes: keyframeWGS84,
+      data,
       joinColumn: this.joinColumn,
       geoJSONJoinColumn: this.geoJSONJoinColumn,
-      aggregations: this.aggregations,
-      normalize: this.normalize,
     });
+    if (this.strict && hasJoinIssues(joinDiagnostics)) {
+      throw new GeoMorpherJoinError(joinDiagnostics);
+    }
 
-    const regularWGS84 = toWGS84FeatureCollection(regularEnriched, this.projection);
-    const cartogramWGS84 = toWGS84FeatureCollection(cartogramEnriched, this.projection);
+    const regularEnriched = keyframes[0].enriched;
+    const cartogramEnriched = keyframes[keyframes.length - 1].enriched;
+    const keyData = buildKeyData((regularEnriched ?? keyframeWGS84[0]).features, this.geoJSONJoinColumn);
+
+    const levelsOfDetail = this.levelsOfDetail;
+    const total = levelsOfDetail.length * keyframeLookups
+      .slice(0, -1)
+      .reduce((sum, lookup) => sum + Object.keys(lookup).length, 0);
+    let processed = 0;
+    const reportProgress = () => {
+      if (typeof onProgress === "function") {
+        onProgress({ processed, total });
+      }
+    };
+    const onFeature = () => {
+      processed += 1;
+      reportProgress();
+    };
 
-    const geographyLookup = createLookup(regularWGS84.features, (feature) =>
-      feature?.properties?.[this.geoJSONJoinColumn]
-    );
-    const cartogramLookup = createLookup(cartogramWGS84.features, (feature) =>
-      feature?.properties?.[this.geoJSONJoinColumn]
-    );
+    reportProgress();
+    const levels = [];
+    for (const level of levelsOfDetail) {
+      const lookups = level.tolerance > 0
+        ? keyframeWGS84.map((collection) => createLookup(
+          simplifyFeatureCollection(collection, level).features,
+          (feature) => feature?.properties?.[this.geoJSONJoinColumn]
+        ))
+        : keyframeLookups;
+
+      const segments = [];
+      for (let index = 0; index < lookups.length - 1; index += 1) {
+        segments.push({
+          interpolators: await buildSegmentInterpolators(lookups[index], lookups[index + 1], {
+            signal,
+            onFeature,
+            ringMatching: this.ringMatching,
+            maxSegmentLength: this.maxSegmentLength,
+          }),
+        });
+      }
+      levels.push({ ...level, segments });
+    }
+    const { segments } = levels[levels.length - 1];
 
-    const keyData = keyBy(
-      regularEnriched.features.map((feature) => ({
-        code: feature.properties?.[this.geoJSONJoinColumn],
-        population: Number(feature.properties?.population ?? 0),
-        data: feature,
-      })),
-      "code"
-    );
+    return {
+      prepared: true,
+      transition,
+      regularEnriched,
+      cartogramEnriched,
+      regularWGS84: keyframeWGS84[0],
+      cartogramWGS84: keyframeWGS84[keyframeWGS84.length - 1],
+      geographyLookup: keyframeLookups[0],
+      cartogramLookup: keyframeLookups[keyframeLookups.length - 1],
+      keyframeWGS84,
+      keyframeLookups,
+      keyframeBaseProperties: keyframes.map(({ baseProperties }) => baseProperties),
+      keyframeGeometryIssues: keyframes.map(({ geometryIssues }) => geometryIssues ?? {}),
+      keyData,
+      interpolators: segments[0].interpolators,
+      segments,
+      levels,
+      diagnostics: {
+        ...joinDiagnostics,
+        ...collectInterpolatorDiagnostics({ regularCodes: Object.keys(keyframeLookups[0]), segments }),
+        geometryIssues: summarizeGeometryIssues(keyframes.map(({ geometryIssues }) => geometryIssues)),
+        joinDetection: this._joinDetection,
+      },
+    };
+  }
 
-    const interpolators = {};
-    for (const [code, feature] of Object.entries(geographyLookup)) {
-      const cartogramFeature = cartogramLookup[code];
-      const geometryInterpolator = createGeometryInterpolator({
-        fromGeometry: feature?.geometry,
-        toGeometry: cartogramFeature?.geometry,
+  /**
+   * Replace the cartogram and rebuild only the interpolators: the regular
+   * geography and any intermediate keyframes are reused as they are.
+   * Emits `geometryChanged` with `reason: "cartogram"`.
+   *
+   * With `fromCurrent: true` the current cartogram becomes the starting
+   * keyframe, so factor 0 shows the old cartogram and factor 1 the new one.
+   * A later call without it morphs from the regular geography again.
+   *
+   * @param {Object|Array} input - Any input `normalizeCartogramInput` accepts
+   * @param {Object} [options]
+   * @param {Object} [options.gridOptions] - Grid options for this input; defaults to `cartogramGridOptions`
+   * @param {boolean} [options.fromCurrent=false] - Morph from the current cartogram instead of the regular geography
+   * @param {Function} [options.onProgress] - Called with `{ processed, total }` as interpolators are built
+   * @param {AbortSignal} [options.signal] - Aborts the rebuild between features, keeping the previous state
+   */
+  async setCartogram(input, { gridOptions, fromCurrent = false, onProgress, signal } = {}) {
+    if (fromCurrent) this.assertPrepared();
+    const nextGridOptions = gridOptions ?? this.cartogramGridOptions;
+    // Unprepared morphers normalise the input in prepare(), once the data is loaded.
+    let intermediate = null;
+    let cartogram = null;
+
+    if (this.isPrepared()) {
+      const previous = this.state;
+      intermediate = this.keyframes ? this.ensureKeyframeGeoJSONs().slice(0, -1) : [];
+      cartogram = normalizeCartogramInput({
+        input,
+        regularGeoJSON: previous.regularEnriched ?? previous.regularWGS84,
+        joinProperty: this.geoJSONJoinColumn,
+        gridOptions: nextGridOptions,
       });
+      try {
+        throwIfAborted(signal);
+        const data = this._alignJoinRows(await this.loadData());
+        const target = this._createKeyframe(cartogram, data);
+        const lastIndex = previous.keyframeWGS84.length - 1;
+        const reuse = (index) => ({
+          enriched: index === 0 ? previous.regularEnriched : index === lastIndex ? previous.cartogramEnriched : null,
+          wgs84: previous.keyframeWGS84[index],
+          baseProperties: previous.keyframeBaseProperties[index] ?? [],
+          geometryIssues: previous.keyframeGeometryIssues?.[index] ?? {},
+        });
+
+        let keyframes;
+        if (fromCurrent) {
+          keyframes = [reuse(lastIndex), target];
+        } else if (previous.transition) {
+          keyframes = [
+            ...[this.regularGeoJSON, ...intermediate].map((geojson) => this._createKeyframe(geojson, data)),
+            target,
+          ];
+        } else {
+          keyframes = [...previous.keyframeWGS84.slice(0, -1).map((_, index) => reuse(index)), target];
+        }
 
-      if (!geometryInterpolator) continue;
+        this.state = await this._buildState(keyframes, { data, onProgress, signal, transition: fromCurrent });
+        this._staggerSchedule = null;
+        this._centroidControls = null;
+      } catch (error) {
+        if (!isAbortError(error) && !signal?.aborted) this._emitError(error, "cartogram");
+        throw error;
+      }
+    }
 
-      interpolators[code] = geometryInterpolator;
+    this.cartogramGeoJSON = input;
+    this.cartogramGridOptions = nextGridOptions;
+    if (this.keyframes) this.keyframes = [...this.keyframes.slice(0, -1), input];
+    this._normalizedCartogramGeoJSON = cartogram;
+    this._normalizedKeyframeGeoJSONs = cartogram ? [...intermediate, cartogram] : null;
+
+    if (this.isPrepared()) {
+      this._events.emit("geometryChanged", { morpher: this, reason: "cartogram" });
     }
+    return this;
+  }
+
+  /**
+   * Subscribe to lifecycle events. Every payload carries `morpher`.
+   *
+   * - `prepared` – `prepare()` finished
+   * - `dataChanged` – `setData()` or `reloadData()` re-enriched the properties
+   * - `geometryChanged` – the interpolated output changed shape, with `reason`
+   *   `"stagger"`, `"easing"`, `"selection"`, `"centroidPath"` or `"cartogram"`
+   * - `error` – preparation or a data update failed, with `error` and `phase`
+   *
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, handler) {
+    return this._events.on(event, handler);
+  }
+
+  off(event, handler) {
+    this._events.off(event, handler);
+    return this;
+  }
+
+  /**
+   * Replace the tabular data and re-enrich feature properties while keeping
+   * the geometry interpolators. Emits `dataChanged` so adapters can refresh.
+   *
+   * @param {Array<Object>} rows - Data rows keyed by `joinColumn`
+   * @param {Object} [options]
+   * @param {Object} [options.aggregations] - Replacement aggregation spec
+   * @param {boolean} [options.normalize] - Replacement normalisation flag
+   */
+  setData(rows, { aggregations, normalize } = {}) {
+    const data = this._alignJoinRows(Array.isArray(rows) ? rows : []);
+    const diagnostics = this.isPrepared()
+      ? buildDiagnostics({
+        keyframes: this.state.keyframeWGS84,
+        data,
+        joinColumn: this.joinColumn,
+        geoJSONJoinColumn: this.geoJSONJoinColumn,
+        segments: this.state.segments,
+        regularLookup: this.state.geographyLookup,
+        keyframeGeometryIssues: this.state.keyframeGeometryIssues,
+        joinDetection: this._joinDetection,
+      })
+      : null;
+    if (this.strict && diagnostics && hasJoinIssues(diagnostics)) {
+      const error = new GeoMorpherJoinError(diagnostics);
+      this._emitError(error, "data");
+      throw error;
+    }
+
+    this.data = data;
+    if (typeof aggregations !== "undefined") this.aggregations = aggregations ?? {};
+    if (typeof normalize !== "undefined") this.normalize = normalize;
+
+    if (!this.isPrepared()) return this;
+
+    const enrichProperties = (features, baseProperties) => enrichGeoData({
+      data: this.data,
+      geojson: {
+        type: "FeatureCollection",
+        features: features.map((feature, index) => ({
+          type: "Feature",
+          properties: baseProperties?.length === features.length ? baseProperties[index] : feature.properties,
+          geometry: null,
+        })),
+      },
+      joinColumn: this.joinColumn,
+      geoJSONJoinColumn: this.geoJSONJoinColumn,
+      aggregations: this.aggregations,
+      normalize: this.normalize,
+    }).features.map((feature) => feature.properties);
+
+    const { keyframeWGS84: previous, keyframeBaseProperties = [] } = this.state;
+    const properties = previous.map((collection, index) =>
+      enrichProperties(collection.features, keyframeBaseProperties[index])
+    );
+
+    const keyframeWGS84 = previous.map((collection, index) => withProperties(collection, properties[index]));
+    const keyframeLookups = keyframeWGS84.map((collection) => createLookup(collection.features, (feature) =>
+      feature?.properties?.[this.geoJSONJoinColumn]
+    ));
+    const regularEnriched = withProperties(this.state.regularEnriched, properties[0]);
+    const cartogramEnriched = withProperties(this.state.cartogramEnriched, properties[properties.length - 1]);
 
+    this._staggerSchedule = null;
     this.state = {
-      prepared: true,
+      ...this.state,
       regularEnriched,
       cartogramEnriched,
-      regularWGS84: {
-        ...regularWGS84,
-        features: regularWGS84.features.map(withCentroid),
-      },
-      cartogramWGS84: {
-        ...cartogramWGS84,
-        features: cartogramWGS84.features.map(withCentroid),
-      },
-      geographyLookup: mapValues(geographyLookup, withCentroid),
-      cartogramLookup: mapValues(cartogramLookup, withCentroid),
-      keyData,
-      interpolators,
+      regularWGS84: keyframeWGS84[0],
+      cartogramWGS84: keyframeWGS84[keyframeWGS84.length - 1],
+      geographyLookup: keyframeLookups[0],
+      cartogramLookup: keyframeLookups[keyframeLookups.length - 1],
+      keyframeWGS84,
+      keyframeLookups,
+      keyData: buildKeyData((regularEnriched ?? keyframeWGS84[0]).features, this.geoJSONJoinColumn),
+      diagnostics,
     };
 
+    this._events.emit("dataChanged", { morpher: this });
     return this;
   }
 
+  /**
+   * Fetch fresh rows through `getData` and apply them with `setData()`.
+   * Failures emit `error` (with `phase: "data"`) before rejecting.
+   */
+  async reloadData() {
+    if (typeof this.getData !== "function") {
+      throw new Error("reloadData() requires a getData function");
+    }
+    let rows;
+    try {
+      rows = await this.getData();
+    } catch (error) {
+      this._emitError(error, "data");
+      throw error;
+    }
+    return this.setData(rows);
+  }
+
+  _emitError(error, phase) {
+    this._events.emit("error", { morpher: this, error, phase });
+  }
+
+  /**
+   * Serialise the prepared state so it can be restored with
+   * `GeoMorpher.fromPrepared()` without re-running `prepare()`. Options that
+   * hold functions (a custom easing, a predicate selection, ...) are left out
+   * and must be passed to `fromPrepared()` again.
+   */
+  toJSON() {
+    this.assertPrepared();
+    const options = {
+      joinColumn: this.joinColumn,
+      geoJSONJoinColumn: this.geoJSONJoinColumn,
+      aggregations: this.aggregations,
+      normalize: this.normalize,
+      easing: this.easing,
+      stagger: this.stagger,
+      selection: this.selection,
+      centroidPath: this.centroidPath,
+      weightProperty: this.weightProperty,
+      strict: this.strict,
+      repair: this.repair,
+      simplify: this.simplify,
+    };
+    return {
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      options: Object.fromEntries(Object.entries(options)
+        .map(([name, value]) => [name, toSnapshotValue(value)])
+        .filter(([, value]) => typeof value !== "undefined")),
+      joinDetection: this._joinDetection,
+      // Only the join keys of the data rows, enough to rebuild the data diagnostics.
+      dataKeys: Array.isArray(this.data) ? this.data.map((row) => row?.[this.joinColumn] ?? null) : null,
+      keyframes: this.state.keyframeWGS84,
+      baseProperties: this.state.keyframeBaseProperties,
+      keyData: this.state.keyData,
+      segments: serializeSegments(this.state.segments),
+      // The most detailed level reuses `segments` above.
+      levels: this.state.levels.map(({ tolerance, method, minZoom, segments }, index, levels) => ({
+        tolerance,
+        method,
+        minZoom,
+        segments: index === levels.length - 1 ? null : serializeSegments(segments),
+      })),
+    };
+  }
+
+  /**
+   * Rebuild a ready-to-use morpher from a `toJSON()` snapshot. Collections are
+   * already WGS84, so the restored instance uses the identity projection.
+   */
+  static fromPrepared(snapshot, options = {}) {
+    const parsed = typeof snapshot === "string" ? JSON.parse(snapshot) : snapshot;
+    assertValidSnapshot(parsed);
+
+    const { keyframes, keyData = {}, segments, baseProperties, levels, joinDetection = null, dataKeys = null } = parsed;
+    const morpher = new GeoMorpher({
+      ...(parsed.options ?? {}),
+      ...options,
+      keyframes,
+      projection: WGS84Projection,
+    });
+    morpher._joinDetection = joinDetection;
+    const diagnosticRows = Array.isArray(morpher.data) || !Array.isArray(dataKeys)
+      ? morpher.data
+      : dataKeys.map((key) => ({ [morpher.joinColumn]: key }));
+
+    const keyframeLookups = keyframes.map((collection) => createLookup(collection.features ?? [], (feature) =>
+      feature?.properties?.[morpher.geoJSONJoinColumn]
+    ));
+    const keyframeGeometryIssues = keyframes.map((collection) =>
+      validateFeatureCollection(collection, { joinProperty: morpher.geoJSONJoinColumn }).issues
+    );
+    const restoredSegments = restoreSegments(segments);
+    const restoredLevels = Array.isArray(levels) && levels.length
+      ? levels.map(({ tolerance = 0, method = null, minZoom = 0, segments: levelSegments }) => ({
+        tolerance,
+        method,
+        minZoom,
+        segments: levelSegments ? restoreSegments(levelSegments) : restoredSegments,
+      }))
+      : [{ tolerance: 0, method: null, minZoom: 0, segments: restoredSegments }];
+
+    morpher.state = {
+      prepared: true,
+      regularEnriched: null,
+      cartogramEnriched: null,
+      regularWGS84: keyframes[0],
+      cartogramWGS84: keyframes[keyframes.length - 1],
+      geographyLookup: keyframeLookups[0],
+      cartogramLookup: keyframeLookups[keyframeLookups.length - 1],
+      keyframeWGS84: keyframes,
+      keyframeLookups,
+      keyframeBaseProperties: Array.isArray(baseProperties) ? baseProperties : [],
+      // Snapshots hold the already repaired geometry, so this reports what is left.
+      keyframeGeometryIssues,
+      keyData,
+      interpolators: restoredSegments[0].interpolators,
+      segments: restoredSegments,
+      levels: restoredLevels,
+      diagnostics: buildDiagnostics({
+        keyframes,
+        data: diagnosticRows,
+        joinColumn: morpher.joinColumn,
+        geoJSONJoinColumn: morpher.geoJSONJoinColumn,
+        segments: restoredSegments,
+        regularLookup: keyframeLookups[0],
+        keyframeGeometryIssues,
+        joinDetection,
+      }),
+    };
+
+    return morpher;
+  }
+
   async loadData() {
     if (Array.isArray(this.data)) return this.data;
     if (typeof this.getData === "function") {
@@ -513,47 +937,371 @@ export class GeoMorpher {
     return cloneDeep(this.state.cartogramLookup);
   }
 
-  getInterpolatedFeatureCollection(factor = 0.5) {
+  /**
+   * Report join problems found during `prepare()`: codes present in only one
+   * geography, data keys matching no feature, duplicate codes, features
+   * without geometry, and features morphed via placeholder rings.
+   */
+  getDiagnostics() {
+    this.assertPrepared();
+    return cloneDeep(this.state.diagnostics);
+  }
+
+  getKeyframeCount() {
+    this.assertPrepared();
+    return this.state.keyframeWGS84.length;
+  }
+
+  getKeyframeFeatureCollection(index) {
+    this.assertPrepared();
+    const collection = this.state.keyframeWGS84[index];
+    if (!collection) {
+      throw new RangeError(`Keyframe index ${index} is out of range (0-${this.state.keyframeWGS84.length - 1})`);
+    }
+    return cloneDeep(collection);
+  }
+
+  /**
+   * Levels of detail built by `prepare()`, coarsest first. Without the
+   * `simplify` option there is a single full-resolution level.
+   */
+  getLevelsOfDetail() {
+    this.assertPrepared();
+    return this.state.levels.map(({ tolerance, method, minZoom }, index) => ({ index, tolerance, method, minZoom }));
+  }
+
+  /**
+   * Index of the level to draw at `zoom`: the most detailed level whose
+   * `minZoom` has been reached. Without a zoom the most detailed level wins.
+   */
+  getLevelOfDetailIndex(zoom) {
+    this.assertPrepared();
+    const { levels } = this.state;
+    if (!Number.isFinite(zoom)) return levels.length - 1;
+
+    let index = 0;
+    levels.forEach((level, levelIndex) => {
+      if (level.minZoom <= zoom) index = levelIndex;
+    });
+    return index;
+  }
+
+  /**
+   * Configure per-feature morph timing. Pass `null` to move every feature in
+   * lockstep again. See `createStaggerSchedule` for the supported options.
+   */
+  setStagger(options = null) {
+    this.stagger = options ?? null;
+    this._staggerSchedule = null;
+    this._events.emit("geometryChanged", { morpher: this, reason: "stagger" });
+    return this;
+  }
+
+  getStaggerSchedule(options = this.stagger) {
+    this.assertPrepared();
+    if (!options) return null;
+    if (options === this.stagger && this._staggerSchedule) {
+      return this._staggerSchedule;
+    }
+
+    const entries = Object.entries(this.state.geographyLookup).map(([code, feature]) => ({ code, feature }));
+    const schedule = createStaggerSchedule({ entries, options });
+    if (options === this.stagger) {
+      this._staggerSchedule = schedule;
+    }
+    return schedule;
+  }
+
+  /**
+   * Set the easing applied to morph factors. Accepts a name from `EASINGS`
+   * (e.g. "cubic", "sine", "elastic", "back", "step"), a function, or `null`
+   * for linear motion.
+   */
+  setEasing(easing = null) {
+    resolveEasing(easing);
+    this.easing = easing ?? null;
+    this._events.emit("geometryChanged", { morpher: this, reason: "easing" });
+    return this;
+  }
+
+  /**
+   * Bend centroid motion: `"arc"` (or `{ type: "arc", bulge }`) curves every
+   * route to the left of travel by `bulge` times its length, and `"repel"`
+   * (`{ type: "repel", radius, strength, iterations, maxBulge }`) pushes routes
+   * apart where they would meet mid-morph. `null` restores straight lines.
+   * Glyph layers read the same `centroid`, so they follow the curves too.
+   */
+  setCentroidPath(path = null) {
+    this._centroidPath = resolveCentroidPath(path);
+    this.centroidPath = path ?? null;
+    this._centroidControls = null;
+    this._events.emit("geometryChanged", { morpher: this, reason: "centroidPath" });
+    return this;
+  }
+
+  /**
+   * Control points of the curved centroid routes in each keyframe segment,
+   * keyed by code. Empty objects when centroids move in straight lines.
+   *
+   * @param {string|Object|null} [path] - Path options; defaults to the morpher's
+   * @returns {Array<Object<string, Array<number>>>}
+   */
+  getCentroidControls(path = this.centroidPath) {
+    this.assertPrepared();
+    const ownPath = path === this.centroidPath;
+    if (ownPath && this._centroidControls) {
+      return this._centroidControls;
+    }
+
+    const resolved = ownPath ? this._centroidPath : resolveCentroidPath(path);
+    const { keyframeLookups, geographyLookup } = this.state;
+    const controls = keyframeLookups.slice(0, -1).map((fromLookup, index) => createCentroidControls({
+      entries: Object.keys(geographyLookup).map((code) => ({
+        code,
+        from: fromLookup[code]?.centroid,
+        to: keyframeLookups[index + 1][code]?.centroid,
+      })),
+      path: resolved,
+    }));
+    if (ownPath) {
+      this._centroidControls = controls;
+    }
+    return controls;
+  }
+
+  /**
+   * Restrict the morph to a subset of features; the rest stay pinned at their
+   * regular geometry (or cartogram geometry with `pinTo: "cartogram"`).
+   * Pass `null` to morph every feature again. See `resolveSelection` for the
+   * accepted forms.
+   */
+  setSelection(selection = null) {
+    this._selection = resolveSelection(selection);
+    this.selection = selection ?? null;
+    this._events.emit("geometryChanged", { morpher: this, reason: "selection" });
+    return this;
+  }
+
+  /**
+   * Resolve the morph state of every feature at `factor`: its stagger window,
+   * easing, selection pin, keyframe segment and centroid route. `visit` is
+   * called once per feature that has an interpolator, with one record object
+   * that is reused across features.
+   */
+  _forEachMorphState(factor, { stagger, easing, selection, centroidPath, zoom, lod } = {}, visit) {
     this.assertPrepared();
     const clampedFactor = clampFactor(factor);
-    const features = [];
+    const levelIndex = Number.isInteger(lod) ? lod : this.getLevelOfDetailIndex(zoom);
+    const level = this.state.levels[levelIndex];
+    if (!level) {
+      throw new RangeError(`Level of detail ${levelIndex} is out of range (0-${this.state.levels.length - 1})`);
+    }
+    const { segments } = level;
+    const segmentCount = segments.length;
+    const schedule = stagger === false ? null : this.getStaggerSchedule(stagger ?? this.stagger);
+    const ease = resolveEasing(typeof easing === "undefined" ? this.easing : easing);
+    const activeSelection = typeof selection === "undefined" ? this._selection : resolveSelection(selection);
+    const centroidControls = centroidPath === false ? null : this.getCentroidControls(centroidPath ?? this.centroidPath);
+    const { geographyLookup, keyframeLookups } = this.state;
+
+    const record = {
+      factor: clampedFactor,
+      segmentCount,
+      staggered: Boolean(schedule),
+      eased: Boolean(ease),
+      selective: Boolean(activeSelection),
+    };
 
-    for (const [code, entry] of Object.entries(this.state.interpolators)) {
+    for (const code of Object.keys(geographyLookup)) {
+      const baseFeature = geographyLookup[code];
+      const pinned = activeSelection ? !activeSelection.includes(code, baseFeature.properties) : false;
+      // Pinned features skip staggering and easing so they sit exactly on a keyframe.
+      let featureFactor = clampedFactor;
+      if (pinned) {
+        featureFactor = activeSelection.pinnedFactor;
+      } else if (schedule) {
+        featureFactor = resolveStaggeredFactor(schedule[code], clampedFactor);
+      }
+      const eased = ease && !pinned ? ease(featureFactor) : featureFactor;
+      const easedFactor = Number.isFinite(eased) ? eased : featureFactor;
+      const { segmentIndex, localFactor } = resolveKeyframeSegment(easedFactor, segmentCount);
+      const entry = segments[segmentIndex].interpolators[code];
       if (!entry || typeof entry.interpolate !== "function") continue;
-      const baseFeature = this.state.geographyLookup[code];
-      const cartogramFeature = this.state.cartogramLookup[code];
-      if (!baseFeature) continue;
+      const fromFeature = keyframeLookups[segmentIndex][code] ?? baseFeature;
+      const toFeature = keyframeLookups[segmentIndex + 1][code];
+
+      record.code = code;
+      record.baseFeature = baseFeature;
+      record.entry = entry;
+      record.pinned = pinned;
+      record.featureFactor = featureFactor;
+      record.easedFactor = easedFactor;
+      record.segmentIndex = segmentIndex;
+      record.localFactor = localFactor;
+      record.fromCentroid = fromFeature.centroid;
+      record.toCentroid = toFeature?.centroid ?? fromFeature.centroid;
+      record.control = centroidControls?.[segmentIndex]?.[code];
+      visit(record);
+    }
+  }
+
+  /**
+   * @param {number} [factor=0.5] - Global morph factor in [0, 1]
+   * @param {Object} [options]
+   * @param {Object|false} [options.stagger] - Stagger options overriding the morpher's; `false` disables staggering
+   * @param {string|Function|null} [options.easing] - Easing overriding the morpher's; `null` forces linear
+   * @param {Array|Set|Function|Object|false} [options.selection] - Selection overriding the morpher's; `false` morphs every feature
+   * @param {string|Object|false} [options.centroidPath] - Centroid path overriding the morpher's; `false` moves centroids in straight lines
+   * @param {number} [options.zoom] - Map zoom used to pick a level of detail
+   * @param {number} [options.lod] - Explicit level-of-detail index, overriding `zoom`
+   * @param {boolean} [options.distortion=false] - Add `distortion_*` properties (see `getDistortionMetrics`)
+   */
+  getInterpolatedFeatureCollection(factor = 0.5, { distortion = false, ...options } = {}) {
+    const features = [];
 
-      const coordinates = entry.interpolate(clampedFactor);
+    this._forEachMorphState(factor, options, (record) => {
+      const coordinates = record.entry.interpolate(record.localFactor);
 
-      if (!coordinates || !Array.isArray(coordinates) || !coordinates.length) continue;
+      if (!coordinates || !Array.isArray(coordinates) || !coordinates.length) return;
 
-      const geometry = entry.type === "MultiPolygon"
-        ? { type: "MultiPolygon", coordinates }
-        : { type: "Polygon", coordinates };
+      const geometry = { type: record.entry.type, coordinates };
 
-      const centroid = interpolateCentroid(
-        baseFeature.centroid,
-        cartogramFeature?.centroid ?? baseFeature.centroid,
-        clampedFactor
-      );
+      const centroid = interpolateCentroid(record.fromCentroid, record.toCentroid, record.localFactor, record.control);
+
+      const properties = {
+        ...record.baseFeature.properties,
+        code: record.code,
+        morph_factor: record.factor,
+      };
+
+      if (record.staggered) {
+        properties.morph_local_factor = record.featureFactor;
+      }
+
+      if (record.selective) {
+        properties.morph_pinned = record.pinned;
+      }
+
+      if (record.eased) {
+        properties.morph_eased_factor = record.easedFactor;
+      }
+
+      if (record.segmentCount > 1) {
+        properties.morph_segment = record.segmentIndex;
+        properties.morph_segment_factor = record.localFactor;
+      }
 
       features.push(withCentroid({
         type: "Feature",
-        properties: {
-          ...baseFeature.properties,
-          code,
-          morph_factor: clampedFactor,
-        },
+        properties,
         geometry,
       }, centroid));
+    });
+
+    if (distortion) {
+      const metrics = computeDistortionMetrics({
+        features,
+        regularLookup: this.state.geographyLookup,
+        weightProperty: this.weightProperty,
+      });
+      for (const feature of features) {
+        const entry = metrics[feature.properties.code];
+        Object.assign(feature.properties, {
+          distortion_area_ratio: entry.areaRatio,
+          distortion_displacement_m: entry.centroidDisplacement,
+          distortion_compactness_change: entry.compactnessChange,
+          distortion_value_area_error: entry.valueAreaError,
+        });
+      }
     }
 
     return turf.featureCollection(features);
   }
 
-  getInterpolatedLookup(factor = 0.5) {
-    const collection = this.getInterpolatedFeatureCollection(factor);
+  /**
+   * Write the interpolated geometry into flat typed arrays instead of a
+   * GeoJSON tree. Pass the frame back in as `buffer` on the next call and its
+   * arrays are reused, so steady-state animation allocates almost nothing.
+   * See `createFrameBuffer` for the layout and `frameToFeatureCollection` to
+   * turn a frame back into GeoJSON.
+   *
+   * @param {number} [factor=0.5] - Global morph factor in [0, 1]
+   * @param {Object} [options] - Same overrides as `getInterpolatedFeatureCollection`, plus:
+   * @param {Object} [options.buffer] - Frame to overwrite; a new one is created when omitted
+   * @param {32|64} [options.precision=64] - Precision of a newly created frame
+   * @returns {Object} The written frame
+   */
+  getInterpolatedFrame(factor = 0.5, { buffer, precision, ...options } = {}) {
+    const frame = resetFrame(buffer ?? createFrameBuffer({ precision }), clampFactor(factor));
+    const centroid = [0, 0];
+
+    this._forEachMorphState(factor, options, (record) => {
+      const point = interpolateCentroid(record.fromCentroid, record.toCentroid, record.localFactor, record.control, centroid);
+      writeFrameFeature(frame, record.code, record.entry, record.localFactor, point);
+    });
+
+    return frame;
+  }
+
+  /**
+   * Iterate a fixed number of evenly spaced frames for offline rendering.
+   * Frame `i` sits at `from + (to - from) * i / (count - 1)`; the first and
+   * last frames land exactly on `from` and `to`, and the sequence is the same
+   * on every run. Easing is applied per feature, after staggering, just like
+   * interactive playback.
+   *
+   * @param {Object} options
+   * @param {number} options.count - Number of frames (a positive integer)
+   * @param {number} [options.from=0] - Factor of the first frame
+   * @param {number} [options.to=1] - Factor of the last frame
+   * @param {string|Function|null} [options.easing] - Easing overriding the morpher's
+   * @param {AbortSignal} [options.signal] - Stops the sequence between frames
+   * @yields {{ index: number, factor: number, featureCollection: Object }}
+   */
+  async *frames({ count, from = 0, to = 1, signal, ...options } = {}) {
+    if (!Number.isInteger(count) || count < 1) {
+      throw new RangeError(`Frame count must be a positive integer, got ${count}`);
+    }
+    if (!Number.isFinite(from) || !Number.isFinite(to)) {
+      throw new RangeError("Frame range bounds must be finite numbers");
+    }
+    resolveEasing(options.easing);
+    this.assertPrepared();
+
+    for (let index = 0; index < count; index += 1) {
+      throwIfAborted(signal);
+      const t = count === 1 ? 0 : index / (count - 1);
+      const factor = from * (1 - t) + to * t;
+      yield {
+        index,
+        factor,
+        featureCollection: this.getInterpolatedFeatureCollection(factor, options),
+      };
+    }
+  }
+
+  /**
+   * Measure how far every feature is distorted from its regular geometry at
+   * `factor`, using the same stagger, easing, selection and level of detail
+   * as `getInterpolatedFeatureCollection`.
+   *
+   * @param {number} [factor=1] - Global morph factor; `1` measures the cartogram
+   * @param {Object} [options] - Interpolation options, plus `weightProperty` to override the morpher's
+   * @returns {Object<string, Object>} Per code: `areaRatio` (morphed / regular area),
+   *   `centroidDisplacement` (metres), `compactness` (Polsby–Popper), `compactnessChange`
+   *   and `valueAreaError` (area share / weight share − 1; `null` without a weight property)
+   */
+  getDistortionMetrics(factor = 1, { weightProperty = this.weightProperty, ...options } = {}) {
+    const { features } = this.getInterpolatedFeatureCollection(factor, { ...options, distortion: false });
+    return computeDistortionMetrics({
+      features,
+      regularLookup: this.state.geographyLookup,
+      weightProperty,
+    });
+  }
+
+  getInterpolatedLookup(factor = 0.5, options = {}) {
+    const collection = this.getInterpolatedFeatureCollection(factor, options);
     return createLookup(collection.features, (feature) =>
       feature?.properties?.[this.geoJSONJoinColumn]
     );
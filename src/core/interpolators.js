@@ -0,0 +1,791 @@
+/**
+ * Geometry interpolators used by GeoMorpher.
+ *
+ * Rings are aligned once with flubber and then interpolated vertex by vertex,
+ * which keeps every interpolator reducible to plain JSON. Lines are resampled
+ * to a shared vertex count and points are single-vertex paths, so all three
+ * geometry families share the same aligned representation.
+ */
+
+import flubber from "flubber";
+import { solveAssignment } from "./assignment.js";
+import { signedRingArea } from "./rings.js";
+
+export const clampFactor = (value) => {
+  if (!Number.isFinite(value)) return 0;
+  if (value <= 0) return 0;
+  if (value >= 1) return 1;
+  return value;
+};
+
+export const isFiniteCoordinatePair = (value) => (
+  Array.isArray(value)
+  && value.length >= 2
+  && Number.isFinite(value[0])
+  && Number.isFinite(value[1])
+);
+
+const RING_VISIBILITY_EPSILON = 1e-3;
+const PLACEHOLDER_SCALE = 0.02;
+const MIN_PLACEHOLDER_SIZE = 1e-4;
+
+const ensureClosedRing = (ring) => {
+  if (!Array.isArray(ring) || ring.length === 0) return [];
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (!Array.isArray(first) || !Array.isArray(last)) return [];
+  if (first.length < 2 || last.length < 2) return [];
+  if (first[0] === last[0] && first[1] === last[1]) {
+    return ring.slice();
+  }
+  return [...ring, first];
+};
+
+const extractPolygons = (geometry) => {
+  if (!geometry) return [];
+  const toPolygon = (rings) => {
+    if (!Array.isArray(rings) || !rings[0]) return null;
+    const outer = ensureClosedRing(rings[0]);
+    if (outer.length < 4) return null;
+    const holes = rings
+      .slice(1)
+      .map((ring) => ensureClosedRing(ring))
+      .filter((ring) => ring.length >= 4);
+    return { outer, holes };
+  };
+
+  if (geometry.type === "Polygon") {
+    const polygon = toPolygon(geometry.coordinates);
+    return polygon ? [polygon] : [];
+  }
+  if (geometry.type === "MultiPolygon") {
+    const polygons = Array.isArray(geometry.coordinates) ? geometry.coordinates : [];
+    return polygons.map(toPolygon).filter(Boolean);
+  }
+  return [];
+};
+
+// RFC 7946 winding: exterior rings counterclockwise, holes clockwise. Renderers
+// such as MapLibre classify rings by winding, so holes must oppose their shell.
+const orientRing = (ring, clockwise) => {
+  if (!Array.isArray(ring) || ring.length < 4) return ring;
+  const isClockwise = signedRingArea(ring) < 0;
+  return isClockwise === clockwise ? ring : ring.slice().reverse();
+};
+
+const computeRingCentroid = (ring) => {
+  if (!Array.isArray(ring) || ring.length === 0) return [0, 0];
+  let sumX = 0;
+  let sumY = 0;
+  let count = 0;
+  for (const coordinate of ring) {
+    if (!Array.isArray(coordinate) || coordinate.length < 2) continue;
+    const [x, y] = coordinate;
+    if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
+    sumX += x;
+    sumY += y;
+    count += 1;
+  }
+  if (count === 0) return [0, 0];
+  return [sumX / count, sumY / count];
+};
+
+const computeRingBounds = (ring) => {
+  let minX = Number.POSITIVE_INFINITY;
+  let minY = Number.POSITIVE_INFINITY;
+  let maxX = Number.NEGATIVE_INFINITY;
+  let maxY = Number.NEGATIVE_INFINITY;
+
+  for (const coordinate of ring ?? []) {
+    if (!Array.isArray(coordinate) || coordinate.length < 2) continue;
+    const [x, y] = coordinate;
+    if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+  }
+
+  if (!Number.isFinite(minX) || !Number.isFinite(minY) || !Number.isFinite(maxX) || !Number.isFinite(maxY)) {
+    return { width: 0, height: 0 };
+  }
+
+  return {
+    width: Math.max(maxX - minX, 0),
+    height: Math.max(maxY - minY, 0),
+  };
+};
+
+const createPlaceholderRing = (referenceRing, center = null) => {
+  if (!Array.isArray(referenceRing) || referenceRing.length === 0) return null;
+  const centroid = isFiniteCoordinatePair(center) ? center : computeRingCentroid(referenceRing);
+  const [cx, cy] = centroid;
+  if (!Number.isFinite(cx) || !Number.isFinite(cy)) return null;
+
+  const { width, height } = computeRingBounds(referenceRing);
+  const span = Math.max(width, height);
+  const offset = Math.max(span * PLACEHOLDER_SCALE, MIN_PLACEHOLDER_SIZE);
+
+  const ring = [
+    [cx - offset, cy - offset],
+    [cx + offset, cy - offset],
+    [cx + offset, cy + offset],
+    [cx - offset, cy + offset],
+  ];
+
+  return ensureClosedRing(ring);
+};
+
+const distanceSquared = (a, b) => {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length < 2 || b.length < 2) return Number.POSITIVE_INFINITY;
+  const dx = a[0] - b[0];
+  const dy = a[1] - b[1];
+  return dx * dx + dy * dy;
+};
+
+const DEFAULT_AREA_WEIGHT = 1;
+
+/**
+ * Cost of morphing one ring into another: centroid distance in units of the
+ * typical ring size, plus the log ratio of the two areas weighted by
+ * `areaWeight`. Log ratios make halving and doubling equally costly.
+ */
+const createRingCostMatrix = (fromRings, toRings, { areaWeight = DEFAULT_AREA_WEIGHT } = {}) => {
+  const describe = (ring) => ({
+    centroid: computeRingCentroid(ring),
+    area: Math.abs(signedRingArea(ring)),
+  });
+  const fromStats = fromRings.map(describe);
+  const toStats = toRings.map(describe);
+
+  const areas = [...fromStats, ...toStats].map(({ area }) => area);
+  const meanArea = areas.reduce((sum, area) => sum + area, 0) / Math.max(areas.length, 1);
+  const scale = meanArea > 0 ? Math.sqrt(meanArea) : 1;
+  const epsilon = meanArea > 0 ? meanArea * 1e-9 : 1e-12;
+  const weight = Number.isFinite(areaWeight) ? Math.max(areaWeight, 0) : DEFAULT_AREA_WEIGHT;
+
+  return fromStats.map((from) => toStats.map((to) => {
+    const distance = Math.sqrt(distanceSquared(from.centroid, to.centroid)) / scale;
+    const areaRatio = Math.abs(Math.log((from.area + epsilon) / (to.area + epsilon)));
+    return distance + weight * areaRatio;
+  }));
+};
+
+/**
+ * Pair rings by minimum total cost (see `createRingCostMatrix`). Rings left
+ * over when the counts differ are returned with a `null` partner.
+ */
+const matchRingPairs = (fromRings, toRings, options = {}) => {
+  const costs = createRingCostMatrix(fromRings, toRings, options);
+  const assignment = fromRings.length && toRings.length
+    ? solveAssignment(costs)
+    : new Array(fromRings.length).fill(-1);
+
+  const pairs = fromRings.map((ring, fromIndex) => {
+    const toIndex = assignment[fromIndex];
+    return toIndex >= 0
+      ? { fromRing: ring, toRing: toRings[toIndex], fromIndex, toIndex }
+      : { fromRing: ring, toRing: null, fromIndex, toIndex: -1 };
+  });
+
+  const assigned = new Set(assignment);
+  toRings.forEach((ring, toIndex) => {
+    if (!assigned.has(toIndex)) {
+      pairs.push({ fromRing: null, toRing: ring, fromIndex: -1, toIndex });
+    }
+  });
+
+  return { pairs, costs };
+};
+
+const RING_VISIBILITY = {
+  always: () => true,
+  outgoing: (factor) => factor < 1 - RING_VISIBILITY_EPSILON,
+  incoming: (factor) => factor > RING_VISIBILITY_EPSILON,
+};
+
+/**
+ * Build a ring interpolator from two point lists that flubber has already
+ * resampled and rotated into correspondence. flubber's own interpolator is a
+ * plain per-vertex lerp, so keeping the aligned endpoints lets the result be
+ * serialised and rebuilt without re-running the alignment.
+ */
+const createAlignedRingInterpolator = ({ from, to, visibility = "always" }) => {
+  if (!Array.isArray(from) || !Array.isArray(to) || from.length !== to.length) {
+    throw new Error("Aligned ring endpoints must be arrays of equal length");
+  }
+
+  return {
+    from,
+    to,
+    visibility,
+    interpolate: (factor) => from.map((point, index) => {
+      const target = to[index];
+      return [
+        point[0] + (target[0] - point[0]) * factor,
+        point[1] + (target[1] - point[1]) * factor,
+      ];
+    }),
+    isVisible: RING_VISIBILITY[visibility] ?? RING_VISIBILITY.always,
+  };
+};
+
+const alignRings = (fromRing, toRing, maxSegmentLength) => {
+  const options = Number.isFinite(maxSegmentLength) && maxSegmentLength > 0
+    ? { string: false, maxSegmentLength }
+    : { string: false };
+  const interpolator = flubber.interpolate(fromRing, toRing, options);
+  return { from: interpolator(0), to: interpolator(1) };
+};
+
+const createRingInterpolator = ({ fromRing, toRing, fromCenter = null, toCenter = null, maxSegmentLength }) => {
+  if (fromRing && toRing) {
+    return createAlignedRingInterpolator(alignRings(fromRing, toRing, maxSegmentLength));
+  }
+
+  if (fromRing && !toRing) {
+    const placeholder = createPlaceholderRing(fromRing, toCenter);
+    if (!placeholder) {
+      const constantRing = ensureClosedRing(fromRing);
+      return createAlignedRingInterpolator({ from: constantRing, to: constantRing, visibility: "outgoing" });
+    }
+
+    return createAlignedRingInterpolator({ ...alignRings(fromRing, placeholder, maxSegmentLength), visibility: "outgoing" });
+  }
+
+  if (!fromRing && toRing) {
+    const placeholder = createPlaceholderRing(toRing, fromCenter);
+    if (!placeholder) {
+      const constantRing = ensureClosedRing(toRing);
+      return createAlignedRingInterpolator({ from: constantRing, to: constantRing, visibility: "incoming" });
+    }
+
+    return createAlignedRingInterpolator({ ...alignRings(placeholder, toRing, maxSegmentLength), visibility: "incoming" });
+  }
+
+  return null;
+};
+
+const interpolateVisibleRing = (entry, factor) => {
+  if (typeof entry.isVisible === "function" && !entry.isVisible(factor)) {
+    return null;
+  }
+
+  try {
+    return ensureClosedRing(entry.interpolate(factor));
+  } catch (error) {
+    return [];
+  }
+};
+
+const assemblePolygonInterpolator = ({ shell, holes }) => ({
+  shell,
+  holes,
+  interpolate: (factor) => {
+    const outer = interpolateVisibleRing(shell, factor);
+    if (!outer) return null;
+
+    const innerRings = holes
+      .map((entry) => interpolateVisibleRing(entry, factor))
+      .filter((ring) => Array.isArray(ring) && ring.length >= 4)
+      .map((ring) => orientRing(ring, true));
+
+    return [orientRing(outer, false), ...innerRings];
+  },
+});
+
+/**
+ * Pair the holes of two matched polygons. Unmatched holes collapse towards
+ * the centroid of the opposite shell so they vanish inside the polygon
+ * rather than drifting across the map.
+ */
+const createPolygonInterpolator = ({ fromPolygon, toPolygon, maxSegmentLength }) => {
+  const shell = createRingInterpolator({
+    fromRing: fromPolygon?.outer ?? null,
+    toRing: toPolygon?.outer ?? null,
+    maxSegmentLength,
+  });
+  if (!shell) return null;
+
+  const fromShellCenter = fromPolygon ? computeRingCentroid(fromPolygon.outer) : null;
+  const toShellCenter = toPolygon ? computeRingCentroid(toPolygon.outer) : fromShellCenter;
+
+  const holes = matchRingPairs(fromPolygon?.holes ?? [], toPolygon?.holes ?? []).pairs
+    .map(({ fromRing, toRing }) => createRingInterpolator({
+      fromRing,
+      toRing,
+      fromCenter: fromShellCenter ?? toShellCenter,
+      toCenter: toShellCenter,
+      maxSegmentLength,
+    }))
+    .filter(Boolean);
+
+  return assemblePolygonInterpolator({ shell, holes });
+};
+
+const assembleGeometryInterpolator = ({ type, polygons }) => ({
+  type,
+  polygons,
+  interpolate: (rawFactor) => {
+    // Not clamped: eased factors may overshoot and rings extrapolate with them.
+    const factor = Number.isFinite(rawFactor) ? rawFactor : 0;
+    const outputs = polygons
+      .map((entry) => entry.interpolate(factor))
+      .filter(Boolean);
+
+    const filteredPolygons = outputs.filter((rings) => rings[0].length >= 4);
+    const effectivePolygons = filteredPolygons.length ? filteredPolygons : outputs;
+
+    if (type === "Polygon") {
+      return effectivePolygons[0] ?? [[]];
+    }
+
+    return effectivePolygons;
+  },
+});
+
+const nearestIndex = (costs) => costs.reduce(
+  (best, cost, index) => (cost < costs[best] ? index : best),
+  0
+);
+
+/**
+ * Attach every unpaired ring to the paired ring it is cheapest to reach, so
+ * N islands can share one cartogram cell (merge) or one island can fan out
+ * into N cells (split). Returns groups keyed by the shared ring's index.
+ */
+const groupUnpairedRings = (pairs, costs) => {
+  const merges = new Map();
+  const splits = new Map();
+  const pairedFrom = pairs.filter(({ fromIndex, toIndex }) => fromIndex >= 0 && toIndex >= 0);
+  if (!pairedFrom.length) return { merges, splits };
+
+  for (const { fromIndex, toIndex } of pairs) {
+    if (toIndex < 0) {
+      const target = pairedFrom[nearestIndex(pairedFrom.map((pair) => costs[fromIndex][pair.toIndex]))];
+      if (!merges.has(target.toIndex)) merges.set(target.toIndex, [target.fromIndex]);
+      merges.get(target.toIndex).push(fromIndex);
+    } else if (fromIndex < 0) {
+      const source = pairedFrom[nearestIndex(pairedFrom.map((pair) => costs[pair.fromIndex][toIndex]))];
+      if (!splits.has(source.fromIndex)) splits.set(source.fromIndex, [source.toIndex]);
+      splits.get(source.fromIndex).push(toIndex);
+    }
+  }
+
+  return { merges, splits };
+};
+
+const PIECE_SEGMENTS_PER_SIDE = 4;
+
+// Densify the shared ring so flubber has enough vertices to triangulate it
+// into one piece per partner ring; its default segment length assumes pixels.
+const pieceOptions = (sharedRing, pieceCount, maxSegmentLength) => {
+  const { width, height } = computeRingBounds(sharedRing);
+  const span = Math.max(width, height);
+  const segments = PIECE_SEGMENTS_PER_SIDE * Math.max(pieceCount, 1);
+  const pieceLength = span > 0 ? span / segments : 10;
+  return {
+    string: false,
+    maxSegmentLength: Number.isFinite(maxSegmentLength) && maxSegmentLength > 0
+      ? Math.min(pieceLength, maxSegmentLength)
+      : pieceLength,
+  };
+};
+
+// flubber cuts the shared ring into one triangulated piece per partner ring.
+// Returns null when the ring cannot be cut, leaving the caller to fall back
+// to placeholder rings.
+const createPieceInterpolators = (createInterpolators) => {
+  try {
+    return createInterpolators().map((interpolator) => assemblePolygonInterpolator({
+      shell: createAlignedRingInterpolator({ from: interpolator(0), to: interpolator(1) }),
+      holes: [],
+    }));
+  } catch {
+    return null;
+  }
+};
+
+// Polygon and MultiPolygon branch of `createGeometryInterpolator`.
+const createPolygonalInterpolator = ({ fromGeometry, toGeometry, ringMatching = {}, maxSegmentLength }) => {
+  const fromPolygons = extractPolygons(fromGeometry);
+  const toPolygons = extractPolygons(toGeometry);
+
+  if (!fromPolygons.length && !toPolygons.length) {
+    return null;
+  }
+
+  const { pairs, costs } = matchRingPairs(
+    fromPolygons.map((polygon) => polygon.outer),
+    toPolygons.map((polygon) => polygon.outer),
+    ringMatching
+  );
+
+  const hasHoles = (polygon) => polygon.holes.length > 0;
+  const consumed = new Set();
+  const polygons = [];
+
+  if (ringMatching?.splitMerge) {
+    const { merges, splits } = groupUnpairedRings(pairs, costs);
+
+    // Pieces cannot carry holes, so groups involving holed polygons keep placeholders.
+    for (const [toIndex, fromIndices] of merges) {
+      if (hasHoles(toPolygons[toIndex]) || fromIndices.some((index) => hasHoles(fromPolygons[index]))) continue;
+      const pieces = createPieceInterpolators(() => flubber.combine(
+        fromIndices.map((index) => fromPolygons[index].outer),
+        toPolygons[toIndex].outer,
+        pieceOptions(toPolygons[toIndex].outer, fromIndices.length, maxSegmentLength)
+      ));
+      if (!pieces) continue;
+      polygons.push(...pieces);
+      fromIndices.forEach((index) => consumed.add(`from:${index}`));
+      consumed.add(`to:${toIndex}`);
+    }
+
+    for (const [fromIndex, toIndices] of splits) {
+      if (hasHoles(fromPolygons[fromIndex]) || toIndices.some((index) => hasHoles(toPolygons[index]))) continue;
+      const pieces = createPieceInterpolators(() => flubber.separate(
+        fromPolygons[fromIndex].outer,
+        toIndices.map((index) => toPolygons[index].outer),
+        pieceOptions(fromPolygons[fromIndex].outer, toIndices.length, maxSegmentLength)
+      ));
+      if (!pieces) continue;
+      polygons.push(...pieces);
+      toIndices.forEach((index) => consumed.add(`to:${index}`));
+      consumed.add(`from:${fromIndex}`);
+    }
+  }
+
+  for (const { fromIndex, toIndex } of pairs) {
+    if (consumed.has(`from:${fromIndex}`) || consumed.has(`to:${toIndex}`)) continue;
+    const polygon = createPolygonInterpolator({
+      fromPolygon: fromPolygons[fromIndex] ?? null,
+      toPolygon: toPolygons[toIndex] ?? null,
+      maxSegmentLength,
+    });
+    if (polygon) polygons.push(polygon);
+  }
+
+  if (!polygons.length) {
+    return null;
+  }
+
+  const type =
+    polygons.length === 1 && fromGeometry?.type !== "MultiPolygon" && toGeometry?.type !== "MultiPolygon"
+      ? "Polygon"
+      : "MultiPolygon";
+
+  return assembleGeometryInterpolator({ type, polygons });
+};
+
+const GEOMETRY_FAMILIES = {
+  Polygon: "polygon",
+  MultiPolygon: "polygon",
+  LineString: "line",
+  MultiLineString: "line",
+  Point: "point",
+  MultiPoint: "point",
+};
+
+const geometryFamily = (geometry) => GEOMETRY_FAMILIES[geometry?.type] ?? null;
+
+const extractPoints = (geometry) => {
+  if (geometry?.type === "Point") {
+    return isFiniteCoordinatePair(geometry.coordinates) ? [geometry.coordinates] : [];
+  }
+  if (geometry?.type === "MultiPoint") {
+    return (geometry.coordinates ?? []).filter(isFiniteCoordinatePair);
+  }
+  return [];
+};
+
+const extractLines = (geometry) => {
+  const clean = (line) => (Array.isArray(line) ? line.filter(isFiniteCoordinatePair) : []);
+  if (geometry?.type === "LineString") {
+    const line = clean(geometry.coordinates);
+    return line.length >= 2 ? [line] : [];
+  }
+  if (geometry?.type === "MultiLineString") {
+    return (geometry.coordinates ?? []).map(clean).filter((line) => line.length >= 2);
+  }
+  return [];
+};
+
+const lineLength = (line) => {
+  let length = 0;
+  for (let index = 1; index < line.length; index += 1) {
+    length += Math.sqrt(distanceSquared(line[index - 1], line[index]));
+  }
+  return length;
+};
+
+/**
+ * Resample a line to `count` vertices spaced evenly along its length, so two
+ * lines with different vertex counts can be interpolated vertex by vertex.
+ */
+const resampleLine = (line, count) => {
+  const total = lineLength(line);
+  if (count < 2 || total === 0) {
+    return Array.from({ length: Math.max(count, 1) }, () => [line[0][0], line[0][1]]);
+  }
+
+  const result = [];
+  let segment = 1;
+  let travelled = 0;
+  for (let index = 0; index < count; index += 1) {
+    const target = (total * index) / (count - 1);
+    let segmentLength = Math.sqrt(distanceSquared(line[segment - 1], line[segment]));
+    while (segment < line.length - 1 && travelled + segmentLength < target) {
+      travelled += segmentLength;
+      segment += 1;
+      segmentLength = Math.sqrt(distanceSquared(line[segment - 1], line[segment]));
+    }
+    const amount = segmentLength > 0 ? Math.min(Math.max((target - travelled) / segmentLength, 0), 1) : 0;
+    const [x0, y0] = line[segment - 1];
+    const [x1, y1] = line[segment];
+    result.push([x0 + (x1 - x0) * amount, y0 + (y1 - y0) * amount]);
+  }
+  return result;
+};
+
+const resolveLineVertexCount = (fromLine, toLine, maxSegmentLength) => {
+  const count = Math.max(fromLine.length, toLine.length);
+  if (!(Number.isFinite(maxSegmentLength) && maxSegmentLength > 0)) return count;
+  const longest = Math.max(lineLength(fromLine), lineLength(toLine));
+  return Math.max(count, Math.ceil(longest / maxSegmentLength) + 1);
+};
+
+const pairByCost = (fromItems, toItems, cost) => {
+  const costs = fromItems.map((from) => toItems.map((to) => cost(from, to)));
+  const assignment = fromItems.length && toItems.length
+    ? solveAssignment(costs)
+    : new Array(fromItems.length).fill(-1);
+  const assigned = new Set(assignment);
+  const unpairedTo = toItems.map((_, index) => index).filter((index) => !assigned.has(index));
+  return { assignment, unpairedTo, costs };
+};
+
+const translateCoordinates = (points, [dx, dy]) => points.map(([x, y]) => [x + dx, y + dy]);
+
+const anchorOffset = (fromAnchor, toAnchor) => (
+  isFiniteCoordinatePair(fromAnchor) && isFiniteCoordinatePair(toAnchor)
+    ? [toAnchor[0] - fromAnchor[0], toAnchor[1] - fromAnchor[1]]
+    : [0, 0]
+);
+
+const assembleLinealInterpolator = ({ type, lines }) => ({
+  type,
+  lines,
+  interpolate: (rawFactor) => {
+    const factor = Number.isFinite(rawFactor) ? rawFactor : 0;
+    const outputs = lines
+      .filter((entry) => entry.isVisible(factor))
+      .map((entry) => entry.interpolate(factor));
+    return type === "LineString" ? outputs[0] ?? [] : outputs;
+  },
+});
+
+const assemblePuntalInterpolator = ({ type, points }) => ({
+  type,
+  points,
+  interpolate: (rawFactor) => {
+    const factor = Number.isFinite(rawFactor) ? rawFactor : 0;
+    const outputs = points.map((entry) => entry.interpolate(factor)[0]);
+    return type === "Point" ? outputs[0] ?? [] : outputs;
+  },
+});
+
+/**
+ * Points pair with target points by minimum total travel. Surplus points
+ * converge on (or fan out from) their nearest partner. Without target points
+ * every point moves by the displacement between the two feature anchors.
+ */
+const createPuntalInterpolator = ({ fromGeometry, toGeometry, fromAnchor, toAnchor }) => {
+  const fromPoints = extractPoints(fromGeometry);
+  const toPoints = extractPoints(toGeometry);
+  const create = (from, to) => createAlignedRingInterpolator({ from: [from], to: [to] });
+  const pairs = [];
+
+  if (fromPoints.length && toPoints.length) {
+    const { assignment, unpairedTo, costs } = pairByCost(fromPoints, toPoints, distanceSquared);
+    fromPoints.forEach((point, index) => {
+      const target = assignment[index] >= 0 ? assignment[index] : nearestIndex(costs[index]);
+      pairs.push(create(point, toPoints[target]));
+    });
+    unpairedTo.forEach((index) => {
+      const source = nearestIndex(fromPoints.map((point) => distanceSquared(point, toPoints[index])));
+      pairs.push(create(fromPoints[source], toPoints[index]));
+    });
+  } else {
+    const points = fromPoints.length ? fromPoints : toPoints;
+    const offset = fromPoints.length ? anchorOffset(fromAnchor, toAnchor) : [0, 0];
+    const moved = translateCoordinates(points, offset);
+    points.forEach((point, index) => pairs.push(create(point, moved[index])));
+  }
+
+  if (!pairs.length) return null;
+  const type = pairs.length === 1 && fromGeometry?.type !== "MultiPoint" && toGeometry?.type !== "MultiPoint"
+    ? "Point"
+    : "MultiPoint";
+  return assemblePuntalInterpolator({ type, points: pairs });
+};
+
+/**
+ * Lines pair by centroid distance, are resampled to a shared vertex count and
+ * interpolated vertex by vertex. Surplus lines collapse to (or grow from) the
+ * opposite feature's anchor. Without target lines every line moves by the
+ * displacement between the two feature anchors.
+ */
+const createLinealInterpolator = ({ fromGeometry, toGeometry, fromAnchor, toAnchor, maxSegmentLength }) => {
+  const fromLines = extractLines(fromGeometry);
+  const toLines = extractLines(toGeometry);
+  const lines = [];
+
+  if (fromLines.length && toLines.length) {
+    const { assignment, unpairedTo } = pairByCost(fromLines, toLines, (from, to) =>
+      distanceSquared(computeRingCentroid(from), computeRingCentroid(to))
+    );
+    const collapsePoint = (anchor, line) => (isFiniteCoordinatePair(anchor) ? anchor : computeRingCentroid(line));
+
+    fromLines.forEach((line, index) => {
+      const target = assignment[index];
+      if (target >= 0) {
+        const count = resolveLineVertexCount(line, toLines[target], maxSegmentLength);
+        lines.push(createAlignedRingInterpolator({
+          from: resampleLine(line, count),
+          to: resampleLine(toLines[target], count),
+        }));
+      } else {
+        const point = collapsePoint(toAnchor, line);
+        lines.push(createAlignedRingInterpolator({
+          from: line,
+          to: line.map(() => [point[0], point[1]]),
+          visibility: "outgoing",
+        }));
+      }
+    });
+    unpairedTo.forEach((index) => {
+      const line = toLines[index];
+      const point = collapsePoint(fromAnchor, line);
+      lines.push(createAlignedRingInterpolator({
+        from: line.map(() => [point[0], point[1]]),
+        to: line,
+        visibility: "incoming",
+      }));
+    });
+  } else {
+    const source = fromLines.length ? fromLines : toLines;
+    const offset = fromLines.length ? anchorOffset(fromAnchor, toAnchor) : [0, 0];
+    source.forEach((line) => lines.push(createAlignedRingInterpolator({
+      from: line,
+      to: translateCoordinates(line, offset),
+    })));
+  }
+
+  if (!lines.length) return null;
+  const type = lines.length === 1 && fromGeometry?.type !== "MultiLineString" && toGeometry?.type !== "MultiLineString"
+    ? "LineString"
+    : "MultiLineString";
+  return assembleLinealInterpolator({ type, lines });
+};
+
+/**
+ * Build an interpolator between two geometries of the same family. Polygons,
+ * lines and points each keep their geometry type; the family is taken from
+ * `fromGeometry` (or `toGeometry` when the source has none).
+ *
+ * @param {Object} params
+ * @param {Object} params.fromGeometry - Source geometry
+ * @param {Object} params.toGeometry - Target geometry
+ * @param {Array<number>} [params.fromAnchor] - Source feature anchor, used when lines or points have no
+ *   counterpart of the same family
+ * @param {Array<number>} [params.toAnchor] - Target feature anchor
+ * @param {Object} [params.ringMatching]
+ * @param {number} [params.ringMatching.areaWeight=1] - Weight of area similarity against centroid distance
+ * @param {boolean} [params.ringMatching.splitMerge=false] - Morph surplus islands into a share of their
+ *   nearest partner instead of shrinking them to (or growing them from) a placeholder
+ * @param {number} [params.maxSegmentLength] - Densification: ring and line edges longer than this
+ *   (in coordinate units) are subdivided before alignment
+ */
+export const createGeometryInterpolator = ({
+  fromGeometry,
+  toGeometry,
+  fromAnchor = null,
+  toAnchor = null,
+  ringMatching = {},
+  maxSegmentLength,
+}) => {
+  const family = geometryFamily(fromGeometry) ?? geometryFamily(toGeometry);
+  const sameFamily = (geometry) => (geometryFamily(geometry) === family ? geometry : null);
+
+  if (family === "point") {
+    return createPuntalInterpolator({
+      fromGeometry: sameFamily(fromGeometry),
+      toGeometry: sameFamily(toGeometry),
+      fromAnchor,
+      toAnchor,
+    });
+  }
+
+  if (family === "line") {
+    return createLinealInterpolator({
+      fromGeometry: sameFamily(fromGeometry),
+      toGeometry: sameFamily(toGeometry),
+      fromAnchor,
+      toAnchor,
+      maxSegmentLength,
+    });
+  }
+
+  return createPolygonalInterpolator({ fromGeometry, toGeometry, ringMatching, maxSegmentLength });
+};
+
+const serializeRing = ({ from, to, visibility }) => ({ from, to, visibility });
+
+/**
+ * Reduce a geometry interpolator to plain JSON: the aligned endpoints and
+ * visibility mode of every shell, hole, line or point.
+ */
+export const serializeGeometryInterpolator = (interpolator) => {
+  if (interpolator.lines) {
+    return { type: interpolator.type, lines: interpolator.lines.map(serializeRing) };
+  }
+  if (interpolator.points) {
+    return { type: interpolator.type, points: interpolator.points.map(serializeRing) };
+  }
+  return {
+    type: interpolator.type,
+    polygons: interpolator.polygons.map(({ shell, holes }) => ({
+      shell: serializeRing(shell),
+      holes: holes.map(serializeRing),
+    })),
+  };
+};
+
+export const restoreGeometryInterpolator = (descriptor) => {
+  if (Array.isArray(descriptor?.lines)) {
+    return assembleLinealInterpolator({
+      type: descriptor.type === "MultiLineString" ? "MultiLineString" : "LineString",
+      lines: descriptor.lines.map(createAlignedRingInterpolator),
+    });
+  }
+
+  if (Array.isArray(descriptor?.points)) {
+    return assemblePuntalInterpolator({
+      type: descriptor.type === "MultiPoint" ? "MultiPoint" : "Point",
+      points: descriptor.points.map(createAlignedRingInterpolator),
+    });
+  }
+
+  if (!descriptor || !Array.isArray(descriptor.polygons)) {
+    throw new Error("Invalid geometry interpolator descriptor");
+  }
+
+  return assembleGeometryInterpolator({
+    type: descriptor.type === "MultiPolygon" ? "MultiPolygon" : "Polygon",
+    polygons: descriptor.polygons.map(({ shell, holes = [] }) => assemblePolygonInterpolator({
+      shell: createAlignedRingInterpolator(shell),
+      holes: holes.map(createAlignedRingInterpolator),
+    })),
+  });
+};
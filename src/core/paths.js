@@ -0,0 +1,169 @@
+/**
+ * Centroid paths.
+ *
+ * By default centroids travel in a straight line between keyframes. A path
+ * configuration bends each route into a quadratic Bézier curve by giving it a
+ * control point: `"arc"` offsets the control point sideways by a fixed bulge,
+ * and `"repel"` then nudges control points apart so routes that would pass
+ * through the same spot mid-morph swing around each other.
+ */
+
+import { isFiniteCoordinatePair } from "./interpolators.js";
+
+export const CENTROID_PATH_TYPES = Object.freeze(["linear", "arc", "repel"]);
+
+const DEFAULTS = {
+  arc: { bulge: 0.25 },
+  repel: { bulge: 0, strength: 0.5, iterations: 20, maxBulge: 0.5, radiusScale: 0.25 },
+};
+
+const finiteOr = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+
+/**
+ * Normalise centroid path options.
+ *
+ * @param {string|Object|null} path - `"linear"`, `"arc"`, `"repel"` or
+ *   `{ type, bulge, radius, strength, iterations, maxBulge }`
+ * @returns {Object|null} `null` for straight-line motion
+ */
+export function resolveCentroidPath(path) {
+  if (path == null || path === false) return null;
+  const options = typeof path === "string" ? { type: path } : path;
+  if (typeof options !== "object") {
+    throw new TypeError("Centroid path must be a type name or an options object");
+  }
+
+  const type = options.type ?? "arc";
+  if (!CENTROID_PATH_TYPES.includes(type)) {
+    throw new Error(`Unknown centroid path "${type}". Use one of: ${CENTROID_PATH_TYPES.join(", ")}`);
+  }
+  if (type === "linear") return null;
+
+  const defaults = DEFAULTS[type];
+  const resolved = { type, bulge: finiteOr(options.bulge, defaults.bulge) };
+  if (type === "repel") {
+    resolved.radius = Number.isFinite(options.radius) && options.radius > 0 ? options.radius : null;
+    resolved.strength = Math.min(Math.max(finiteOr(options.strength, defaults.strength), 0), 1);
+    resolved.iterations = Math.max(0, Math.floor(finiteOr(options.iterations, defaults.iterations)));
+    resolved.maxBulge = Math.max(0, finiteOr(options.maxBulge, defaults.maxBulge));
+    resolved.radiusScale = defaults.radiusScale;
+  }
+  return resolved;
+}
+
+/**
+ * Interpolate a centroid, following the control point when one is given.
+ * Factors outside [0, 1] extrapolate along the same curve. Pass `out` to
+ * write into an existing pair instead of allocating one.
+ */
+export function pointOnPath(from, to, control, factor, out = [0, 0]) {
+  if (!isFiniteCoordinatePair(control)) {
+    out[0] = from[0] + (to[0] - from[0]) * factor;
+    out[1] = from[1] + (to[1] - from[1]) * factor;
+    return out;
+  }
+  const u = 1 - factor;
+  out[0] = u * u * from[0] + 2 * u * factor * control[0] + factor * factor * to[0];
+  out[1] = u * u * from[1] + 2 * u * factor * control[1] + factor * factor * to[1];
+  return out;
+}
+
+const median = (values) => {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const createRoute = ({ code, from, to }, bulge) => {
+  const dx = to[0] - from[0];
+  const dy = to[1] - from[1];
+  const middle = [(from[0] + to[0]) / 2, (from[1] + to[1]) / 2];
+  // A positive bulge bends to the left of the direction of travel.
+  return {
+    code,
+    from,
+    to,
+    middle,
+    length: Math.hypot(dx, dy),
+    normal: [-dy, dx],
+    control: [middle[0] - dy * bulge, middle[1] + dx * bulge],
+  };
+};
+
+const curveMidpoint = (route) => pointOnPath(route.from, route.to, route.control, 0.5);
+
+const clampBulge = (route, maxBulge) => {
+  const limit = route.length * maxBulge;
+  const dx = route.control[0] - route.middle[0];
+  const dy = route.control[1] - route.middle[1];
+  const offset = Math.hypot(dx, dy);
+  if (offset > limit && offset > 0) {
+    route.control = [route.middle[0] + (dx / offset) * limit, route.middle[1] + (dy / offset) * limit];
+  }
+};
+
+const repelRoutes = (routes, { radius, strength, iterations, maxBulge, radiusScale }) => {
+  const moving = routes.filter((route) => route.length > 0);
+  const reach = radius ?? median(moving.map((route) => route.length)) * radiusScale;
+  if (!(reach > 0) || moving.length < 2) return;
+
+  for (let iteration = 0; iteration < iterations; iteration += 1) {
+    let nudged = false;
+    for (let i = 0; i < routes.length; i += 1) {
+      for (let j = i + 1; j < routes.length; j += 1) {
+        const a = routes[i];
+        const b = routes[j];
+        if (!a.length && !b.length) continue;
+
+        const midA = curveMidpoint(a);
+        const midB = curveMidpoint(b);
+        let dx = midB[0] - midA[0];
+        let dy = midB[1] - midA[1];
+        const distance = Math.hypot(dx, dy);
+        if (distance >= reach) continue;
+
+        if (distance === 0) {
+          // Coincident midpoints: separate along a moving route's normal.
+          [dx, dy] = (a.length ? a : b).normal;
+        }
+        const norm = Math.hypot(dx, dy);
+        const push = (reach - distance) * strength;
+        // Stationary routes stay put and moving ones take the whole push.
+        const shareA = a.length ? (b.length ? 0.5 : 1) : 0;
+        const shareB = 1 - shareA;
+        // Control points move twice as far as the curve midpoints they steer.
+        a.control = [a.control[0] - (dx / norm) * push * shareA * 2, a.control[1] - (dy / norm) * push * shareA * 2];
+        b.control = [b.control[0] + (dx / norm) * push * shareB * 2, b.control[1] + (dy / norm) * push * shareB * 2];
+        nudged = true;
+      }
+    }
+    moving.forEach((route) => clampBulge(route, maxBulge));
+    if (!nudged) break;
+  }
+};
+
+/**
+ * Compute a control point for every centroid route.
+ *
+ * Repulsion compares every pair of routes, so it costs O(n²) per iteration.
+ *
+ * @param {Object} params
+ * @param {Array<{ code: string, from: Array<number>, to: Array<number> }>} params.entries - Routes in a stable order
+ * @param {Object} params.path - Output of `resolveCentroidPath`
+ * @returns {Object<string, Array<number>>} Control point per code; routes that do not move are omitted
+ */
+export function createCentroidControls({ entries, path }) {
+  if (!path) return {};
+  const routes = entries
+    .filter(({ from, to }) => isFiniteCoordinatePair(from) && isFiniteCoordinatePair(to))
+    .map((entry) => createRoute(entry, path.bulge));
+
+  if (path.type === "repel") {
+    repelRoutes(routes, path);
+  }
+
+  return Object.fromEntries(routes
+    .filter((route) => route.length > 0)
+    .map((route) => [route.code, route.control]));
+}
@@ -0,0 +1,33 @@
+/**
+ * Ring measurements shared by the geometry modules.
+ */
+
+const readX = (vertex) => vertex[0];
+const readY = (vertex) => vertex[1];
+
+/**
+ * Signed area of a ring, positive when counterclockwise. Vertices are measured
+ * relative to the first one to avoid cancellation on small rings, which also
+ * makes open and closed rings measure the same.
+ *
+ * @param {Array} ring - Vertices; positions unless `x` and `y` say otherwise
+ * @param {Function} [x] - `(vertex, index) => number`, reading a vertex's x (defaults to `vertex[0]`)
+ * @param {Function} [y] - `(vertex, index) => number`, reading a vertex's y (defaults to `vertex[1]`)
+ * @returns {number}
+ */
+export function signedRingArea(ring, x = readX, y = readY) {
+  if (!ring?.length) return 0;
+  const originX = x(ring[0], 0);
+  const originY = y(ring[0], 0);
+  let area = 0;
+  let previousX = 0;
+  let previousY = 0;
+  for (let index = 1; index < ring.length; index += 1) {
+    const nextX = x(ring[index], index) - originX;
+    const nextY = y(ring[index], index) - originY;
+    area += previousX * nextY - nextX * previousY;
+    previousX = nextX;
+    previousY = nextY;
+  }
+  return area / 2;
+}
@@ -0,0 +1,49 @@
+/**
+ * Feature selection for partial morphs.
+ *
+ * A selection decides which features follow the morph factor; every other
+ * feature stays pinned at its regular (factor 0) or cartogram (factor 1)
+ * geometry.
+ */
+
+export const PIN_TARGETS = Object.freeze(["regular", "cartogram"]);
+
+const toCodeMatcher = (codes) => {
+  const set = new Set([...codes].map((code) => String(code)));
+  return (properties, code) => set.has(String(code));
+};
+
+const toMatcher = (value) => {
+  if (typeof value === "function") return value;
+  if (Array.isArray(value) || value instanceof Set) return toCodeMatcher(value);
+  return null;
+};
+
+/**
+ * Normalise a selection into `{ includes(code, properties), pinTo, pinnedFactor }`.
+ *
+ * @param {Array|Set|Function|Object|null} selection - Codes to morph, a
+ *   `(properties, code) => boolean` predicate, or `{ codes | filter, pinTo }`
+ *   where `pinTo` is `"regular"` (default) or `"cartogram"`. `null` morphs every feature.
+ * @returns {Object|null}
+ */
+export function resolveSelection(selection) {
+  if (selection == null || selection === false) return null;
+
+  const isOptions = typeof selection === "object" && !Array.isArray(selection) && !(selection instanceof Set);
+  const { codes, filter, pinTo = "regular" } = isOptions ? selection : {};
+  const matcher = isOptions ? toMatcher(filter ?? codes) : toMatcher(selection);
+
+  if (!matcher) {
+    throw new TypeError("Selection must be an array or Set of codes, a predicate, or { codes | filter, pinTo }");
+  }
+  if (!PIN_TARGETS.includes(pinTo)) {
+    throw new Error(`Unknown pinTo "${pinTo}". Use one of: ${PIN_TARGETS.join(", ")}`);
+  }
+
+  return {
+    includes: (code, properties) => Boolean(matcher(properties ?? {}, code)),
+    pinTo,
+    pinnedFactor: pinTo === "cartogram" ? 1 : 0,
+  };
+}
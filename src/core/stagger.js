@@ -0,0 +1,117 @@
+/**
+ * Per-feature morph timing.
+ *
+ * A stagger schedule assigns every feature a `{ delay, duration }` window on
+ * the global [0, 1] timeline; the global factor is remapped into that window
+ * so features can move into the cartogram one after another.
+ */
+
+import * as turf from "@turf/turf";
+import { clampFactor, isFiniteCoordinatePair } from "./interpolators.js";
+
+const DEFAULT_DURATION = 0.5;
+
+const normalizeDuration = (value) => {
+  if (!Number.isFinite(value) || value <= 0) return DEFAULT_DURATION;
+  return Math.min(value, 1);
+};
+
+const toWindow = (value, duration) => {
+  if (value && typeof value === "object") {
+    const windowDuration = normalizeDuration(value.duration ?? duration);
+    const delay = Math.min(clampFactor(value.delay ?? 0), 1 - windowDuration);
+    return { delay, duration: windowDuration };
+  }
+
+  // Plain numbers are treated as a position on the timeline in [0, 1].
+  return { delay: clampFactor(value) * (1 - duration), duration };
+};
+
+const compareRanked = (order) => (a, b) => {
+  const aMissing = !Number.isFinite(a.value);
+  const bMissing = !Number.isFinite(b.value);
+  if (aMissing || bMissing) {
+    if (aMissing && bMissing) return a.index - b.index;
+    return aMissing ? 1 : -1;
+  }
+  const delta = order === "descending" ? b.value - a.value : a.value - b.value;
+  return delta !== 0 ? delta : a.index - b.index;
+};
+
+const scoreFeatures = ({ entries, by, attribute, focus }) => {
+  if (by === "attribute") {
+    if (!attribute) {
+      throw new Error('Stagger by "attribute" requires an `attribute` property name');
+    }
+    return entries.map(({ feature }) => {
+      const raw = feature?.properties?.[attribute];
+      return raw === null || raw === undefined || raw === "" ? Number.NaN : Number(raw);
+    });
+  }
+
+  if (by === "distance") {
+    if (!isFiniteCoordinatePair(focus)) {
+      throw new Error('Stagger by "distance" requires a `focus` [lng, lat] coordinate');
+    }
+    return entries.map(({ feature }) => (
+      isFiniteCoordinatePair(feature?.centroid)
+        ? turf.distance(focus, feature.centroid, { units: "kilometers" })
+        : Number.NaN
+    ));
+  }
+
+  throw new Error(`Unsupported stagger mode "${by}". Use "attribute", "distance", or a function.`);
+};
+
+/**
+ * Build a stagger schedule for a set of features.
+ *
+ * @param {Object} params
+ * @param {Array<{code: string, feature: Object}>} params.entries - Features keyed by join code
+ * @param {Object} params.options - Stagger options
+ * @param {"attribute"|"distance"|Function} params.options.by - Ordering strategy or callback
+ * @param {string} [params.options.attribute] - Property to sort by when `by` is "attribute"
+ * @param {[number, number]} [params.options.focus] - [lng, lat] origin when `by` is "distance"
+ * @param {"ascending"|"descending"} [params.options.order="ascending"] - Sort direction
+ * @param {number} [params.options.duration=0.5] - Share of the timeline each feature takes
+ * @returns {Object<string, {delay: number, duration: number}>}
+ */
+export function createStaggerSchedule({ entries, options }) {
+  const {
+    by,
+    attribute,
+    focus,
+    order = "ascending",
+  } = options ?? {};
+  const duration = normalizeDuration(options?.duration);
+  const schedule = {};
+
+  if (typeof by === "function") {
+    entries.forEach(({ code, feature }, index) => {
+      schedule[code] = toWindow(by({ code, feature, index, count: entries.length }), duration);
+    });
+    return schedule;
+  }
+
+  const values = scoreFeatures({ entries, by, attribute, focus });
+  const ranked = entries
+    .map(({ code }, index) => ({ code, index, value: values[index] }))
+    .sort(compareRanked(order));
+
+  const lastRank = Math.max(ranked.length - 1, 1);
+  ranked.forEach(({ code }, rank) => {
+    schedule[code] = toWindow(rank / lastRank, duration);
+  });
+
+  return schedule;
+}
+
+/**
+ * Remap a global morph factor into a feature's local factor.
+ */
+export function resolveStaggeredFactor(window, factor) {
+  if (!window) return clampFactor(factor);
+  const { delay, duration } = window;
+  if (duration <= 0) return factor >= delay ? 1 : 0;
+  return clampFactor((factor - delay) / duration);
+}
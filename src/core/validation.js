@@ -0,0 +1,278 @@
+/**
+ * Input geometry validation and repair.
+ *
+ * Flags the defects that make flubber produce distorted shapes or push
+ * `createGeometryInterpolator` onto its empty-ring fallback: non-finite
+ * coordinates, repeated consecutive vertices, unclosed rings, rings with no
+ * area, self-intersecting rings and windings that break the RFC 7946 rule
+ * (shells counterclockwise, holes clockwise). With `repair` everything except
+ * self-intersections is fixed.
+ */
+
+import { signedRingArea } from "./rings.js";
+
+export const GEOMETRY_ISSUE_TYPES = Object.freeze([
+  "nonFiniteCoordinates",
+  "duplicateVertices",
+  "unclosedRing",
+  "degenerateRing",
+  "degenerateLine",
+  "wrongWinding",
+  "selfIntersection",
+  "emptyGeometry",
+]);
+
+const isFinitePosition = (position) => Array.isArray(position)
+  && Number.isFinite(position[0])
+  && Number.isFinite(position[1]);
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+/**
+ * Drop non-finite positions and consecutive duplicates, reporting how many
+ * of each were found.
+ */
+const cleanPositions = (positions) => {
+  const cleaned = [];
+  let nonFinite = 0;
+  let duplicates = 0;
+  for (const position of Array.isArray(positions) ? positions : []) {
+    if (!isFinitePosition(position)) {
+      nonFinite += 1;
+    } else if (cleaned.length && samePosition(cleaned[cleaned.length - 1], position)) {
+      duplicates += 1;
+    } else {
+      cleaned.push(position);
+    }
+  }
+  return { cleaned, nonFinite, duplicates };
+};
+
+const orientation = (a, b, c) => {
+  const value = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  return Math.sign(value);
+};
+
+const onSegment = (a, b, point) => point[0] >= Math.min(a[0], b[0]) && point[0] <= Math.max(a[0], b[0])
+  && point[1] >= Math.min(a[1], b[1]) && point[1] <= Math.max(a[1], b[1]);
+
+/**
+ * Whether segment `a`–`b` touches segment `c`–`d`, including collinear overlap.
+ */
+export const segmentsIntersect = (a, b, c, d) => {
+  const o1 = orientation(a, b, c);
+  const o2 = orientation(a, b, d);
+  const o3 = orientation(c, d, a);
+  const o4 = orientation(c, d, b);
+  if (o1 !== o2 && o3 !== o4) return true;
+  return (o1 === 0 && onSegment(a, b, c))
+    || (o2 === 0 && onSegment(a, b, d))
+    || (o3 === 0 && onSegment(c, d, a))
+    || (o4 === 0 && onSegment(c, d, b));
+};
+
+/**
+ * Whether two non-adjacent edges of a closed ring touch. Edges are swept in
+ * order of their left end so only edges overlapping in x are compared.
+ */
+const hasSelfIntersection = (ring) => {
+  const edgeCount = ring.length - 1;
+  if (edgeCount < 4) return false;
+
+  const edges = [];
+  for (let index = 0; index < edgeCount; index += 1) {
+    const a = ring[index];
+    const b = ring[index + 1];
+    edges.push({ index, a, b, minX: Math.min(a[0], b[0]), maxX: Math.max(a[0], b[0]) });
+  }
+  edges.sort((left, right) => left.minX - right.minX);
+
+  const active = [];
+  for (const edge of edges) {
+    for (let slot = active.length - 1; slot >= 0; slot -= 1) {
+      const other = active[slot];
+      if (other.maxX < edge.minX) {
+        active.splice(slot, 1);
+        continue;
+      }
+      const gap = Math.abs(edge.index - other.index);
+      // Neighbouring edges share a vertex, including the first and last.
+      if (gap === 1 || gap === edgeCount - 1) continue;
+      if (segmentsIntersect(edge.a, edge.b, other.a, other.b)) return true;
+    }
+    active.push(edge);
+  }
+  return false;
+};
+
+/**
+ * Check one polygon ring. Returns the ring to keep (closed, deduplicated and
+ * correctly wound when repairing) or `null` when it should be dropped.
+ */
+const checkRing = (ring, { isHole, location, repair, issues }) => {
+  const report = (type, extra = {}, repaired = repair) => {
+    issues.push({ type, ...location, ...extra, repaired });
+  };
+
+  const { cleaned, nonFinite, duplicates } = cleanPositions(ring);
+  if (nonFinite) report("nonFiniteCoordinates", { count: nonFinite });
+  if (duplicates) report("duplicateVertices", { count: duplicates });
+
+  const closed = cleaned.length > 1 && samePosition(cleaned[0], cleaned[cleaned.length - 1]);
+  const first = Array.isArray(ring) ? ring[0] : null;
+  const last = Array.isArray(ring) ? ring[ring.length - 1] : null;
+  const inputClosed = isFinitePosition(first) && isFinitePosition(last) && samePosition(first, last);
+  if (!inputClosed && cleaned.length > 1) report("unclosedRing");
+
+  const shape = closed ? cleaned : cleaned.length ? [...cleaned, cleaned[0]] : cleaned;
+  const area = signedRingArea(shape);
+  const selfIntersecting = shape.length >= 4 && hasSelfIntersection(shape);
+  // A bow tie can have zero net area without being flat; only flat rings are dropped.
+  if (shape.length < 4 || (area === 0 && !selfIntersecting)) {
+    report("degenerateRing");
+    return null;
+  }
+
+  const wound = area === 0 || (area < 0) === isHole;
+  if (!wound) report("wrongWinding");
+  if (selfIntersecting) report("selfIntersection", {}, false);
+
+  if (!repair) return ring;
+  return wound ? shape : [...shape].reverse();
+};
+
+const checkPolygon = (rings, { polygon, repair, issues }) => {
+  const kept = [];
+  for (const [index, ring] of (Array.isArray(rings) ? rings : []).entries()) {
+    const location = polygon === null ? { ring: index } : { polygon, ring: index };
+    const result = checkRing(ring, { isHole: index > 0, location, repair, issues });
+    if (index === 0 && !result) {
+      // Without a shell the holes have nothing to cut.
+      return null;
+    }
+    if (result) kept.push(result);
+  }
+  return kept.length ? kept : null;
+};
+
+const checkLine = (line, { location, repair, issues }) => {
+  const { cleaned, nonFinite, duplicates } = cleanPositions(line);
+  if (nonFinite) issues.push({ type: "nonFiniteCoordinates", ...location, count: nonFinite, repaired: repair });
+  if (duplicates) issues.push({ type: "duplicateVertices", ...location, count: duplicates, repaired: repair });
+  if (cleaned.length < 2) {
+    issues.push({ type: "degenerateLine", ...location, repaired: repair });
+    return null;
+  }
+  return repair ? cleaned : line;
+};
+
+const checkPoint = (point, { location, repair, issues }) => {
+  if (isFinitePosition(point)) return point;
+  issues.push({ type: "nonFiniteCoordinates", ...location, count: 1, repaired: repair });
+  return null;
+};
+
+// Repairs that would leave nothing behind keep the original geometry instead.
+const markUnrepaired = (issues) => issues.map((issue) => ({ ...issue, repaired: false }));
+
+/**
+ * Validate one geometry.
+ *
+ * @param {Object|null} geometry - GeoJSON geometry
+ * @param {Object} [options]
+ * @param {boolean} [options.repair=false] - Return a repaired copy of the geometry
+ * @returns {{ issues: Array<Object>, geometry: Object|null }} Each issue has a `type` from
+ *   `GEOMETRY_ISSUE_TYPES`, its location (`polygon`, `ring`, `line` or `point` index), a `count`
+ *   where relevant and whether it was `repaired`. `geometry` is the input unless repairs were made.
+ */
+export function validateGeometry(geometry, { repair = false } = {}) {
+  const issues = [];
+  if (!geometry || !Array.isArray(geometry.coordinates)) {
+    return { issues, geometry };
+  }
+
+  const { type, coordinates } = geometry;
+  let repaired = null;
+
+  switch (type) {
+    case "Polygon": {
+      repaired = checkPolygon(coordinates, { polygon: null, repair, issues });
+      break;
+    }
+    case "MultiPolygon": {
+      const polygons = coordinates
+        .map((rings, polygon) => checkPolygon(rings, { polygon, repair, issues }))
+        .filter(Boolean);
+      repaired = polygons.length ? polygons : null;
+      break;
+    }
+    case "LineString": {
+      repaired = checkLine(coordinates, { location: {}, repair, issues });
+      break;
+    }
+    case "MultiLineString": {
+      const lines = coordinates
+        .map((line, index) => checkLine(line, { location: { line: index }, repair, issues }))
+        .filter(Boolean);
+      repaired = lines.length ? lines : null;
+      break;
+    }
+    case "Point": {
+      repaired = checkPoint(coordinates, { location: {}, repair, issues });
+      break;
+    }
+    case "MultiPoint": {
+      const points = coordinates
+        .map((point, index) => checkPoint(point, { location: { point: index }, repair, issues }))
+        .filter(Boolean);
+      repaired = points.length ? points : null;
+      break;
+    }
+    default:
+      return { issues, geometry };
+  }
+
+  if (!repaired) {
+    return {
+      issues: [...(repair ? markUnrepaired(issues) : issues), { type: "emptyGeometry", repaired: false }],
+      geometry,
+    };
+  }
+  if (!repair || !issues.some((issue) => issue.repaired)) {
+    return { issues, geometry };
+  }
+  return { issues, geometry: { ...geometry, coordinates: repaired } };
+}
+
+/**
+ * Validate every feature of a collection, keyed by join code.
+ *
+ * @param {Object} collection - GeoJSON FeatureCollection
+ * @param {Object} [options]
+ * @param {string} [options.joinProperty="code"] - Property used as the feature code
+ * @param {boolean} [options.repair=false] - Replace repairable geometries in the returned collection
+ * @returns {{ collection: Object, issues: Object<string, Array<Object>>, repairedCount: number }}
+ *   Features without a code are repaired but not reported. `collection` is the input when
+ *   nothing was repaired.
+ */
+export function validateFeatureCollection(collection, { joinProperty = "code", repair = false } = {}) {
+  const issues = {};
+  let repairedCount = 0;
+
+  const features = (collection?.features ?? []).map((feature) => {
+    const result = validateGeometry(feature?.geometry, { repair });
+    const code = feature?.properties?.[joinProperty];
+    if (result.issues.length && code) {
+      issues[String(code)] = [...(issues[String(code)] ?? []), ...result.issues];
+    }
+    if (result.geometry === feature?.geometry) return feature;
+    repairedCount += 1;
+    return { ...feature, geometry: result.geometry };
+  });
+
+  return {
+    collection: repairedCount ? { ...collection, features } : collection,
+    issues,
+    repairedCount,
+  };
+}
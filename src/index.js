@@ -2,12 +2,27 @@ import { GeoMorpher } from "./core/geomorpher.js";
 import { createLeafletMorphLayers, createLeafletGlyphLayer, createLeafletIcon } from "./adapters/leaflet/index.js";
 import { createMapLibreMorphLayers, createMapLibreGlyphLayer, createMapLibreCustomGlyphLayer, createMapLibreMarkerData } from "./adapters/maplibre/index.js";
 import { WGS84Projection, WebMercatorProjection, isLikelyWGS84, createProj4Projection } from "./utils/projections.js";
-import { parseCSV } from "./utils/csv.js";
+import { parseCSV, formatCSV } from "./utils/csv.js";
+import { detectJoinColumns, normalizeJoinValue } from "./utils/joinKeys.js";
 import {
 	createGridCartogramFeatureCollection,
+	createDorlingCartogram,
+	createContiguousCartogram,
+	createDemersCartogram,
+	createOlsonCartogram,
+	CARTOGRAM_GENERATORS,
 	normalizeCartogramInput,
 } from "./utils/cartogram.js";
+import { generateGridLayout } from "./utils/gridLayout.js";
 import { flattenPositions } from "./adapters/shared/geometry.js";
+import { createStaggerSchedule } from "./core/stagger.js";
+import { resolveSelection } from "./core/selection.js";
+import { resolveCentroidPath } from "./core/paths.js";
+import { createFrameBuffer, frameToFeatureCollection } from "./core/frames.js";
+import { EASINGS, steps, resolveEasing } from "./core/easing.js";
+import { GeoMorpherJoinError } from "./core/diagnostics.js";
+import { validateGeometry, validateFeatureCollection, GEOMETRY_ISSUE_TYPES } from "./core/validation.js";
+import { simplifyFeatureCollection, simplifyLine } from "./utils/simplify.js";
 
 export { 
   GeoMorpher, 
@@ -24,9 +39,32 @@ export {
   isLikelyWGS84,
 	createProj4Projection,
 	parseCSV,
+	formatCSV,
+	detectJoinColumns,
+	normalizeJoinValue,
 	createGridCartogramFeatureCollection,
+	createDorlingCartogram,
+	createContiguousCartogram,
+	createDemersCartogram,
+	createOlsonCartogram,
+	CARTOGRAM_GENERATORS,
 	normalizeCartogramInput,
+	generateGridLayout,
 	flattenPositions,
+	createStaggerSchedule,
+	resolveSelection,
+	resolveCentroidPath,
+	createFrameBuffer,
+	frameToFeatureCollection,
+	EASINGS,
+	steps,
+	resolveEasing,
+	GeoMorpherJoinError,
+	validateGeometry,
+	validateFeatureCollection,
+	GEOMETRY_ISSUE_TYPES,
+	simplifyFeatureCollection,
+	simplifyLine,
 };
 
 // MapLibre-first convenience aliases (default adapter)
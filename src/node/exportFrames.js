@@ -0,0 +1,107 @@
+/**
+ * Node-only helpers for writing frame sequences to disk
+ * @module node/exportFrames
+ */
+
+import { mkdir, writeFile } from "node:fs/promises";
+import { createWriteStream } from "node:fs";
+import { once } from "node:events";
+import { join } from "node:path";
+
+export const FRAME_EXPORT_FORMATS = Object.freeze(["files", "geojsonseq", "ndjson"]);
+
+// RFC 8142 prefixes every GeoJSON text with an ASCII record separator.
+const RECORD_SEPARATOR = "\u001e";
+
+const toFrames = (source, frameOptions) => {
+  if (typeof source?.frames === "function") return source.frames(frameOptions);
+  if (source && (typeof source[Symbol.asyncIterator] === "function" || typeof source[Symbol.iterator] === "function")) {
+    return source;
+  }
+  throw new TypeError("exportFrames expects a GeoMorpher or an iterable of frames");
+};
+
+const frameFileName = (prefix, index, padding) => `${prefix}${String(index).padStart(padding, "0")}.geojson`;
+
+async function writeFrameFiles(frames, { directory, prefix, padding }) {
+  if (typeof directory !== "string" || !directory) {
+    throw new TypeError('The "files" format needs an output directory');
+  }
+  await mkdir(directory, { recursive: true });
+
+  const paths = [];
+  for await (const { index, featureCollection } of frames) {
+    const path = join(directory, frameFileName(prefix, index, padding));
+    await writeFile(path, JSON.stringify(featureCollection));
+    paths.push(path);
+  }
+  return { format: "files", count: paths.length, paths };
+}
+
+async function writeFrameStream(frames, { format, output }) {
+  const ownsStream = typeof output === "string";
+  const stream = ownsStream ? createWriteStream(output) : output;
+  if (typeof stream?.write !== "function") {
+    throw new TypeError(`The "${format}" format needs a file path or a writable stream`);
+  }
+
+  let streamError = null;
+  if (ownsStream) stream.on("error", (error) => { streamError ??= error; });
+
+  const prefix = format === "geojsonseq" ? RECORD_SEPARATOR : "";
+  let count = 0;
+  try {
+    for await (const { featureCollection } of frames) {
+      // Respect backpressure so long sequences never buffer in memory.
+      if (!stream.write(`${prefix}${JSON.stringify(featureCollection)}\n`)) {
+        await once(stream, "drain");
+      }
+      count += 1;
+    }
+  } finally {
+    if (ownsStream) {
+      stream.end();
+      if (!stream.closed) await once(stream, "close");
+    }
+  }
+  if (streamError) throw streamError;
+  return { format, count, path: ownsStream ? output : null };
+}
+
+/**
+ * Write a frame sequence as numbered GeoJSON files or as one GeoJSONSeq /
+ * NDJSON stream (one FeatureCollection per line).
+ *
+ * @param {Object|Iterable|AsyncIterable} source - A prepared GeoMorpher, or frames shaped like `morpher.frames()` output
+ * @param {Object} options
+ * @param {"files"|"geojsonseq"|"ndjson"} [options.format="files"]
+ * @param {string} [options.directory] - Target directory for `"files"`; created when missing
+ * @param {string|Object} [options.output] - File path or writable stream for `"geojsonseq"` and `"ndjson"`.
+ *   Streams passed in are left open.
+ * @param {string} [options.prefix="frame-"] - File name prefix for `"files"`
+ * @param {number} [options.padding=4] - Minimum digits in file numbers
+ * @param {Object} [options.frames] - Options forwarded to `morpher.frames()` (`count`, `from`, `to`, `easing`, ...)
+ * @returns {Promise<{ format: string, count: number, paths?: Array<string>, path?: string|null }>}
+ */
+export async function exportFrames(source, {
+  format = "files",
+  directory,
+  output,
+  prefix = "frame-",
+  padding = 4,
+  frames: frameOptions = {},
+} = {}) {
+  if (!FRAME_EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown frame export format "${format}". Use one of: ${FRAME_EXPORT_FORMATS.join(", ")}`);
+  }
+
+  const count = Number.isInteger(frameOptions.count) ? frameOptions.count : 0;
+  const frames = toFrames(source, frameOptions);
+
+  if (format === "files") {
+    // Pad to the widest index so the files sort in frame order.
+    const digits = Math.max(padding, String(Math.max(count - 1, 0)).length);
+    return writeFrameFiles(frames, { directory, prefix, padding: digits });
+  }
+  return writeFrameStream(frames, { format, output });
+}
@@ -3,12 +3,17 @@ import isEmpty from "lodash/isEmpty.js";
 import * as turf from "@turf/turf";
 import { featureCollection, polygon } from "@turf/helpers";
 import { parseCSV } from "./csv.js";
+import { resolveFeatureAnchor } from "../core/anchors.js";
+import { signedRingArea } from "../core/rings.js";
 
 const GEOJSON_TYPES = new Set(["FeatureCollection", "Feature", "GeometryCollection", "Polygon", "MultiPolygon"]);
 
 const DEFAULT_GRID_OPTIONS = {
+  cellShape: "square",
   rowField: "row",
   colField: "col",
+  qField: "q",
+  rField: "r",
   idField: "id",
   includeSourceProperties: true,
   cellPadding: 0.08,
@@ -52,6 +57,37 @@ const ORIENTATIONS = {
   col: new Set(["left", "right"]),
 };
 
+export const GRID_CELL_SHAPES = Object.freeze(["square", "hex"]);
+
+// Offset layouts shift alternate rows (`-r`, pointy-top) or columns (`-q`, flat-top).
+const HEX_COORDINATES = {
+  "odd-r": "pointy",
+  "even-r": "pointy",
+  "odd-q": "flat",
+  "even-q": "flat",
+  axial: null,
+};
+
+export const HEX_COORDINATE_SYSTEMS = Object.freeze(Object.keys(HEX_COORDINATES));
+
+function normalizeHexOptions(merged) {
+  const coordinates = merged.hexCoordinates ?? "odd-r";
+  if (!HEX_COORDINATE_SYSTEMS.includes(coordinates)) {
+    throw new Error(`Unknown hex coordinates "${coordinates}". Use one of: ${HEX_COORDINATE_SYSTEMS.join(", ")}`);
+  }
+
+  const implied = HEX_COORDINATES[coordinates];
+  const orientation = merged.hexOrientation ?? implied ?? "pointy";
+  if (orientation !== "pointy" && orientation !== "flat") {
+    throw new Error(`Unknown hex orientation "${orientation}". Use "pointy" or "flat"`);
+  }
+  if (implied && implied !== orientation) {
+    throw new Error(`Hex coordinates "${coordinates}" require ${implied}-top hexagons`);
+  }
+
+  return { ...merged, hexCoordinates: coordinates, hexOrientation: orientation };
+}
+
 function normalizeOptions(joinProperty, overrides = {}) {
   const base = { ...DEFAULT_GRID_OPTIONS, idField: joinProperty ?? DEFAULT_GRID_OPTIONS.idField };
   const merged = { ...base, ...overrides };
@@ -66,14 +102,21 @@ function normalizeOptions(joinProperty, overrides = {}) {
 
   merged.cellPadding = clamp01(merged.cellPadding);
 
-  return merged;
+  if (!GRID_CELL_SHAPES.includes(merged.cellShape)) {
+    throw new Error(`Unknown grid cell shape "${merged.cellShape}". Use one of: ${GRID_CELL_SHAPES.join(", ")}`);
+  }
+
+  return merged.cellShape === "hex" ? normalizeHexOptions(merged) : merged;
 }
 
-function normalizeRecords(records, { rowField, colField, idField }) {
+function normalizeRecords(records, { rowField, colField, idField, cellShape, hexCoordinates, qField, rField }) {
   if (!Array.isArray(records) || records.length === 0) {
     throw new Error("Grid cartogram input is empty");
   }
 
+  const axial = cellShape === "hex" && hexCoordinates === "axial";
+  const [firstField, secondField] = axial ? [rField, qField] : [rowField, colField];
+
   return records.map((record, index) => {
     const source = record ?? {};
     const idValue = source[idField];
@@ -81,22 +124,28 @@ function normalizeRecords(records, { rowField, colField, idField }) {
       throw new Error(`Grid cartogram row ${index} is missing identifier column "${idField}"`);
     }
 
-    const rowRaw = source[rowField];
-    const colRaw = source[colField];
+    const first = Number(source[firstField]);
+    const second = Number(source[secondField]);
 
-    const row = Number(rowRaw);
-    const col = Number(colRaw);
-
-    if (!Number.isFinite(row) || !Number.isFinite(col)) {
+    if (!Number.isFinite(first) || !Number.isFinite(second)) {
       throw new Error(
-        `Grid cartogram row ${index} must contain numeric "${rowField}" and "${colField}" values`
+        `Grid cartogram row ${index} must contain numeric "${firstField}" and "${secondField}" values`
       );
     }
+    if (cellShape === "hex" && (!Number.isInteger(first) || !Number.isInteger(second))) {
+      throw new Error(
+        `Grid cartogram row ${index} must contain integer "${firstField}" and "${secondField}" values for hex cells`
+      );
+    }
+
+    if (axial) {
+      return { id: idValue, r: first, q: second, source };
+    }
 
     return {
       id: idValue,
-      row,
-      col,
+      row: first,
+      col: second,
       source,
     };
   });
@@ -179,24 +228,21 @@ function computeCellBounds({
   return { x0, x1, y0, y1 };
 }
 
-function createSquareFeature({ entry, bounds, joinProperty, options }) {
-  const { x0, x1, y0, y1 } = bounds;
-  const ring = [
-    [x0, y0],
-    [x1, y0],
-    [x1, y1],
-    [x0, y1],
-    [x0, y0],
-  ];
-
+function createCellFeature({ entry, ring, joinProperty, options }) {
   const baseProperties = options.includeSourceProperties ? cloneDeep(entry.source) : {};
 
   const properties = {
     ...baseProperties,
     [joinProperty]: entry.id,
-    grid_row: entry.row,
-    grid_col: entry.col,
   };
+  if (typeof entry.row !== "undefined") {
+    properties.grid_row = entry.row;
+    properties.grid_col = entry.col;
+  }
+  if (typeof entry.q !== "undefined") {
+    properties.grid_q = entry.q;
+    properties.grid_r = entry.r;
+  }
 
   if (typeof options.propertyMapper === "function") {
     const extra = options.propertyMapper({
@@ -204,6 +250,7 @@ function createSquareFeature({ entry, bounds, joinProperty, options }) {
       joinValue: entry.id,
       row: entry.row,
       col: entry.col,
+      ...(typeof entry.q !== "undefined" ? { q: entry.q, r: entry.r } : {}),
     });
     if (extra && typeof extra === "object") {
       Object.assign(properties, extra);
@@ -218,6 +265,83 @@ function createSquareFeature({ entry, bounds, joinProperty, options }) {
   };
 }
 
+function createSquareFeature({ entry, bounds, joinProperty, options }) {
+  const { x0, x1, y0, y1 } = bounds;
+  const ring = [
+    [x0, y0],
+    [x1, y0],
+    [x1, y1],
+    [x0, y1],
+    [x0, y0],
+  ];
+
+  return createCellFeature({ entry, ring, joinProperty, options });
+}
+
+// Offset to axial conversion; `& 1` also picks out odd negative indices.
+const OFFSET_TO_AXIAL = {
+  "odd-r": ({ row, col }) => ({ q: col - (row - (row & 1)) / 2, r: row }),
+  "even-r": ({ row, col }) => ({ q: col - (row + (row & 1)) / 2, r: row }),
+  "odd-q": ({ row, col }) => ({ q: col, r: row - (col - (col & 1)) / 2 }),
+  "even-q": ({ row, col }) => ({ q: col, r: row - (col + (col & 1)) / 2 }),
+};
+
+const SQRT3 = Math.sqrt(3);
+
+/**
+ * Centre of an axial hex on a unit grid (circumradius 1), with x to the
+ * right and y growing with `r`, i.e. downwards for `rowOrientation: "top"`.
+ */
+const hexCenter = ({ q, r }, orientation) => (orientation === "pointy"
+  ? [SQRT3 * (q + r / 2), 1.5 * r]
+  : [1.5 * q, SQRT3 * (r + q / 2)]);
+
+function createHexFeatures({ entries, extent, joinProperty, options }) {
+  const orientation = options.hexOrientation;
+  const toAxial = OFFSET_TO_AXIAL[options.hexCoordinates];
+  const cells = entries.map((entry) => {
+    const axial = toAxial ? toAxial(entry) : entry;
+    return { entry: { ...entry, q: axial.q, r: axial.r }, center: hexCenter(axial, orientation) };
+  });
+
+  // Half extents of a unit hexagon around its centre.
+  const [halfWidth, halfHeight] = orientation === "pointy" ? [SQRT3 / 2, 1] : [1, SQRT3 / 2];
+  const xs = cells.map(({ center }) => center[0]);
+  const ys = cells.map(({ center }) => center[1]);
+  const minCX = Math.min(...xs) - halfWidth;
+  const maxCX = Math.max(...xs) + halfWidth;
+  const minCY = Math.min(...ys) - halfHeight;
+  const maxCY = Math.max(...ys) + halfHeight;
+
+  // One scale for both axes keeps the hexagons regular on the map: the layout is
+  // done in the extent's local plane and converted back. The grid is centred in the extent.
+  const plane = createExtentPlane(extent);
+  const [minX, minY] = plane.forward([extent[0], extent[1]]);
+  const [maxX, maxY] = plane.forward([extent[2], extent[3]]);
+  const scale = Math.min((maxX - minX) / (maxCX - minCX), (maxY - minY) / (maxCY - minCY));
+  const offsetX = (maxX - minX - (maxCX - minCX) * scale) / 2;
+  const offsetY = (maxY - minY - (maxCY - minCY) * scale) / 2;
+  const radius = scale * (1 - options.cellPadding);
+  const startAngle = orientation === "pointy" ? Math.PI / 6 : 0;
+
+  return cells.map(({ entry, center }) => {
+    const x = options.colOrientation === "left"
+      ? minX + offsetX + (center[0] - minCX) * scale
+      : maxX - offsetX - (center[0] - minCX) * scale;
+    const y = options.rowOrientation === "top"
+      ? maxY - offsetY - (center[1] - minCY) * scale
+      : minY + offsetY + (center[1] - minCY) * scale;
+
+    const ring = Array.from({ length: 6 }, (_, corner) => {
+      const angle = startAngle + (corner * Math.PI) / 3;
+      return plane.inverse([x + radius * Math.cos(angle), y + radius * Math.sin(angle)]);
+    });
+    ring.push(ring[0]);
+
+    return createCellFeature({ entry, ring, joinProperty, options });
+  });
+}
+
 export function createGridCartogramFeatureCollection({
   records,
   regularGeoJSON,
@@ -228,6 +352,10 @@ export function createGridCartogramFeatureCollection({
   const extent = ensureExtent({ extent: options.extent, regularGeoJSON });
 
   const entries = normalizeRecords(records, options);
+  if (options.cellShape === "hex") {
+    return featureCollection(createHexFeatures({ entries, extent, joinProperty, options }));
+  }
+
   const metrics = deriveGridMetrics(entries);
 
   const features = entries.map((entry) => {
@@ -238,6 +366,562 @@ export function createGridCartogramFeatureCollection({
   return featureCollection(features);
 }
 
+/**
+ * Planar working space for generated cartograms. Projected input is used as
+ * is; longitude/latitude input has its x axis scaled by the cosine of the
+ * middle latitude so circles and squares stay round and square on the map.
+ */
+export function createLocalPlane(collection) {
+  return createExtentPlane(turf.bbox(collection));
+}
+
+function createExtentPlane([minX, minY, maxX, maxY]) {
+  const geographic = minX >= -180 && maxX <= 180 && minY >= -90 && maxY <= 90;
+  const scaleX = geographic ? Math.cos((((minY + maxY) / 2) * Math.PI) / 180) : 1;
+  if (scaleX === 1) {
+    return { forward: (position) => position, inverse: (position) => position };
+  }
+  return {
+    forward: ([x, y]) => [x * scaleX, y],
+    inverse: ([x, y]) => [x / scaleX, y],
+  };
+}
+
+const ringArea = (ring, forward) => Math.abs(signedRingArea(ring.map(forward)));
+
+// Shell minus holes, in plane units.
+function planarArea(geometry, forward) {
+  const polygons = geometry?.type === "Polygon" ? [geometry.coordinates]
+    : geometry?.type === "MultiPolygon" ? geometry.coordinates : [];
+  return polygons.reduce((total, [shell = [], ...holes]) => total
+    + ringArea(shell, forward) - holes.reduce((sum, hole) => sum + ringArea(hole, forward), 0), 0);
+}
+
+function createValueReader(value) {
+  if (typeof value === "function") return (feature, code) => value(feature, code);
+  if (typeof value === "string") return (feature) => feature?.properties?.[value];
+  if (value instanceof Map) return (feature, code) => value.get(code);
+  if (value && typeof value === "object") return (feature, code) => value[code];
+  throw new TypeError("Generated cartograms need a `value`: a property name, a function, or values keyed by code");
+}
+
+/**
+ * Regular features with a code, an anchor and a positive value. Anchors and
+ * areas are in plane units; everything else is reported in `skipped`.
+ */
+function collectWeightedFeatures({ regularGeoJSON, joinProperty, value, plane }) {
+  if (!isGeoJSON(regularGeoJSON) || !Array.isArray(regularGeoJSON.features)) {
+    throw new Error("Generated cartograms need a regular FeatureCollection");
+  }
+
+  const readValue = createValueReader(value);
+  const entries = [];
+  const skipped = [];
+  for (const feature of regularGeoJSON.features) {
+    const code = feature?.properties?.[joinProperty];
+    if (code == null || code === "") continue;
+    const weight = Number(readValue(feature, code));
+    const anchor = resolveFeatureAnchor(feature);
+    if (!Number.isFinite(weight) || weight <= 0 || !anchor) {
+      skipped.push(code);
+      continue;
+    }
+    entries.push({
+      feature,
+      code,
+      value: weight,
+      anchor: plane.forward(anchor),
+      area: planarArea(feature.geometry, plane.forward),
+    });
+  }
+  if (!entries.length) {
+    throw new Error(`No regular features with a "${joinProperty}" value and a positive cartogram value`);
+  }
+  return { entries, skipped };
+}
+
+function createShapeFeature({ code, ring, joinProperty, properties }) {
+  return {
+    type: "Feature",
+    id: code,
+    properties: { [joinProperty]: code, ...properties },
+    geometry: polygon([ring]).geometry,
+  };
+}
+
+// Spread of directions for shapes that start on the same spot.
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+/**
+ * How far two circles overlap and the unit direction pushing `b` away from
+ * `a`, or `null` when they are clear of each other.
+ */
+const collideCircles = (a, b, padding, seed) => {
+  const vx = b.x - a.x;
+  const vy = b.y - a.y;
+  const distance = Math.hypot(vx, vy);
+  const overlap = a.size + b.size + padding - distance;
+  if (overlap <= 0) return null;
+  if (distance < 1e-12) {
+    const angle = seed * GOLDEN_ANGLE;
+    return { overlap, ux: Math.cos(angle), uy: Math.sin(angle) };
+  }
+  return { overlap, ux: vx / distance, uy: vy / distance };
+};
+
+// Axis-aligned squares separate along the axis they penetrate least.
+const collideSquares = (a, b, padding, seed) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const overlapX = a.size + b.size + padding - Math.abs(dx);
+  const overlapY = a.size + b.size + padding - Math.abs(dy);
+  if (overlapX <= 0 || overlapY <= 0) return null;
+  const fallback = seed % 2 === 0 ? 1 : -1;
+  return overlapX <= overlapY
+    ? { overlap: overlapX, ux: Math.sign(dx) || fallback, uy: 0 }
+    : { overlap: overlapY, ux: 0, uy: Math.sign(dy) || fallback };
+};
+
+/**
+ * Push overlapping shapes apart while pulling each one back towards its
+ * anchor. Pairs are resolved one at a time in feature order, bigger shapes
+ * moving less, so the result only depends on the input. The pull fades out
+ * over the first half of the run, leaving the rest to separation alone.
+ * `size` is a circle's radius or half a square's side.
+ */
+function separateShapes(shapes, { collide, padding, attraction, iterations, tolerance }) {
+  const cellSize = 2 * Math.max(...shapes.map(({ size }) => size)) + padding;
+  let maxOverlap = Infinity;
+  let iteration = 0;
+
+  while (iteration < iterations && maxOverlap > tolerance) {
+    const pull = attraction * Math.max(0, 1 - (2 * iteration) / iterations);
+    const buckets = new Map();
+    shapes.forEach((shape, index) => {
+      shape.x += (shape.anchor[0] - shape.x) * pull;
+      shape.y += (shape.anchor[1] - shape.y) * pull;
+      shape.cell = [Math.floor(shape.x / cellSize), Math.floor(shape.y / cellSize)];
+      const key = shape.cell.join(",");
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(index);
+    });
+
+    maxOverlap = 0;
+    shapes.forEach((shape, index) => {
+      for (let dx = -1; dx <= 1; dx += 1) {
+        for (let dy = -1; dy <= 1; dy += 1) {
+          for (const other of buckets.get(`${shape.cell[0] + dx},${shape.cell[1] + dy}`) ?? []) {
+            if (other <= index) continue;
+            const neighbour = shapes[other];
+            const collision = collide(shape, neighbour, padding, index + other);
+            if (!collision) continue;
+
+            const { overlap, ux, uy } = collision;
+            maxOverlap = Math.max(maxOverlap, overlap / Math.min(shape.size, neighbour.size));
+            const share = neighbour.size ** 2 / (shape.size ** 2 + neighbour.size ** 2);
+            shape.x -= ux * overlap * share;
+            shape.y -= uy * overlap * share;
+            neighbour.x += ux * overlap * (1 - share);
+            neighbour.y += uy * overlap * (1 - share);
+          }
+        }
+      }
+    });
+    iteration += 1;
+  }
+
+  return { iterations: iteration, converged: maxOverlap <= tolerance, maxOverlap };
+}
+
+const separationOptions = ({ padding, attraction, iterations, tolerance }, meanSize) => ({
+  padding: Math.max(Number(padding) || 0, 0) * meanSize,
+  attraction: Math.min(Math.max(Number(attraction) || 0, 0), 1),
+  iterations: Number.isInteger(iterations) && iterations > 0 ? iterations : 1,
+  tolerance: Math.max(Number(tolerance) || 0, 0),
+});
+
+/**
+ * Shapes sized by sqrt(value) at the feature anchors, scaled so their areas
+ * (`unitArea` times size squared) cover `coverage` of the geography.
+ */
+function createSizedShapes(entries, { coverage, unitArea }) {
+  if (!(coverage > 0)) {
+    throw new RangeError(`Cartogram coverage must be positive, got ${coverage}`);
+  }
+  const totalArea = entries.reduce((sum, { area }) => sum + area, 0);
+  const totalValue = entries.reduce((sum, entry) => sum + entry.value, 0);
+  const sizeScale = Math.sqrt((coverage * totalArea) / (unitArea * totalValue));
+  const shapes = entries.map(({ anchor, value: weight }) => ({
+    anchor,
+    x: anchor[0],
+    y: anchor[1],
+    size: sizeScale * Math.sqrt(weight),
+  }));
+  return { shapes, meanSize: shapes.reduce((sum, { size }) => sum + size, 0) / shapes.length };
+}
+
+/**
+ * Dorling cartogram: one circle per regular feature, its area proportional to
+ * `value`, pushed apart from its neighbours until no two circles overlap.
+ *
+ * @param {Object} params
+ * @param {Object} params.regularGeoJSON - Regular FeatureCollection the circles start from
+ * @param {string} [params.joinProperty="code"] - Property the circles are keyed by
+ * @param {string|Function|Map|Object} params.value - Feature property name, `(feature, code) => number`,
+ *   or values keyed by code. Features without a positive value get no circle.
+ * @param {number} [params.coverage=1] - Total circle area as a share of the regular geography's area
+ * @param {number} [params.padding=0] - Gap between circles as a share of the mean radius
+ * @param {number} [params.attraction=0.1] - Share of the way back to its anchor each circle moves per iteration
+ * @param {number} [params.iterations=300] - Maximum simulation steps
+ * @param {number} [params.tolerance=0.001] - Largest overlap left, as a share of the smaller radius
+ * @param {number} [params.vertices=64] - Vertices per circle
+ * @returns {Object} FeatureCollection of circle polygons carrying `cartogram_value` and `cartogram_radius`
+ *   (in the geography's units; degrees of latitude for longitude/latitude input), with a `cartogram`
+ *   member reporting `{ method, iterations, converged, maxOverlap, skipped }`
+ */
+export function createDorlingCartogram({
+  regularGeoJSON,
+  joinProperty = "code",
+  value,
+  coverage = 1,
+  padding = 0,
+  attraction = 0.1,
+  iterations = 300,
+  tolerance = 0.001,
+  vertices = 64,
+}) {
+  if (!Number.isInteger(vertices) || vertices < 3) {
+    throw new RangeError(`Circles need an integer vertex count of at least 3, got ${vertices}`);
+  }
+
+  const plane = createLocalPlane(regularGeoJSON);
+  const { entries, skipped } = collectWeightedFeatures({ regularGeoJSON, joinProperty, value, plane });
+  const { shapes: circles, meanSize } = createSizedShapes(entries, { coverage, unitArea: Math.PI });
+  const report = separateShapes(circles, {
+    collide: collideCircles,
+    ...separationOptions({ padding, attraction, iterations, tolerance }, meanSize),
+  });
+
+  const features = entries.map(({ code, value: weight }, index) => {
+    const { x, y, size: radius } = circles[index];
+    // Counterclockwise from the east, as RFC 7946 expects of a shell.
+    const ring = Array.from({ length: vertices }, (_, vertex) => {
+      const angle = (2 * Math.PI * vertex) / vertices;
+      return plane.inverse([x + radius * Math.cos(angle), y + radius * Math.sin(angle)]);
+    });
+    ring.push(ring[0]);
+    return createShapeFeature({
+      code,
+      ring,
+      joinProperty,
+      properties: { cartogram_value: weight, cartogram_radius: radius },
+    });
+  });
+
+  return {
+    ...featureCollection(features),
+    cartogram: { method: "dorling", ...report, skipped },
+  };
+}
+
+// Calls `visit` with every position of a geometry's coordinate array.
+const eachPosition = (coordinates, visit) => {
+  if (!Array.isArray(coordinates)) return;
+  if (typeof coordinates[0] === "number") {
+    visit(coordinates);
+    return;
+  }
+  coordinates.forEach((child) => eachPosition(child, visit));
+};
+
+const mapPositions = (coordinates, map) => (typeof coordinates[0] === "number"
+  ? map(coordinates)
+  : coordinates.map((child) => mapPositions(child, map)));
+
+// Area and area-weighted centroid of polygons given as rings of vertex ids.
+function measureRings(polygons, xs, ys) {
+  let area = 0;
+  let sumX = 0;
+  let sumY = 0;
+  for (const rings of polygons) {
+    rings.forEach((ring, ringIndex) => {
+      const signed = signedRingArea(ring, (id) => xs[id], (id) => ys[id]);
+      if (!signed) return;
+      // Moments about the first vertex, matching how the area is measured.
+      const originX = xs[ring[0]];
+      const originY = ys[ring[0]];
+      let momentX = 0;
+      let momentY = 0;
+      for (let index = 0; index < ring.length - 1; index += 1) {
+        const ax = xs[ring[index]] - originX;
+        const ay = ys[ring[index]] - originY;
+        const bx = xs[ring[index + 1]] - originX;
+        const by = ys[ring[index + 1]] - originY;
+        const cross = ax * by - bx * ay;
+        momentX += (ax + bx) * cross;
+        momentY += (ay + by) * cross;
+      }
+      // Shells add and holes subtract, whatever their winding.
+      const sign = Math.sign(signed) * (ringIndex === 0 ? 1 : -1);
+      area += sign * signed;
+      sumX += sign * (signed * originX + momentX / 6);
+      sumY += sign * (signed * originY + momentY / 6);
+    });
+  }
+  return area > 0 ? { area, center: [sumX / area, sumY / area] } : { area: 0, center: null };
+}
+
+/**
+ * Contiguous cartogram by Dougenik–Chrisman–Niemeyer rubber-sheet iterations.
+ * Every pass measures each feature against its target area (its share of
+ * `value` of the total area) and moves all vertices under the resulting
+ * radial forces. Shared vertices move as one, so the topology is preserved.
+ *
+ * @param {Object} params
+ * @param {Object} params.regularGeoJSON - Regular FeatureCollection to distort
+ * @param {string} [params.joinProperty="code"] - Property the features are keyed by
+ * @param {string|Function|Map|Object} params.value - Feature property name, `(feature, code) => number`,
+ *   or values keyed by code. Features without a positive value are carried along but exert no force.
+ * @param {number} [params.iterations=50] - Maximum rubber-sheet passes
+ * @param {number} [params.tolerance=0.01] - Stop once the mean area error drops to this
+ * @returns {Object} FeatureCollection of the distorted features carrying `cartogram_value`, with a
+ *   `cartogram` member reporting `{ method, iterations, converged, meanAreaError, maxAreaError, skipped }`.
+ *   Area errors are `|area - target| / target` over the features with a value.
+ */
+export function createContiguousCartogram({
+  regularGeoJSON,
+  joinProperty = "code",
+  value,
+  iterations = 50,
+  tolerance = 0.01,
+}) {
+  const plane = createLocalPlane(regularGeoJSON);
+  const { entries, skipped } = collectWeightedFeatures({ regularGeoJSON, joinProperty, value, plane });
+  const weights = new Map(entries.map((entry) => [entry.feature, entry.value]));
+
+  // One slot per distinct position.
+  const slots = new Map();
+  const xs = [];
+  const ys = [];
+  const slotOf = (position) => {
+    const key = `${position[0]},${position[1]}`;
+    if (!slots.has(key)) {
+      const [x, y] = plane.forward(position);
+      slots.set(key, xs.length);
+      xs.push(x);
+      ys.push(y);
+    }
+    return slots.get(key);
+  };
+
+  const items = [];
+  for (const feature of regularGeoJSON.features) {
+    const code = feature?.properties?.[joinProperty];
+    if (code == null || code === "" || !feature.geometry) continue;
+    eachPosition(feature.geometry.coordinates, slotOf);
+    const { type, coordinates } = feature.geometry;
+    const polygons = type === "Polygon" ? [coordinates] : type === "MultiPolygon" ? coordinates : [];
+    items.push({
+      feature,
+      code,
+      value: weights.get(feature) ?? null,
+      polygons: polygons.map((rings) => rings.map((ring) => ring.map(slotOf))),
+    });
+  }
+  const weighted = items.filter((item) => item.value !== null);
+  const totalValue = weighted.reduce((sum, item) => sum + item.value, 0);
+
+  const measure = () => {
+    const shapes = weighted.map((item) => measureRings(item.polygons, xs, ys));
+    const totalArea = shapes.reduce((sum, { area }) => sum + area, 0);
+    const targets = weighted.map((item) => (totalArea * item.value) / totalValue);
+    const errors = shapes.map(({ area }, index) => Math.abs(area - targets[index]) / targets[index]);
+    return {
+      shapes,
+      targets,
+      meanAreaError: errors.reduce((sum, error) => sum + error, 0) / errors.length,
+      maxAreaError: Math.max(...errors),
+    };
+  };
+
+  const passes = Number.isInteger(iterations) && iterations >= 0 ? iterations : 0;
+  const target = Math.max(Number(tolerance) || 0, 0);
+  let state = measure();
+  let iteration = 0;
+
+  while (iteration < passes && state.meanAreaError > target) {
+    const forces = [];
+    let sizeError = 0;
+    state.shapes.forEach(({ area, center }, index) => {
+      const desired = state.targets[index];
+      sizeError += area > 0 ? Math.max(area, desired) / Math.min(area, desired) : 1;
+      if (!(area > 0)) return;
+      const radius = Math.sqrt(area / Math.PI);
+      forces.push({ center, radius, mass: Math.sqrt(desired / Math.PI) - radius });
+    });
+    // Damp every pass by the mean size error so badly sized maps move cautiously.
+    const reduction = 1 / (1 + sizeError / state.shapes.length);
+
+    for (let slot = 0; slot < xs.length; slot += 1) {
+      let shiftX = 0;
+      let shiftY = 0;
+      for (const { center, radius, mass } of forces) {
+        const dx = xs[slot] - center[0];
+        const dy = ys[slot] - center[1];
+        const distance = Math.hypot(dx, dy);
+        if (distance < 1e-12) continue;
+        const force = distance > radius
+          ? (mass * radius) / distance
+          : mass * (distance / radius) ** 2 * (4 - (3 * distance) / radius);
+        shiftX += (dx / distance) * force;
+        shiftY += (dy / distance) * force;
+      }
+      xs[slot] += shiftX * reduction;
+      ys[slot] += shiftY * reduction;
+    }
+
+    iteration += 1;
+    state = measure();
+  }
+
+  const moved = (position) => {
+    const slot = slots.get(`${position[0]},${position[1]}`);
+    return plane.inverse([xs[slot], ys[slot]]);
+  };
+  const features = items.map(({ feature, code, value: weight }) => ({
+    type: "Feature",
+    id: code,
+    properties: { [joinProperty]: code, cartogram_value: weight },
+    geometry: { type: feature.geometry.type, coordinates: mapPositions(feature.geometry.coordinates, moved) },
+  }));
+
+  return {
+    ...featureCollection(features),
+    cartogram: {
+      method: "contiguous",
+      iterations: iteration,
+      converged: state.meanAreaError <= target,
+      meanAreaError: state.meanAreaError,
+      maxAreaError: state.maxAreaError,
+      skipped,
+    },
+  };
+}
+
+/**
+ * Demers cartogram: one axis-aligned square per regular feature, its area
+ * proportional to `value`, pushed apart until no two squares overlap.
+ *
+ * @param {Object} params
+ * @param {Object} params.regularGeoJSON - Regular FeatureCollection the squares start from
+ * @param {string} [params.joinProperty="code"] - Property the squares are keyed by
+ * @param {string|Function|Map|Object} params.value - Feature property name, `(feature, code) => number`,
+ *   or values keyed by code. Features without a positive value get no square.
+ * @param {number} [params.coverage=1] - Total square area as a share of the regular geography's area
+ * @param {number} [params.padding=0] - Gap between squares as a share of the mean half side
+ * @param {number} [params.attraction=0.1] - Share of the way back to its anchor each square moves per iteration
+ * @param {number} [params.iterations=300] - Maximum simulation steps
+ * @param {number} [params.tolerance=0.001] - Largest overlap left, as a share of the smaller half side
+ * @returns {Object} FeatureCollection of square polygons carrying `cartogram_value` and `cartogram_side`
+ *   (in the geography's units), with a `cartogram` member reporting
+ *   `{ method, iterations, converged, maxOverlap, skipped }`
+ */
+export function createDemersCartogram({
+  regularGeoJSON,
+  joinProperty = "code",
+  value,
+  coverage = 1,
+  padding = 0,
+  attraction = 0.1,
+  iterations = 300,
+  tolerance = 0.001,
+}) {
+  const plane = createLocalPlane(regularGeoJSON);
+  const { entries, skipped } = collectWeightedFeatures({ regularGeoJSON, joinProperty, value, plane });
+  const { shapes: squares, meanSize } = createSizedShapes(entries, { coverage, unitArea: 4 });
+  const report = separateShapes(squares, {
+    collide: collideSquares,
+    ...separationOptions({ padding, attraction, iterations, tolerance }, meanSize),
+  });
+
+  const features = entries.map(({ code, value: weight }, index) => {
+    const { x, y, size } = squares[index];
+    const ring = [
+      [x - size, y - size],
+      [x + size, y - size],
+      [x + size, y + size],
+      [x - size, y + size],
+      [x - size, y - size],
+    ].map(plane.inverse);
+    return createShapeFeature({
+      code,
+      ring,
+      joinProperty,
+      properties: { cartogram_value: weight, cartogram_side: 2 * size },
+    });
+  });
+
+  return {
+    ...featureCollection(features),
+    cartogram: { method: "demers", ...report, skipped },
+  };
+}
+
+/**
+ * Olson non-contiguous cartogram: every polygon is scaled about its anchor by
+ * the square root of its value density relative to the densest feature, which
+ * keeps its size. Shrinking towards an interior anchor keeps features apart.
+ *
+ * @param {Object} params
+ * @param {Object} params.regularGeoJSON - Regular FeatureCollection to scale
+ * @param {string} [params.joinProperty="code"] - Property the features are keyed by
+ * @param {string|Function|Map|Object} params.value - Feature property name, `(feature, code) => number`,
+ *   or values keyed by code. Features without a positive value or area are left out.
+ * @returns {Object} FeatureCollection of the scaled features carrying `cartogram_value` and
+ *   `cartogram_scale`, with a `cartogram` member reporting `{ method, skipped }`
+ */
+export function createOlsonCartogram({ regularGeoJSON, joinProperty = "code", value }) {
+  const plane = createLocalPlane(regularGeoJSON);
+  const { entries, skipped } = collectWeightedFeatures({ regularGeoJSON, joinProperty, value, plane });
+  const scaled = entries.filter(({ code, area }) => {
+    if (area > 0) return true;
+    skipped.push(code);
+    return false;
+  });
+  if (!scaled.length) {
+    throw new Error("Olson cartograms need polygonal features with a positive area");
+  }
+
+  const maxDensity = Math.max(...scaled.map(({ value: weight, area }) => weight / area));
+  const features = scaled.map(({ feature, code, value: weight, area, anchor }) => {
+    const scale = Math.sqrt(weight / area / maxDensity);
+    const toScaled = (position) => {
+      const [x, y] = plane.forward(position);
+      return plane.inverse([anchor[0] + (x - anchor[0]) * scale, anchor[1] + (y - anchor[1]) * scale]);
+    };
+    return {
+      type: "Feature",
+      id: code,
+      properties: { [joinProperty]: code, cartogram_value: weight, cartogram_scale: scale },
+      geometry: { type: feature.geometry.type, coordinates: mapPositions(feature.geometry.coordinates, toScaled) },
+    };
+  });
+
+  return {
+    ...featureCollection(features),
+    cartogram: { method: "olson", skipped },
+  };
+}
+
+const GENERATORS = {
+  dorling: createDorlingCartogram,
+  demers: createDemersCartogram,
+  olson: createOlsonCartogram,
+  contiguous: createContiguousCartogram,
+};
+
+export const CARTOGRAM_GENERATORS = Object.freeze(Object.keys(GENERATORS));
+
 export function normalizeCartogramInput({
   input,
   regularGeoJSON,
@@ -280,12 +964,23 @@ export function normalizeCartogramInput({
     });
   }
 
+  // `{ generator: "dorling", value: "population" }` builds the cartogram from the regular geography;
+  // GeoMorpher passes it enriched with `data`, so `value` can name a data column.
+  if (input && typeof input === "object" && typeof input.generator === "string") {
+    const { generator, ...options } = input;
+    if (!CARTOGRAM_GENERATORS.includes(generator)) {
+      throw new Error(`Unknown cartogram generator "${generator}". Use one of: ${CARTOGRAM_GENERATORS.join(", ")}`);
+    }
+    return GENERATORS[generator]({ ...options, regularGeoJSON, joinProperty });
+  }
+
   if (input && typeof input === "object" && Array.isArray(input.records)) {
+    // Layouts from generateGridLayout carry their own grid options; explicit ones win.
     return createGridCartogramFeatureCollection({
       records: input.records,
       regularGeoJSON,
       joinProperty,
-      gridOptions,
+      gridOptions: { ...input.gridOptions, ...gridOptions },
     });
   }
 
@@ -104,4 +104,29 @@ export function parseCSV(text, { delimiter = ",", trim = true, headers = true }
   });
 }
 
+const escapeField = (value, delimiter) => {
+  const text = value == null ? "" : String(value);
+  if (!text.includes(delimiter) && !/["\r\n]/.test(text)) return text;
+  return `"${text.replace(/"/g, "\"\"")}"`;
+};
+
+/**
+ * Serialise records as CSV text that `parseCSV` reads back.
+ *
+ * @param {Array<Object>} records
+ * @param {Object} [options]
+ * @param {Array<string>} [options.columns] - Column order; defaults to every key, in order of first appearance
+ * @param {string} [options.delimiter=","]
+ * @returns {string}
+ */
+export function formatCSV(records, { columns, delimiter = "," } = {}) {
+  if (!Array.isArray(records)) {
+    throw new TypeError("formatCSV expects an array of records");
+  }
+
+  const header = columns ?? [...new Set(records.flatMap((record) => Object.keys(record ?? {})))];
+  const lines = [header, ...records.map((record) => header.map((column) => record?.[column]))];
+  return lines.map((line) => line.map((value) => escapeField(value, delimiter)).join(delimiter)).join("\n");
+}
+
 export default parseCSV;
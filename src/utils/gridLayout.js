@@ -0,0 +1,313 @@
+/**
+ * Automatic grid cartogram layouts.
+ *
+ * Places every feature of a regular geography in its own grid cell. An
+ * optimal assignment first minimises the total squared distance between
+ * centroids (measured in the local plane and stretched over the grid) and
+ * cells; swap passes then trade a little of that displacement for keeping
+ * neighbouring features in adjacent cells. The optimal solve is O(n²·m), so layouts with more than
+ * `maxOptimalFeatures` features start from a greedy assignment instead.
+ */
+
+import * as turf from "@turf/turf";
+import { solveAssignment } from "../core/assignment.js";
+import { createLocalPlane } from "./cartogram.js";
+
+const HEX_ROW_STEP = Math.sqrt(3) / 2;
+
+const DEFAULTS = {
+  joinProperty: "code",
+  cellShape: "square",
+  neighbourWeight: 1,
+  iterations: 10,
+  maxOptimalFeatures: 1000,
+};
+
+// Greedy candidates: cells within this many rows and columns of the nearest cell.
+const CANDIDATE_RADIUS = 2;
+
+const anchorOf = (feature) => {
+  try {
+    const coordinate = turf.getCoord(turf.centroid(feature));
+    return Number.isFinite(coordinate[0]) && Number.isFinite(coordinate[1]) ? coordinate : null;
+  } catch {
+    return null;
+  }
+};
+
+// Features are neighbours when their boundaries share a vertex.
+const findNeighbours = (features) => {
+  const owners = new Map();
+  const neighbours = features.map(() => new Set());
+  features.forEach(({ feature }, index) => {
+    turf.coordEach(feature, ([x, y]) => {
+      const key = `${x},${y}`;
+      const existing = owners.get(key);
+      if (!existing) {
+        owners.set(key, [index]);
+        return;
+      }
+      if (existing.includes(index)) return;
+      existing.forEach((other) => {
+        neighbours[other].add(index);
+        neighbours[index].add(other);
+      });
+      existing.push(index);
+    });
+  });
+  return neighbours.map((set) => [...set].sort((a, b) => a - b));
+};
+
+const resolveGridSize = ({ count, rows, cols, aspect, rowStep }) => {
+  const fixedRows = Number.isInteger(rows) && rows > 0 ? rows : null;
+  const fixedCols = Number.isInteger(cols) && cols > 0 ? cols : null;
+  let resolvedRows = fixedRows;
+  let resolvedCols = fixedCols;
+
+  if (!resolvedRows && !resolvedCols) {
+    // Match the geography's aspect ratio with as few spare cells as possible.
+    resolvedRows = Math.max(1, Math.round(Math.sqrt(count / (aspect / rowStep))));
+  }
+  if (!resolvedCols) resolvedCols = Math.ceil(count / resolvedRows);
+  if (!resolvedRows) resolvedRows = Math.ceil(count / resolvedCols);
+
+  if (resolvedRows * resolvedCols < count) {
+    throw new RangeError(`A ${resolvedRows} × ${resolvedCols} grid cannot hold ${count} features`);
+  }
+  return { rows: resolvedRows, cols: resolvedCols };
+};
+
+// Cell centres in grid units: columns one unit apart, odd hex rows shifted half a cell.
+const createCells = ({ rows, cols, hex }) => {
+  const cells = [];
+  for (let row = 0; row < rows; row += 1) {
+    for (let col = 0; col < cols; col += 1) {
+      const shift = hex && row % 2 === 1 ? 0.5 : 0;
+      cells.push({ row, col, x: col + shift, y: row * (hex ? HEX_ROW_STEP : 1) });
+    }
+  }
+  return cells;
+};
+
+// Cells that share an edge are exactly one unit apart, for squares and hexagons alike.
+const ADJACENT = 1 + 1e-9;
+
+const gap = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const displacementCost = ([x, y], cell) => (cell.x - x) ** 2 + (cell.y - y) ** 2;
+
+/**
+ * Near-optimal assignment for layouts too large for `solveAssignment`. Each
+ * feature proposes the cells around its nearest cell; proposals are granted
+ * cheapest first, and features whose candidates are all taken fall back to the
+ * nearest free cell. Runs in O(n log n + u·m) for `u` such leftovers.
+ */
+const greedyAssignment = ({ positions, cells, rows, cols, hex }) => {
+  const rowStep = hex ? HEX_ROW_STEP : 1;
+  const proposals = [];
+  positions.forEach((position, feature) => {
+    const row = Math.min(Math.max(Math.round(position[1] / rowStep), 0), rows - 1);
+    const shift = hex && row % 2 === 1 ? 0.5 : 0;
+    const col = Math.min(Math.max(Math.round(position[0] - shift), 0), cols - 1);
+    for (let r = Math.max(row - CANDIDATE_RADIUS, 0); r <= Math.min(row + CANDIDATE_RADIUS, rows - 1); r += 1) {
+      for (let c = Math.max(col - CANDIDATE_RADIUS, 0); c <= Math.min(col + CANDIDATE_RADIUS, cols - 1); c += 1) {
+        const cell = r * cols + c;
+        proposals.push({ feature, cell, cost: displacementCost(position, cells[cell]) });
+      }
+    }
+  });
+  proposals.sort((a, b) => a.cost - b.cost || a.feature - b.feature || a.cell - b.cell);
+
+  const assignment = new Array(positions.length).fill(-1);
+  const taken = new Uint8Array(cells.length);
+  for (const { feature, cell } of proposals) {
+    if (assignment[feature] >= 0 || taken[cell]) continue;
+    assignment[feature] = cell;
+    taken[cell] = 1;
+  }
+
+  assignment.forEach((cell, feature) => {
+    if (cell >= 0) return;
+    let best = -1;
+    let bestCost = Infinity;
+    cells.forEach((candidate, index) => {
+      if (taken[index]) return;
+      const cost = displacementCost(positions[feature], candidate);
+      if (cost < bestCost) {
+        best = index;
+        bestCost = cost;
+      }
+    });
+    assignment[feature] = best;
+    taken[best] = 1;
+  });
+  return assignment;
+};
+
+/**
+ * Greedy, deterministic swap passes. Each feature tries the cells around its
+ * neighbours' cells, swapping with the occupant (or moving into an empty
+ * cell) whenever that lowers squared displacement plus `weight` times the
+ * distance by which neighbour pairs exceed adjacency.
+ */
+const improveAdjacency = ({ positions, neighbours, cells, assignment, weight, passes }) => {
+  const occupant = new Array(cells.length).fill(-1);
+  assignment.forEach((cell, feature) => { occupant[cell] = feature; });
+  const cellIndex = new Map(cells.map((cell, index) => [`${cell.row},${cell.col}`, index]));
+  const around = (cell) => {
+    const result = [];
+    for (let row = cell.row - 1; row <= cell.row + 1; row += 1) {
+      for (let col = cell.col - 1; col <= cell.col + 1; col += 1) {
+        const index = cellIndex.get(`${row},${col}`);
+        if (index !== undefined && gap(cell, cells[index]) <= ADJACENT) result.push(index);
+      }
+    }
+    return result;
+  };
+
+  const cost = (feature, cell, skip = -1) => displacementCost(positions[feature], cells[cell])
+    + weight * neighbours[feature].reduce((sum, other) => (other === skip
+      ? sum
+      : sum + Math.max(0, gap(cells[cell], cells[assignment[other]]) - 1)), 0);
+
+  for (let pass = 0; pass < passes; pass += 1) {
+    let improved = false;
+    for (let feature = 0; feature < positions.length; feature += 1) {
+      const candidates = [...new Set(neighbours[feature].flatMap((other) => around(cells[assignment[other]])))]
+        .sort((a, b) => a - b);
+      for (const target of candidates) {
+        const current = assignment[feature];
+        if (target === current) continue;
+        const other = occupant[target];
+        // A swapped pair keeps its mutual distance, so it is left out of both sides.
+        const before = cost(feature, current, other) + (other >= 0 ? cost(other, target, feature) : 0);
+        const after = cost(feature, target, other) + (other >= 0 ? cost(other, current, feature) : 0);
+        if (after >= before - 1e-12) continue;
+
+        assignment[feature] = target;
+        occupant[target] = feature;
+        occupant[current] = other;
+        if (other >= 0) assignment[other] = current;
+        improved = true;
+      }
+    }
+    if (!improved) break;
+  }
+  return assignment;
+};
+
+/**
+ * Lay out a regular geography as a grid cartogram.
+ *
+ * @param {Object} regularGeoJSON - FeatureCollection to lay out; features without a code or geometry are skipped
+ * @param {Object} [options]
+ * @param {string} [options.joinProperty="code"] - Feature property copied into each record
+ * @param {"square"|"hex"} [options.cellShape="square"] - Hex layouts use odd-r offset coordinates
+ * @param {number} [options.rows] - Grid rows; derived from the geography's aspect ratio when omitted
+ * @param {number} [options.cols] - Grid columns; derived from the feature count when omitted
+ * @param {number} [options.neighbourWeight=1] - Cost of a neighbour pair per grid cell beyond adjacency,
+ *   against squared displacement in grid cells; `0` keeps the pure displacement optimum
+ * @param {number} [options.iterations=10] - Maximum swap passes
+ * @param {number} [options.maxOptimalFeatures=1000] - Largest layout solved optimally; bigger
+ *   layouts (where the O(n²·m) solve takes seconds) use a greedy nearest-cell assignment
+ * @returns {{ records: Array<Object>, gridOptions: Object, rows: number, cols: number,
+ *   totalDisplacement: number, neighbourAdjacency: number|null, assignment: "optimal"|"greedy",
+ *   skipped: Array<*> }}
+ *   `records` (`{ [joinProperty], row, col }`) and `gridOptions` can be passed straight to
+ *   `createGridCartogramFeatureCollection`, and the whole result is valid `cartogramGeoJSON` input.
+ *   `totalDisplacement` sums the distances (in grid cells) between centroids and their cells;
+ *   `neighbourAdjacency` is the share of neighbouring features placed in adjacent cells.
+ */
+export function generateGridLayout(regularGeoJSON, options = {}) {
+  const { joinProperty, cellShape, neighbourWeight, iterations, maxOptimalFeatures } = { ...DEFAULTS, ...options };
+  if (cellShape !== "square" && cellShape !== "hex") {
+    throw new Error(`Unknown grid cell shape "${cellShape}". Use "square" or "hex"`);
+  }
+  const hex = cellShape === "hex";
+  const weight = Math.max(Number.isFinite(neighbourWeight) ? neighbourWeight : 0, 0);
+  const rounds = Number.isInteger(iterations) && iterations > 0 ? iterations : 0;
+
+  const features = [];
+  const skipped = [];
+  for (const feature of regularGeoJSON?.features ?? []) {
+    const code = feature?.properties?.[joinProperty];
+    const anchor = code == null || code === "" || !feature.geometry ? null : anchorOf(feature);
+    if (anchor) {
+      features.push({ feature, code, anchor });
+    } else {
+      skipped.push(code ?? null);
+    }
+  }
+  if (!features.length) {
+    throw new Error(`No features with a "${joinProperty}" value and a geometry to lay out`);
+  }
+
+  // Measure in the geography's local plane, so longitude/latitude input keeps its
+  // shape on the map rather than being stretched east-west.
+  const plane = createLocalPlane(regularGeoJSON);
+  const anchors = features.map(({ anchor }) => plane.forward(anchor));
+  const xs = anchors.map(([x]) => x);
+  const ys = anchors.map(([, y]) => y);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  const width = maxX - minX;
+  const height = maxY - minY;
+  const aspect = width > 0 && height > 0 ? width / height : 1;
+
+  const rowStep = hex ? HEX_ROW_STEP : 1;
+  const { rows, cols } = resolveGridSize({ count: features.length, rows: options.rows, cols: options.cols, aspect, rowStep });
+  const cells = createCells({ rows, cols, hex });
+
+  // Stretch centroids over the span of cell centres, with row 0 at the top.
+  const spanX = cols - 1 + (hex && rows > 1 ? 0.5 : 0);
+  const spanY = (rows - 1) * rowStep;
+  const positions = anchors.map(([x, y]) => [
+    width > 0 ? ((x - minX) / width) * spanX : spanX / 2,
+    height > 0 ? ((maxY - y) / height) * spanY : spanY / 2,
+  ]);
+
+  const neighbours = findNeighbours(features);
+  const optimal = features.length <= maxOptimalFeatures;
+  let assignment = optimal
+    ? solveAssignment(positions.map((position) => cells.map((cell) => displacementCost(position, cell))))
+    : greedyAssignment({ positions, cells, rows, cols, hex });
+  if (weight > 0 && rounds > 0) {
+    assignment = improveAdjacency({ positions, neighbours, cells, assignment, weight, passes: rounds });
+  }
+
+  let pairs = 0;
+  let adjacent = 0;
+  neighbours.forEach((list, index) => list.forEach((other) => {
+    if (other < index) return;
+    pairs += 1;
+    if (gap(cells[assignment[index]], cells[assignment[other]]) <= ADJACENT) adjacent += 1;
+  }));
+
+  const records = features.map(({ code }, index) => {
+    const { row, col } = cells[assignment[index]];
+    return { [joinProperty]: code, row, col };
+  });
+  const totalDisplacement = positions.reduce((sum, [x, y], index) => {
+    const cell = cells[assignment[index]];
+    return sum + Math.hypot(cell.x - x, cell.y - y);
+  }, 0);
+
+  return {
+    records,
+    gridOptions: {
+      idField: joinProperty,
+      rowField: "row",
+      colField: "col",
+      cellShape,
+      ...(hex ? { hexCoordinates: "odd-r" } : {}),
+    },
+    rows,
+    cols,
+    totalDisplacement,
+    neighbourAdjacency: pairs ? adjacent / pairs : null,
+    assignment: optimal ? "optimal" : "greedy",
+    skipped,
+  };
+}
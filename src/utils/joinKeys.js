@@ -0,0 +1,200 @@
+/**
+ * Join column detection and join key normalisation.
+ *
+ * Backs `joinColumn: "auto"`: every candidate column of the data rows is
+ * compared with every code-like property of the regular geography, and the
+ * pair sharing the most keys wins. Keys are compared after normalisation, so
+ * `" e01028513"`, `"E01028513"` and `"007"` / `7` line up.
+ */
+
+export const AUTO_JOIN = "auto";
+
+// Share of features that must carry a distinct value for a property to count as a code.
+const MIN_CODE_COVERAGE = 0.9;
+
+const DIGITS_PATTERN = /^\d+$/;
+
+/**
+ * Normalise one join value: trim, upper-case, and strip leading zeros from
+ * all-digit codes so `"007"` and `7` match. Digit strings are never parsed as
+ * numbers, so long codes keep every digit and `"1e3"` stays distinct from `"1000"`.
+ *
+ * @param {*} value
+ * @returns {string|null} `null` for empty or non-scalar values
+ */
+export function normalizeJoinValue(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? String(value) : null;
+  }
+  if (typeof value !== "string") return null;
+  const trimmed = value.trim();
+  if (!trimmed) return null;
+  return DIGITS_PATTERN.test(trimmed) ? trimmed.replace(/^0+(?=\d)/, "") : trimmed.toUpperCase();
+}
+
+const collectColumns = (records) => {
+  const columns = new Map();
+  for (const record of records) {
+    for (const [column, value] of Object.entries(record ?? {})) {
+      const key = normalizeJoinValue(value);
+      if (key === null) continue;
+      if (!columns.has(column)) columns.set(column, { keys: new Set(), filled: 0 });
+      const entry = columns.get(column);
+      entry.keys.add(key);
+      entry.filled += 1;
+    }
+  }
+  return columns;
+};
+
+// Feature properties qualify only when nearly every feature has its own value.
+const collectCodeColumns = (collection) => {
+  const features = collection?.features ?? [];
+  const minimum = features.length * MIN_CODE_COVERAGE;
+  const columns = collectColumns(features.map((feature) => feature?.properties));
+  for (const [column, { keys, filled }] of columns) {
+    if (filled < minimum || keys.size < filled * MIN_CODE_COVERAGE) columns.delete(column);
+  }
+  return columns;
+};
+
+const countShared = (left, right) => {
+  const [small, large] = left.size <= right.size ? [left, right] : [right, left];
+  let shared = 0;
+  for (const key of small) {
+    if (large.has(key)) shared += 1;
+  }
+  return shared;
+};
+
+const rate = (part, whole) => (whole ? part / whole : 0);
+
+const compareScores = (left, right) => {
+  const index = left.findIndex((value, slot) => value !== right[slot]);
+  return index === -1 ? 0 : left[index] - right[index];
+};
+
+/**
+ * Pick the column pair with the largest key overlap. Ties go to the preferred
+ * names, then to the pair matching the larger share of `left` keys.
+ */
+const bestPair = (leftColumns, rightColumns, { preferredLeft, preferredRight } = {}) => {
+  let best = null;
+  for (const [left, { keys: leftKeys }] of leftColumns) {
+    for (const [right, { keys: rightKeys }] of rightColumns) {
+      const shared = countShared(leftKeys, rightKeys);
+      const score = [shared, Number(left === preferredLeft) + Number(right === preferredRight), rate(shared, leftKeys.size)];
+      const better = !best || compareScores(score, best.score) > 0;
+      if (better) best = { left, right, shared, score };
+    }
+  }
+  return best?.shared ? best : null;
+};
+
+const only = (columns, name) => (name && columns.has(name) ? new Map([[name, columns.get(name)]]) : columns);
+
+/**
+ * Find the data column and feature property that join best.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} [params.rows] - Data rows
+ * @param {Object} params.regularGeoJSON - Regular FeatureCollection
+ * @param {Object} [params.cartogramGeoJSON] - Cartogram FeatureCollection, used when there are no rows
+ * @param {string|null} [params.joinColumn] - Fixed data column, or `null` to detect it
+ * @param {string|null} [params.geoJSONJoinColumn] - Fixed feature property, or `null` to detect it
+ * @returns {{ joinColumn: string, geoJSONJoinColumn: string, matchedKeys: number, matchRate: number, dataMatchRate: number|null }}
+ *   `matchRate` is the share of regular codes that found a data key, `dataMatchRate` the share of
+ *   distinct data keys that found a feature (`null` without rows).
+ */
+export function detectJoinColumns({ rows, regularGeoJSON, cartogramGeoJSON = null, joinColumn = null, geoJSONJoinColumn = null }) {
+  const featureColumns = only(collectCodeColumns(regularGeoJSON), geoJSONJoinColumn);
+  const dataRows = Array.isArray(rows) ? rows : [];
+
+  if (dataRows.length) {
+    const dataColumns = only(collectColumns(dataRows), joinColumn);
+    const best = bestPair(featureColumns, dataColumns, { preferredLeft: "code", preferredRight: "lsoa" });
+    if (!best) {
+      throw new Error("Could not detect join columns: no data column shares values with a regular geography property");
+    }
+    const featureKeys = featureColumns.get(best.left).keys;
+    return {
+      joinColumn: best.right,
+      geoJSONJoinColumn: best.left,
+      matchedKeys: best.shared,
+      matchRate: rate(best.shared, featureKeys.size),
+      dataMatchRate: rate(best.shared, dataColumns.get(best.right).keys.size),
+    };
+  }
+
+  const cartogramColumns = Array.isArray(cartogramGeoJSON?.features) ? collectCodeColumns(cartogramGeoJSON) : new Map();
+  const best = bestPair(featureColumns, cartogramColumns, { preferredLeft: "code", preferredRight: "code" });
+  const column = best?.left ?? (featureColumns.has("code") ? "code" : featureColumns.keys().next().value);
+  if (!column) {
+    throw new Error("Could not detect join columns: the regular geography has no property with a distinct value per feature");
+  }
+  return {
+    joinColumn: joinColumn ?? column,
+    geoJSONJoinColumn: column,
+    matchedKeys: 0,
+    matchRate: 0,
+    dataMatchRate: null,
+  };
+}
+
+/**
+ * Map normalised keys to the raw codes of the regular geography.
+ *
+ * @param {Object} collection - Regular FeatureCollection
+ * @param {string} column - Join property
+ * @returns {Map<string, *>}
+ */
+export function createJoinKeyIndex(collection, column) {
+  const index = new Map();
+  for (const feature of collection?.features ?? []) {
+    const value = feature?.properties?.[column];
+    const key = normalizeJoinValue(value);
+    if (key !== null && !index.has(key)) index.set(key, value);
+  }
+  return index;
+}
+
+/**
+ * Rewrite the join column of data rows to the regular geography's codes.
+ * Rows that match nothing keep their value.
+ */
+export function alignJoinRows(rows, column, index) {
+  if (!Array.isArray(rows)) return rows;
+  return rows.map((row) => {
+    const canonical = index.get(normalizeJoinValue(row?.[column]));
+    return typeof canonical === "undefined" || canonical === row[column] ? row : { ...row, [column]: canonical };
+  });
+}
+
+/**
+ * Rewrite a keyframe's codes to the regular geography's. When another
+ * property matches better than `column` (e.g. a cartogram keyed by `id`),
+ * its values are copied into `column`.
+ *
+ * @param {Object} collection - FeatureCollection to align
+ * @param {string} column - Join property every keyframe must carry
+ * @param {Map<string, *>} index - Output of `createJoinKeyIndex`
+ * @returns {{ collection: Object, column: string|null, matchRate: number }} `column` is the
+ *   property the codes were read from
+ */
+export function alignJoinFeatures(collection, column, index) {
+  const candidates = collectCodeColumns(collection);
+  const best = bestPair(new Map([[column, { keys: new Set(index.keys()) }]]), candidates, { preferredRight: column });
+  if (!best) {
+    return { collection, column: null, matchRate: 0 };
+  }
+
+  const source = best.right;
+  const features = collection.features.map((feature) => {
+    const value = feature?.properties?.[source];
+    const canonical = index.get(normalizeJoinValue(value));
+    const next = typeof canonical === "undefined" ? value : canonical;
+    if (next === feature?.properties?.[column]) return feature;
+    return { ...feature, properties: { ...feature.properties, [column]: next } };
+  });
+  return { collection: { ...collection, features }, column: source, matchRate: rate(best.shared, index.size) };
+}
@@ -0,0 +1,405 @@
+/**
+ * Topology-aware polygon simplification (lines are simplified independently).
+ *
+ * Rings are cut into arcs at junctions (vertices where three or more boundary
+ * directions meet) and every arc is simplified in a canonical direction, so a
+ * boundary shared by two features simplifies identically on both sides and
+ * no slivers or gaps open between neighbours. Each shared arc is simplified
+ * once; afterwards removed vertices are restored wherever two simplified
+ * segments would cross, so rings neither self-intersect nor overlap their
+ * neighbours. Junctions are never removed and rings never collapse below a
+ * triangle.
+ */
+
+import { segmentsIntersect } from "../core/validation.js";
+
+export const SIMPLIFY_METHODS = Object.freeze(["douglas-peucker", "visvalingam"]);
+
+const pointKey = ([x, y]) => `${x},${y}`;
+
+const comparePoints = (a, b) => (a[0] - b[0]) || (a[1] - b[1]);
+
+const openRing = (ring) => {
+  if (ring.length > 1 && comparePoints(ring[0], ring[ring.length - 1]) === 0) {
+    return ring.slice(0, -1);
+  }
+  return ring.slice();
+};
+
+const segmentDistanceSquared = (point, start, end) => {
+  const dx = end[0] - start[0];
+  const dy = end[1] - start[1];
+  let x = start[0];
+  let y = start[1];
+
+  if (dx !== 0 || dy !== 0) {
+    const t = ((point[0] - x) * dx + (point[1] - y) * dy) / (dx * dx + dy * dy);
+    if (t > 1) {
+      x = end[0];
+      y = end[1];
+    } else if (t > 0) {
+      x += dx * t;
+      y += dy * t;
+    }
+  }
+
+  const ox = point[0] - x;
+  const oy = point[1] - y;
+  return ox * ox + oy * oy;
+};
+
+const simplifyDouglasPeucker = (points, tolerance) => {
+  const last = points.length - 1;
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[last] = 1;
+  const toleranceSquared = tolerance * tolerance;
+  const stack = [[0, last]];
+
+  while (stack.length) {
+    const [first, end] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+    for (let cursor = first + 1; cursor < end; cursor += 1) {
+      const distance = segmentDistanceSquared(points[cursor], points[first], points[end]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = cursor;
+      }
+    }
+    if (index >= 0 && maxDistance > toleranceSquared) {
+      keep[index] = 1;
+      stack.push([first, index], [index, end]);
+    }
+  }
+
+  return keep;
+};
+
+const triangleArea = (a, b, c) => Math.abs(
+  (a[0] - c[0]) * (b[1] - a[1]) - (a[0] - b[0]) * (c[1] - a[1])
+) / 2;
+
+// Minimal binary heap keyed on effective area, with lazy invalidation.
+const createHeap = () => {
+  const items = [];
+  const swap = (i, j) => {
+    [items[i], items[j]] = [items[j], items[i]];
+  };
+  return {
+    get size() {
+      return items.length;
+    },
+    push(item) {
+      items.push(item);
+      let index = items.length - 1;
+      while (index > 0) {
+        const parent = (index - 1) >> 1;
+        if (items[parent].area <= items[index].area) break;
+        swap(index, parent);
+        index = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const tail = items.pop();
+      if (items.length) {
+        items[0] = tail;
+        let index = 0;
+        for (;;) {
+          const left = index * 2 + 1;
+          const right = left + 1;
+          let smallest = index;
+          if (left < items.length && items[left].area < items[smallest].area) smallest = left;
+          if (right < items.length && items[right].area < items[smallest].area) smallest = right;
+          if (smallest === index) break;
+          swap(index, smallest);
+          index = smallest;
+        }
+      }
+      return top;
+    },
+  };
+};
+
+const simplifyVisvalingam = (points, tolerance) => {
+  const threshold = tolerance * tolerance;
+  const previous = points.map((_, index) => index - 1);
+  const next = points.map((_, index) => index + 1);
+  const keep = new Uint8Array(points.length).fill(1);
+  const version = new Uint32Array(points.length);
+  const heap = createHeap();
+
+  const enqueue = (index) => {
+    version[index] += 1;
+    heap.push({
+      index,
+      version: version[index],
+      area: triangleArea(points[previous[index]], points[index], points[next[index]]),
+    });
+  };
+
+  for (let index = 1; index < points.length - 1; index += 1) enqueue(index);
+
+  while (heap.size) {
+    const { index, version: itemVersion, area } = heap.pop();
+    if (!keep[index] || itemVersion !== version[index]) continue;
+    if (area >= threshold) break;
+
+    keep[index] = 0;
+    const before = previous[index];
+    const after = next[index];
+    next[before] = after;
+    previous[after] = before;
+    if (before > 0) enqueue(before);
+    if (after < points.length - 1) enqueue(after);
+  }
+
+  return keep;
+};
+
+const keptPoints = (points, keep) => points.filter((_, index) => keep[index]);
+
+const SIMPLIFIERS = {
+  "douglas-peucker": simplifyDouglasPeucker,
+  visvalingam: simplifyVisvalingam,
+};
+
+const resolveSimplifier = (method) => {
+  const simplifier = SIMPLIFIERS[method ?? "douglas-peucker"];
+  if (!simplifier) {
+    throw new Error(`Unknown simplification method "${method}". Use one of: ${SIMPLIFY_METHODS.join(", ")}`);
+  }
+  return simplifier;
+};
+
+/**
+ * Simplify an open polyline, always keeping both endpoints.
+ *
+ * @param {Array<Array<number>>} points - Coordinate list
+ * @param {number} tolerance - Distance in coordinate units. Visvalingam removes
+ *   vertices whose effective triangle area is below `tolerance²`.
+ * @param {string} [method="douglas-peucker"] - `"douglas-peucker"` or `"visvalingam"`
+ */
+export function simplifyLine(points, tolerance, method = "douglas-peucker") {
+  const simplifier = resolveSimplifier(method);
+  if (!Array.isArray(points) || points.length <= 2 || !(tolerance > 0)) {
+    return Array.isArray(points) ? points.slice() : [];
+  }
+  return keptPoints(points, simplifier(points, tolerance));
+}
+
+const forEachRing = (geometry, callback) => {
+  if (geometry?.type === "Polygon") {
+    geometry.coordinates?.forEach(callback);
+  } else if (geometry?.type === "MultiPolygon") {
+    geometry.coordinates?.forEach((polygon) => polygon?.forEach(callback));
+  }
+};
+
+const collectJunctions = (features) => {
+  const neighbours = new Map();
+  const link = (point, neighbour) => {
+    const key = pointKey(point);
+    if (!neighbours.has(key)) neighbours.set(key, new Set());
+    neighbours.get(key).add(pointKey(neighbour));
+  };
+
+  for (const feature of features) {
+    forEachRing(feature?.geometry, (ring) => {
+      if (!Array.isArray(ring)) return;
+      const points = openRing(ring);
+      points.forEach((point, index) => {
+        link(point, points[(index + points.length - 1) % points.length]);
+        link(point, points[(index + 1) % points.length]);
+      });
+    });
+  }
+
+  const junctions = new Set();
+  neighbours.forEach((set, key) => {
+    if (set.size >= 3) junctions.add(key);
+  });
+  return junctions;
+};
+
+// Register an arc under a direction that does not depend on which ring it came
+// from, so both sides of a shared boundary resolve to the same entry.
+const registerArc = (arcs, arc) => {
+  const order = comparePoints(arc[0], arc[arc.length - 1])
+    || comparePoints(arc[1], arc[arc.length - 2]);
+  const reversed = order > 0;
+  const points = reversed ? arc.slice().reverse() : arc;
+  const key = points.map(pointKey).join(";");
+  if (!arcs.has(key)) arcs.set(key, { points, keep: null });
+  return { arc: arcs.get(key), reversed };
+};
+
+// Cut a ring into arcs at its junctions, or return null to leave it untouched.
+const planRing = (ring, { junctions, arcs }) => {
+  if (!Array.isArray(ring) || ring.length < 4) return null;
+  const points = openRing(ring);
+  if (points.length < 4) return null;
+
+  const junctionIndices = points
+    .map((point, index) => (junctions.has(pointKey(point)) ? index : -1))
+    .filter((index) => index >= 0);
+
+  // Without junctions start from the lowest vertex so identical rings agree.
+  const start = junctionIndices.length
+    ? junctionIndices[0]
+    : points.reduce((best, point, index) => (comparePoints(point, points[best]) < 0 ? index : best), 0);
+  const rotated = [...points.slice(start), ...points.slice(0, start)];
+  const cuts = junctionIndices.length
+    ? junctionIndices.map((index) => (index - start + points.length) % points.length).sort((a, b) => a - b)
+    : [0];
+
+  return cuts.map((cut, position) => {
+    const end = position + 1 < cuts.length ? cuts[position + 1] : rotated.length;
+    const arc = rotated.slice(cut, end + 1);
+    if (end === rotated.length) arc.push(rotated[0]);
+    return registerArc(arcs, arc);
+  });
+};
+
+const collectSegments = (arcs) => {
+  const segments = [];
+  arcs.forEach((arc) => {
+    let from = 0;
+    for (let to = 1; to < arc.points.length; to += 1) {
+      if (!arc.keep[to]) continue;
+      const a = arc.points[from];
+      const b = arc.points[to];
+      segments.push({ arc, from, to, a, b, minX: Math.min(a[0], b[0]), maxX: Math.max(a[0], b[0]) });
+      from = to;
+    }
+  });
+  return segments.sort((left, right) => left.minX - right.minX);
+};
+
+const sharesEndpoint = (left, right) => comparePoints(left.a, right.a) === 0
+  || comparePoints(left.a, right.b) === 0
+  || comparePoints(left.b, right.a) === 0
+  || comparePoints(left.b, right.b) === 0;
+
+// Put back the removed vertex furthest from the segment's chord. Returns false
+// when the segment has nothing left to restore.
+const restoreVertex = ({ arc, from, to, a, b }) => {
+  let maxDistance = -1;
+  let index = -1;
+  for (let cursor = from + 1; cursor < to; cursor += 1) {
+    const distance = segmentDistanceSquared(arc.points[cursor], a, b);
+    if (distance > maxDistance) {
+      maxDistance = distance;
+      index = cursor;
+    }
+  }
+  if (index < 0) return false;
+  arc.keep[index] = 1;
+  return true;
+};
+
+/**
+ * Restore removed vertices until no two simplified segments cross. Segments
+ * meeting at a shared vertex are not crossings; crossings already present in
+ * the input survive once both segments are back at full resolution.
+ */
+const repairCrossings = (arcs) => {
+  let changed = true;
+  while (changed) {
+    changed = false;
+    const crossing = new Set();
+    const active = [];
+    for (const segment of collectSegments(arcs)) {
+      for (let slot = active.length - 1; slot >= 0; slot -= 1) {
+        const other = active[slot];
+        if (other.maxX < segment.minX) {
+          active.splice(slot, 1);
+          continue;
+        }
+        if (sharesEndpoint(segment, other)) continue;
+        if (segmentsIntersect(segment.a, segment.b, other.a, other.b)) {
+          crossing.add(segment);
+          crossing.add(other);
+        }
+      }
+      active.push(segment);
+    }
+    crossing.forEach((segment) => {
+      if (restoreVertex(segment)) changed = true;
+    });
+  }
+};
+
+const buildRing = (ring, plan) => {
+  if (!plan) return ring;
+  const simplified = [];
+  plan.forEach(({ arc, reversed }) => {
+    const points = keptPoints(arc.points, arc.keep);
+    if (reversed) points.reverse();
+    simplified.push(...points.slice(0, -1));
+  });
+
+  if (simplified.length < 3) return ring;
+  return [...simplified, simplified[0]];
+};
+
+const simplifyPath = (line, { tolerance, simplifier }) => (
+  Array.isArray(line) && line.length > 2 ? keptPoints(line, simplifier(line, tolerance)) : line
+);
+
+const simplifyGeometry = (geometry, context) => {
+  const ring = (coordinates) => buildRing(coordinates, context.plans.get(coordinates));
+  if (geometry?.type === "LineString") {
+    return { ...geometry, coordinates: simplifyPath(geometry.coordinates, context) };
+  }
+  if (geometry?.type === "MultiLineString") {
+    return { ...geometry, coordinates: geometry.coordinates.map((line) => simplifyPath(line, context)) };
+  }
+  if (geometry?.type === "Polygon") {
+    return { ...geometry, coordinates: geometry.coordinates.map(ring) };
+  }
+  if (geometry?.type === "MultiPolygon") {
+    return { ...geometry, coordinates: geometry.coordinates.map((polygon) => polygon.map(ring)) };
+  }
+  return geometry;
+};
+
+/**
+ * Simplify every polygon and line in a FeatureCollection while keeping shared
+ * polygon boundaries coincident. Line endpoints are kept; points pass through.
+ *
+ * @param {Object} collection - GeoJSON FeatureCollection
+ * @param {Object} options
+ * @param {number} options.tolerance - Distance in coordinate units; `0` returns the input unchanged
+ * @param {string} [options.method="douglas-peucker"] - `"douglas-peucker"` or `"visvalingam"`
+ * @returns {Object} New FeatureCollection; input features are not mutated
+ */
+export function simplifyFeatureCollection(collection, { tolerance, method = "douglas-peucker" } = {}) {
+  const simplifier = resolveSimplifier(method);
+  if (!collection?.features || !(tolerance > 0)) return collection;
+
+  const junctions = collectJunctions(collection.features);
+  const arcs = new Map();
+  const plans = new Map();
+  for (const feature of collection.features) {
+    forEachRing(feature?.geometry, (ring) => {
+      if (!plans.has(ring)) plans.set(ring, planRing(ring, { junctions, arcs }));
+    });
+  }
+
+  arcs.forEach((arc) => {
+    arc.keep = arc.points.length > 2
+      ? simplifier(arc.points, tolerance)
+      : new Uint8Array(arc.points.length).fill(1);
+  });
+  repairCrossings(arcs);
+
+  const context = { tolerance, simplifier, plans };
+  return {
+    ...collection,
+    features: collection.features.map((feature) => (feature?.geometry
+      ? { ...feature, geometry: simplifyGeometry(feature.geometry, context) }
+      : feature)),
+  };
+}
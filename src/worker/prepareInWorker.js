@@ -0,0 +1,198 @@
+/**
+ * Client API for preparing a GeoMorpher off the main thread
+ * @module worker/prepareInWorker
+ */
+
+import { GeoMorpher } from "../core/geomorpher.js";
+import { WGS84Projection, WebMercatorProjection } from "../utils/projections.js";
+
+const DEFAULT_WORKER_URL = new URL("./prepareWorker.js", import.meta.url);
+
+const isNodeRuntime = () => typeof process !== "undefined" && Boolean(process.versions?.node);
+
+const toProjectionName = (projection) => {
+  if (projection == null) return null;
+  if (projection === WGS84Projection) return "WGS84";
+  if (projection === WebMercatorProjection) return "WebMercator";
+  if (typeof projection === "string") return projection;
+  throw new TypeError(
+    "Custom projections cannot be sent to a worker. Reproject the input first or use WGS84Projection/WebMercatorProjection."
+  );
+};
+
+const createAbortError = (signal) =>
+  signal?.reason ?? new DOMException("GeoMorpher preparation was aborted", "AbortError");
+
+async function spawnWorker(url) {
+  if (!isNodeRuntime() && typeof Worker === "function") {
+    return new Worker(url, { type: "module" });
+  }
+
+  const { Worker: NodeWorker } = await import("node:worker_threads");
+  return new NodeWorker(url);
+}
+
+/**
+ * Normalise the browser `Worker` and Node `worker_threads` event APIs.
+ */
+function connect(worker) {
+  if (typeof worker.on === "function") {
+    return {
+      post: (message) => worker.postMessage(message),
+      onMessage: (handler) => {
+        worker.on("message", handler);
+        return () => worker.off("message", handler);
+      },
+      onError: (handler) => {
+        worker.on("error", handler);
+        return () => worker.off("error", handler);
+      },
+      terminate: () => worker.terminate(),
+    };
+  }
+
+  return {
+    post: (message) => worker.postMessage(message),
+    onMessage: (handler) => {
+      const listener = (event) => handler(event.data);
+      worker.addEventListener("message", listener);
+      return () => worker.removeEventListener("message", listener);
+    },
+    onError: (handler) => {
+      const listener = (event) => handler(event.error ?? new Error(event.message ?? "Worker error"));
+      worker.addEventListener("error", listener);
+      return () => worker.removeEventListener("error", listener);
+    },
+    terminate: () => worker.terminate(),
+  };
+}
+
+const deserializeError = ({ name, message, stack } = {}) => {
+  const error = new Error(message ?? "GeoMorpher preparation failed in worker");
+  error.name = name ?? "Error";
+  if (stack) error.stack = stack;
+  return error;
+};
+
+let nextJobId = 0;
+
+/**
+ * Run `GeoMorpher.prepare()` in a Web Worker (browser) or `worker_threads`
+ * worker (Node) and restore the result on the calling thread.
+ *
+ * Options must be structured-cloneable: `getData` is resolved on the calling
+ * thread first, `easing`, `stagger`, `selection` and `centroidPath` are kept
+ * on the calling thread (so functions are fine there), and projections are
+ * limited to the built-in WGS84 and Web Mercator helpers (or `null` for
+ * auto-detection).
+ *
+ * @param {Object} options - GeoMorpher constructor options
+ * @param {Object} [params]
+ * @param {Worker|import("node:worker_threads").Worker} [params.worker] - Existing worker running prepareWorker.js
+ * @param {string|URL} [params.workerUrl] - Location of prepareWorker.js when spawning a worker
+ * @param {Function} [params.onProgress] - Called with `{ processed, total }` feature counts
+ * @param {AbortSignal} [params.signal] - Cancels preparation; spawned workers are terminated
+ * @returns {Promise<GeoMorpher>} Prepared morpher whose interpolation runs on the calling thread
+ */
+export async function prepareInWorker(options = {}, {
+  worker,
+  workerUrl = DEFAULT_WORKER_URL,
+  onProgress,
+  signal,
+} = {}) {
+  if (signal?.aborted) {
+    throw createAbortError(signal);
+  }
+
+  const { getData, projection, ...rest } = options;
+  const data = !Array.isArray(rest.data) && typeof getData === "function"
+    ? await getData()
+    : rest.data;
+
+  if (signal?.aborted) {
+    throw createAbortError(signal);
+  }
+
+  // Easing, stagger, selection and centroid paths only shape interpolation, which the
+  // restored morpher runs here; they may be functions, so they stay on this thread.
+  const { easing, stagger, selection, centroidPath, ...prepareOptions } = rest;
+  const payload = {
+    ...prepareOptions,
+    data: data ?? null,
+    projection: toProjectionName(projection),
+  };
+  // The restored morpher interpolates here, so it needs the caller's morph options. The
+  // snapshot already holds the geometry and the join columns resolved in the worker.
+  const {
+    regularGeoJSON,
+    cartogramGeoJSON,
+    keyframes,
+    joinColumn,
+    geoJSONJoinColumn,
+    ...morphOptions
+  } = rest;
+  const restoreOptions = { ...morphOptions, data: data ?? null, getData };
+
+  const ownsWorker = !worker;
+  const endpoint = connect(worker ?? await spawnWorker(workerUrl));
+  const id = nextJobId++;
+
+  return new Promise((resolve, reject) => {
+    const cleanups = [];
+    const finish = () => {
+      cleanups.forEach((cleanup) => cleanup());
+      if (ownsWorker) endpoint.terminate();
+    };
+
+    const onAbort = () => {
+      if (!ownsWorker) endpoint.post({ type: "abort", id });
+      finish();
+      reject(createAbortError(signal));
+    };
+
+    if (signal) {
+      signal.addEventListener("abort", onAbort, { once: true });
+      cleanups.push(() => signal.removeEventListener("abort", onAbort));
+    }
+
+    cleanups.push(endpoint.onError((error) => {
+      finish();
+      reject(error);
+    }));
+
+    cleanups.push(endpoint.onMessage((message) => {
+      if (!message || message.id !== id) return;
+
+      if (message.type === "progress") {
+        if (typeof onProgress === "function") {
+          onProgress({ processed: message.processed, total: message.total });
+        }
+        return;
+      }
+
+      if (message.type === "prepared") {
+        finish();
+        try {
+          resolve(GeoMorpher.fromPrepared(message.snapshot, restoreOptions));
+        } catch (error) {
+          reject(error);
+        }
+        return;
+      }
+
+      if (message.type === "error") {
+        finish();
+        reject(deserializeError(message.error));
+      }
+    }));
+
+    try {
+      endpoint.post({ type: "prepare", id, options: payload });
+    } catch (error) {
+      finish();
+      reject(error);
+    }
+  });
+}
+
+export default prepareInWorker;
@@ -0,0 +1,88 @@
+/**
+ * Worker entry point for off-main-thread GeoMorpher preparation.
+ *
+ * Runs as a browser module worker or a Node `worker_threads` worker. It
+ * receives constructor options, runs `prepare()`, streams progress and posts
+ * back a `toJSON()` snapshot for the main thread to restore.
+ * @module worker/prepareWorker
+ */
+
+import { GeoMorpher } from "../core/geomorpher.js";
+import { WGS84Projection, WebMercatorProjection } from "../utils/projections.js";
+
+const PROJECTIONS = {
+  WGS84: WGS84Projection,
+  WebMercator: WebMercatorProjection,
+};
+
+const PROGRESS_STEPS = 100;
+
+const resolvePort = async () => {
+  if (typeof self !== "undefined" && typeof self.postMessage === "function") {
+    return {
+      post: (message) => self.postMessage(message),
+      listen: (handler) => self.addEventListener("message", (event) => handler(event.data)),
+    };
+  }
+
+  const { parentPort } = await import("node:worker_threads");
+  if (!parentPort) {
+    throw new Error("prepareWorker.js must be started as a worker");
+  }
+  return {
+    post: (message) => parentPort.postMessage(message),
+    listen: (handler) => parentPort.on("message", handler),
+  };
+};
+
+const serializeError = (error) => ({
+  name: error?.name ?? "Error",
+  message: error?.message ?? String(error),
+  stack: error?.stack,
+});
+
+const port = await resolvePort();
+const controllers = new Map();
+
+const runPrepare = async ({ id, options = {} }) => {
+  const controller = new AbortController();
+  controllers.set(id, controller);
+
+  let lastReported = -1;
+  const onProgress = ({ processed, total }) => {
+    const step = Math.max(1, Math.floor(total / PROGRESS_STEPS));
+    if (processed !== total && processed - lastReported < step) return;
+    lastReported = processed;
+    port.post({ type: "progress", id, processed, total });
+  };
+
+  try {
+    const projection = options.projection ? PROJECTIONS[options.projection] : null;
+    if (options.projection && !projection) {
+      throw new Error(`Unknown projection "${options.projection}". Use "WGS84", "WebMercator" or null.`);
+    }
+
+    const morpher = new GeoMorpher({ ...options, projection });
+    await morpher.prepare({ onProgress, signal: controller.signal });
+    if (!controller.signal.aborted) {
+      port.post({ type: "prepared", id, snapshot: morpher.toJSON() });
+    }
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      port.post({ type: "error", id, error: serializeError(error) });
+    }
+  } finally {
+    controllers.delete(id);
+  }
+};
+
+port.listen((message) => {
+  if (!message || typeof message !== "object") return;
+  if (message.type === "prepare") {
+    runPrepare(message);
+    return;
+  }
+  if (message.type === "abort") {
+    controllers.get(message.id)?.abort();
+  }
+});
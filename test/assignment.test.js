@@ -0,0 +1,49 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { solveAssignment } from "../src/core/assignment.js";
+
+const permutations = (items) => (items.length <= 1
+  ? [items]
+  : items.flatMap((item, index) =>
+    permutations([...items.slice(0, index), ...items.slice(index + 1)]).map((rest) => [item, ...rest])
+  ));
+
+const bruteForceMinimum = (costs) => {
+  const rows = costs.length;
+  const columns = costs[0].length;
+  let best = Number.POSITIVE_INFINITY;
+  if (rows <= columns) {
+    for (const order of permutations([...Array(columns).keys()])) {
+      best = Math.min(best, costs.reduce((sum, row, index) => sum + row[order[index]], 0));
+    }
+  } else {
+    for (const order of permutations([...Array(rows).keys()])) {
+      best = Math.min(best, costs[0].reduce((sum, _, column) => sum + costs[order[column]][column], 0));
+    }
+  }
+  return best;
+};
+
+test("solveAssignment finds the minimum-cost assignment for rectangular matrices", () => {
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+
+  for (let trial = 0; trial < 100; trial += 1) {
+    const rows = 1 + Math.floor(random() * 5);
+    const columns = 1 + Math.floor(random() * 5);
+    const costs = Array.from({ length: rows }, () => Array.from({ length: columns }, () => Math.round(random() * 20)));
+
+    const assignment = solveAssignment(costs);
+    const assigned = assignment.filter((column) => column >= 0);
+    assert.equal(assigned.length, Math.min(rows, columns));
+    assert.equal(new Set(assigned).size, assigned.length);
+
+    const total = assignment.reduce((sum, column, row) => sum + (column >= 0 ? costs[row][column] : 0), 0);
+    assert.equal(total, bruteForceMinimum(costs));
+  }
+
+  assert.deepEqual(solveAssignment([]), []);
+});
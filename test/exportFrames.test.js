@@ -0,0 +1,112 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { Writable } from "node:stream";
+import { GeoMorpher, WGS84Projection } from "../src/index.js";
+import { exportFrames } from "../src/node/exportFrames.js";
+
+const square = (id, x, y) => ({
+  type: "Feature",
+  properties: { id },
+  geometry: { type: "Polygon", coordinates: [[[x, y], [x + 1, y], [x + 1, y + 1], [x, y + 1], [x, y]]] },
+});
+
+const createMorpher = async () => {
+  const morpher = new GeoMorpher({
+    regularGeoJSON: { type: "FeatureCollection", features: [square("a", 0, 0), square("b", 2, 0)] },
+    cartogramGeoJSON: { type: "FeatureCollection", features: [square("a", 0, 4), square("b", 4, 4)] },
+    joinColumn: "id",
+    geoJSONJoinColumn: "id",
+    projection: WGS84Projection,
+  });
+  await morpher.prepare();
+  return morpher;
+};
+
+const withTempDir = async (run) => {
+  const directory = await mkdtemp(join(tmpdir(), "geo-morpher-frames-"));
+  try {
+    await run(directory);
+  } finally {
+    await rm(directory, { recursive: true, force: true });
+  }
+};
+
+test("frames() yields evenly spaced, deterministic frames", async () => {
+  const morpher = await createMorpher();
+
+  const frames = [];
+  for await (const frame of morpher.frames({ count: 5, from: 0.2, to: 0.6, easing: "cubicInOut" })) {
+    frames.push(frame);
+  }
+
+  assert.deepEqual(frames.map(({ index }) => index), [0, 1, 2, 3, 4]);
+  assert.equal(frames[0].factor, 0.2);
+  assert.equal(frames[4].factor, 0.6);
+  assert.ok(Math.abs(frames[2].factor - 0.4) < 1e-12);
+  frames.forEach(({ factor, featureCollection }) => {
+    assert.deepEqual(featureCollection, morpher.getInterpolatedFeatureCollection(factor, { easing: "cubicInOut" }));
+  });
+
+  const { value: single } = await morpher.frames({ count: 1, from: 0.3 }).next();
+  assert.equal(single.factor, 0.3);
+
+  await assert.rejects(() => morpher.frames({ count: 0 }).next(), RangeError);
+  await assert.rejects(() => morpher.frames({ count: 2, easing: "wobble" }).next(), /Unknown easing/);
+
+  const controller = new AbortController();
+  const iterator = morpher.frames({ count: 3, signal: controller.signal });
+  await iterator.next();
+  controller.abort();
+  await assert.rejects(() => iterator.next(), { name: "AbortError" });
+});
+
+test("exportFrames writes numbered GeoJSON files", async () => {
+  const morpher = await createMorpher();
+
+  await withTempDir(async (directory) => {
+    const target = join(directory, "out");
+    const result = await exportFrames(morpher, { directory: target, frames: { count: 3 } });
+
+    assert.equal(result.count, 3);
+    assert.deepEqual(await readdir(target), ["frame-0000.geojson", "frame-0001.geojson", "frame-0002.geojson"]);
+    const last = JSON.parse(await readFile(join(target, "frame-0002.geojson"), "utf8"));
+    assert.deepEqual(last, morpher.getInterpolatedFeatureCollection(1));
+  });
+});
+
+test("exportFrames writes GeoJSONSeq and NDJSON streams", async () => {
+  const morpher = await createMorpher();
+
+  await withTempDir(async (directory) => {
+    const path = join(directory, "frames.geojsons");
+    const result = await exportFrames(morpher, { format: "geojsonseq", output: path, frames: { count: 4 } });
+    assert.deepEqual(result, { format: "geojsonseq", count: 4, path });
+
+    const records = (await readFile(path, "utf8")).split("\n").filter(Boolean);
+    assert.equal(records.length, 4);
+    assert.ok(records.every((record) => record.startsWith("\u001e")));
+    assert.deepEqual(JSON.parse(records[0].slice(1)), morpher.getInterpolatedFeatureCollection(0));
+  });
+
+  const chunks = [];
+  let ended = false;
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk.toString());
+      callback();
+    },
+    final(callback) {
+      ended = true;
+      callback();
+    },
+  });
+  const result = await exportFrames(morpher, { format: "ndjson", output: sink, frames: { count: 2 } });
+  assert.equal(result.count, 2);
+  assert.equal(ended, false);
+  assert.deepEqual(chunks.map((line) => JSON.parse(line).type), ["FeatureCollection", "FeatureCollection"]);
+
+  await assert.rejects(() => exportFrames(morpher, { format: "gif" }), /Unknown frame export format/);
+});
@@ -22,6 +22,17 @@ const distanceBetween = (a, b) => {
   return Math.sqrt(dx * dx + dy * dy);
 };
 
+// Fixture builders. `featureOf` takes a properties object or an id.
+const squareRing = (x, y, size = 1) => [[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]];
+const polygonOf = (...rings) => ({ type: "Polygon", coordinates: rings });
+const featureOf = (properties, geometry) => ({
+  type: "Feature",
+  properties: typeof properties === "object" ? properties : { id: properties },
+  geometry,
+});
+const squareFeature = (properties, x, y, size = 1) => featureOf(properties, polygonOf(squareRing(x, y, size)));
+const collectionOf = (features) => ({ type: "FeatureCollection", features });
+
 const [regularGeoJSON, cartogramGeoJSON] = await Promise.all([
   loadJSON("data/oxford_lsoas_regular.json"),
   loadJSON("data/oxford_lsoas_cartogram.json"),
@@ -33,8 +44,25 @@ import {
   createLeafletMorphLayers,
   createLeafletGlyphLayer,
   createMapLibreGlyphLayer,
+  createMapLibreMorphLayers,
   createGridCartogramFeatureCollection,
+  WGS84Projection,
+  GeoMorpherJoinError,
+  createFrameBuffer,
+  frameToFeatureCollection,
+  validateGeometry,
+  validateFeatureCollection,
+  generateGridLayout,
+  createDorlingCartogram,
+  createContiguousCartogram,
+  createDemersCartogram,
+  createOlsonCartogram,
+  formatCSV,
+  parseCSV,
+  normalizeJoinValue,
 } from "../src/index.js";
+import { signedRingArea } from "../src/core/rings.js";
+import { OSGB } from "../src/lib/osgb/index.js";
 
 const sampleData = [
   {
@@ -548,3 +576,1560 @@ test("GeoMorpher supports grid-based cartogram input", async () => {
   assert.equal(cartogramCsv.features[0].geometry.type, "Polygon");
   assert.ok(cartogramCsv.features[0].geometry.coordinates[0].length >= 4);
 });
+
+test("GeoMorpher preserves polygon holes during interpolation", async () => {
+  const outer = () => squareRing(0, 0, 10);
+  const hole = () => squareRing(4, 4, 2).reverse();
+  const cartogramOuter = () => squareRing(20, 0, 10);
+  const cartogramHole = () => squareRing(24, 4, 2).reverse();
+
+  const morpher = new GeoMorpher({
+    regularGeoJSON: collectionOf([
+      featureOf("matched", polygonOf(outer(), hole())),
+      featureOf("filled", polygonOf(outer(), hole())),
+    ]),
+    cartogramGeoJSON: collectionOf([
+      featureOf("matched", polygonOf(cartogramOuter(), cartogramHole())),
+      featureOf("filled", polygonOf(cartogramOuter())),
+    ]),
+    joinColumn: "id",
+    geoJSONJoinColumn: "id",
+    projection: WGS84Projection,
+    normalize: false,
+  });
+
+  await morpher.prepare();
+
+  const byId = (factor) => Object.fromEntries(
+    morpher.getInterpolatedFeatureCollection(factor).features.map((feature) => [feature.properties.id, feature])
+  );
+
+  const start = byId(0);
+  assert.equal(start.matched.geometry.type, "Polygon");
+  assert.equal(start.matched.geometry.coordinates.length, 2);
+  assert.equal(start.filled.geometry.coordinates.length, 2);
+
+  const [shell, innerRing] = start.matched.geometry.coordinates;
+  assert.ok(signedRingArea(shell) > 0, "exterior ring should be counterclockwise");
+  assert.ok(signedRingArea(innerRing) < 0, "hole should be clockwise");
+  assert.ok(Math.abs(Math.abs(signedRingArea(innerRing)) - 4) < 1e-6);
+
+  const end = byId(1);
+  assert.equal(end.matched.geometry.coordinates.length, 2);
+  assert.ok(end.matched.geometry.coordinates[1].every(([x]) => x >= 24 - 1e-9 && x <= 26 + 1e-9));
+  assert.equal(end.filled.geometry.coordinates.length, 1);
+});
+
+test("GeoMorpher morphs through an ordered keyframe sequence", async () => {
+  const square = (offsetX, size = 2) => collectionOf([squareFeature("A", offsetX, 0, size)]);
+
+  const morpher = new GeoMorpher({
+    keyframes: [square(0), square(10), square(20, 4)],
+    joinColumn: "id",
+    geoJSONJoinColumn: "id",
+    projection: WGS84Projection,
+    normalize: false,
+  });
+
+  await morpher.prepare();
+
+  assert.equal(morpher.getKeyframeCount(), 3);
+  assert.deepEqual(
+    morpher.getCartogramFeatureCollection().features[0].geometry,
+    morpher.getKeyframeFeatureCollection(2).features[0].geometry
+  );
+  assert.throws(() => morpher.getKeyframeFeatureCollection(3), RangeError);
+
+  const middle = morpher.getInterpolatedFeatureCollection(0.5).features[0];
+  assert.equal(middle.properties.morph_factor, 0.5);
+  assert.equal(middle.properties.morph_segment, 1);
+  assert.equal(middle.properties.morph_segment_factor, 0);
+  assert.ok(distanceBetween(middle.centroid, [11, 1]) < 1e-9);
+
+  const firstLeg = morpher.getInterpolatedFeatureCollection(0.25).features[0];
+  assert.equal(firstLeg.properties.morph_segment, 0);
+  assert.ok(distanceBetween(firstLeg.centroid, [6, 1]) < 1e-9);
+
+  const end = morpher.getInterpolatedFeatureCollection(1).features[0];
+  assert.equal(end.properties.morph_segment, 1);
+  assert.ok(distanceBetween(end.centroid, [22, 2]) < 1e-9);
+  assert.ok(end.geometry.coordinates[0].every(([x]) => x >= 20 - 1e-9 && x <= 24 + 1e-9));
+});
+
+test("GeoMorpher snapshots restore without re-running prepare", async () => {
+  const morpher = new GeoMorpher({
+    regularGeoJSON,
+    cartogramGeoJSON,
+    data: sampleData,
+    aggregations: { population: "sum" },
+  });
+  await morpher.prepare();
+
+  const serialized = JSON.stringify(morpher);
+  const restored = GeoMorpher.fromPrepared(serialized);
+
+  assert.ok(restored.isPrepared());
+  assert.deepEqual(restored.getKeyData(), JSON.parse(JSON.stringify(morpher.getKeyData())));
+  assert.deepEqual(restored.getRegularFeatureCollection(), morpher.getRegularFeatureCollection());
+  assert.deepEqual(restored.getCartogramLookup(), morpher.getCartogramLookup());
+  assert.deepEqual(
+    restored.getInterpolatedFeatureCollection(0.3),
+    morpher.getInterpolatedFeatureCollection(0.3)
+  );
+
+  const snapshot = JSON.parse(serialized);
+  assert.throws(() => GeoMorpher.fromPrepared({ ...snapshot, version: 99 }), /Unsupported snapshot version 99/);
+  assert.throws(() => GeoMorpher.fromPrepared({ ...snapshot, format: "other" }), /Unrecognised snapshot format/);
+  assert.throws(() => GeoMorpher.fromPrepared({ ...snapshot, segments: [] }), /one interpolator segment/);
+  assert.throws(() => new GeoMorpher({ regularGeoJSON, cartogramGeoJSON }).toJSON(), /prepare\(\) must be called/);
+});
+
+test("GeoMorpher snapshots keep morph options, join detection and data diagnostics", async () => {
+  const codes = regularGeoJSON.features.slice(0, 10).map(({ properties }) => properties.code);
+  const morpher = new GeoMorpher({
+    regularGeoJSON,
+    cartogramGeoJSON,
+    data: [...sampleData, { lsoa: "E99999999", population: 1 }, { population: 2 }],
+    easing: "cubic",
+    stagger: { by: "attribute", attribute: "population" },
+    selection: new Set(codes),
+    centroidPath: { type: "arc", bulge: 0.3 },
+    weightProperty: "population",
+    simplify: { tolerance: 5 },
+  });
+  await morpher.prepare();
+
+  const snapshot = JSON.parse(JSON.stringify(morpher));
+  assert.equal(snapshot.version, 2);
+  assert.deepEqual(snapshot.options.selection, codes);
+  assert.equal(snapshot.options.easing, "cubic");
+
+  const restored = GeoMorpher.fromPrepared(snapshot);
+  assert.equal(restored.weightProperty, "population");
+  assert.deepEqual(restored.getStaggerSchedule(), morpher.getStaggerSchedule());
+  for (const factor of [0.3, 0.7]) {
+    assert.deepEqual(restored.getInterpolatedFeatureCollection(factor), morpher.getInterpolatedFeatureCollection(factor));
+  }
+  assert.deepEqual(restored.getDiagnostics(), morpher.getDiagnostics());
+  assert.deepEqual(restored.getDiagnostics().unmatchedDataKeys, ["E99999999"]);
+  assert.equal(restored.getDiagnostics().dataRowsWithoutKey, 1);
+
+  // Function-valued options stay out of the snapshot and can be supplied again.
+  const custom = new GeoMorpher({ regularGeoJSON, cartogramGeoJSON, data: sampleData, easing: (t) => t * t });
+  await custom.prepare();
+  const customSnapshot = custom.toJSON();
+  assert.equal("easing" in customSnapshot.options, false);
+  const reeased = GeoMorpher.fromPrepared(JSON.stringify(customSnapshot), { easing: (t) => t * t });
+  assert.deepEqual(reeased.getInterpolatedFeatureCollection(0.4), custom.getInterpolatedFeatureCollection(0.4));
+
+  // Version 1 snapshots still restore.
+  const { joinDetection, dataKeys, ...legacy } = snapshot;
+  assert.ok(GeoMorpher.fromPrepared({ ...legacy, version: 1 }).isPrepared());
+});
+
+test("GeoMorpher staggers per-feature morph timing", async () => {
+  const squareAt = (id, x, population, offset = 0) => squareFeature({ id, population }, x, offset);
+  const regular = collectionOf([squareAt("small", 0, 10), squareAt("large", 5, 500)]);
+  const cartogram = collectionOf([squareAt("small", 0, 10, 10), squareAt("large", 5, 500, 10)]);
+
+  const morpher = new GeoMorpher({
+    regularGeoJSON: regular,
+    cartogramGeoJSON: cartogram,
+    joinColumn: "id",
+    geoJSONJoinColumn: "id",
+    projection: WGS84Projection,
+    normalize: false,
+    stagger: { by: "attribute", attribute: "population", order: "descending", duration: 0.5 },
+  });
+  await morpher.prepare();
+
+  assert.deepEqual(morpher.getStaggerSchedule(), {
+    large: { delay: 0, duration: 0.5 },
+    small: { delay: 0.5, duration: 0.5 },
+  });
+
+  const localFactors = (collection) => Object.fromEntries(
+    collection.features.map((feature) => [feature.properties.id, feature.properties.morph_local_factor])
+  );
+
+  const quarter = morpher.getInterpolatedFeatureCollection(0.25);
+  assert.deepEqual(localFactors(quarter), { small: 0, large: 0.5 });
+  const large = quarter.features.find((feature) => feature.properties.id === "large");
+  assert.ok(distanceBetween(large.centroid, [5.5, 5.5]) < 1e-9);
+  assert.equal(large.properties.morph_factor, 0.25);
+
+  assert.deepEqual(localFactors(morpher.getInterpolatedFeatureCollection(0.75)), { small: 0.5, large: 1 });
+
+  const byDistance = morpher.getInterpolatedFeatureCollection(0.25, {
+    stagger: { by: "distance", focus: [0, 0], duration: 0.5 },
+  });
+  assert.deepEqual(localFactors(byDistance), { small: 0.5, large: 0 });
+
+  const custom = morpher.getInterpolatedFeatureCollection(0.5, {
+    stagger: { by: ({ code }) => (code === "small" ? { delay: 0.5, duration: 0.25 } : 0) },
+  });
+  assert.deepEqual(localFactors(custom), { small: 0, large: 1 });
+
+  const lockstep = morpher.getInterpolatedFeatureCollection(0.25, { stagger: false });
+  assert.ok(lockstep.features.every((feature) => feature.properties.morph_local_factor === undefined));
+
+  assert.throws(
+    () => morpher.getInterpolatedFeatureCollection(0.5, { stagger: { by: "distance" } }),
+    /requires a `focus`/
+  );
+
+  const L = {
+    geoJSON(data) {
+      return {
+        data: data?.features ?? [],
+        clearLayers() { this.data = []; },
+        addData(collection) { this.data = [...collection.features]; },
+      };
+    },
+    layerGroup(layers) {
+      return { layers };
+    },
+  };
+
+  const { tweenLayer, setStagger } = await createLeafletMorphLayers({ morpher, L, morphFactor: 0.25 });
+  assert.equal(tweenLayer.data.find((feature) => feature.properties.id === "small").properties.morph_local_factor, 0);
+  setStagger(null);
+  assert.equal(morpher.stagger, null);
+  assert.equal(tweenLayer.data[0].properties.morph_local_factor, undefined);
+});
+
+test("GeoMorpher applies easing to geometry, centroids and glyph positions", async () => {
+  const square = (x, y) => collectionOf([squareFeature("A", x, y, 2)]);
+
+  const morpher = new GeoMorpher({
+    regularGeoJSON: square(0, 0),
+    cartogramGeoJSON: square(10, 0),
+    joinColumn: "id",
+    geoJSONJoinColumn: "id",
+    projection: WGS84Projection,
+    normalize: false,
+    easing: "cubic",
+  });
+  await morpher.prepare();
+
+  const eased = morpher.getInterpolatedFeatureCollection(0.25).features[0];
+  assert.equal(eased.properties.morph_eased_factor, 0.0625);
+  assert.ok(distanceBetween(eased.centroid, [1.625, 1]) < 1e-9);
+  assert.ok(Math.abs(Math.min(...eased.geometry.coordinates[0].map(([x]) => x)) - 0.625) < 1e-9);
+
+  const linear = morpher.getInterpolatedFeatureCollection(0.25, { easing: null }).features[0];
+  assert.equal(linear.properties.morph_eased_factor, undefined);
+  assert.ok(distanceBetween(linear.centroid, [3.5, 1]) < 1e-9);
+
+  const overshoot = morpher.getInterpolatedFeatureCollection(0.5, { easing: "elastic" }).features[0];
+  assert.ok(overshoot.centroid[0] > 11, "elastic easing should overshoot the cartogram position");
+
+  const custom = morpher.getInterpolatedFeatureCollection(0.5, { easing: (t) => t * t }).features[0];
+  assert.ok(distanceBetween(custom.centroid, [3.5, 1]) < 1e-9);
+
+  assert.deepEqual(
+    morpher.getInterpolatedFeatureCollection(1, { easing: "sineIn" }).features[0].centroid,
+    morpher.getCartogramFeatureCollection().features[0].centroid
+  );
+  assert.throws(() => morpher.setEasing("wobble"), /Unknown easing "wobble"/);
+
+  const markers = [];
+  const L = {
+    layerGroup: () => ({ addLayer() {}, removeLayer() {}, clearLayers() {} }),
+    divIcon: (options) => ({ options }),
+    marker: (latlng) => {
+      const marker = { latlng, setLatLng(next) { this.latlng = next; }, setIcon() {} };
+      markers.push(marker);
+      return marker;
+    },
+  };
+  const glyphs = await createLeafletGlyphLayer({
+    morpher,
+    L,
+    morphFactor: 0.25,
+    drawGlyph: () => ({ html: "<div></div>" }),
+  });
+  assert.equal(glyphs.getState().markerCount, 1);
+  assert.ok(distanceBetween(markers[0].latlng, [1, 1.625]) < 1e-9);
+
+  // A per-call easing overrides the morpher's and survives re-renders until the next call.
+  glyphs.updateGlyphs({ morphFactor: 0.25, easing: null });
+  assert.ok(distanceBetween(markers[0].latlng, [1, 3.5]) < 1e-9);
+
+  L.geoJSON = (collection) => ({
+    features: collection.features,
+    addData(next) { this.features = next.features; },
+    clearLayers() { this.features = []; },
+  });
+  L.layerGroup = (layers) => ({ layers });
+  const leaflet = await createLeafletMorphLayers({ morpher, L, morphFactor: 0.25 });
+  leaflet.updateMorphFactor(0.25, { easing: null });
+  assert.ok(distanceBetween(leaflet.tweenLayer.features[0].centroid, [3.5, 1]) < 1e-9);
+
+  const sources = new Map();
+  const fakeMap = {
+    style: {},
+    getSource: (id) => sources.get(id),
+    addSource: (id, { data }) => sources.set(id, { data, setData(next) { this.data = next; } }),
+    getLayer: () => null,
+    addLayer: () => {},
+  };
+  const maplibre = await createMapLibreMorphLayers({ morpher, map: fakeMap, morphFactor: 0.25 });
+  const tweenCentroid = () => sources.get(maplibre.sourceIds.interpolated).data.features[0].centroid;
+  maplibre.updateMorphFactor(0.25, { easing: "linear" });
+  assert.ok(distanceBetween(tweenCentroid(), [3.5, 1]) < 1e-9);
+
+  morpher.setStagger(null);
+  assert.ok(distanceBetween(markers[0].latlng, [1, 3.5]) < 1e-9);
+  assert.ok(distanceBetween(leaflet.tweenLayer.features[0].centroid, [3.5, 1]) < 1e-9);
+  assert.ok(distanceBetween(tweenCentroid(), [3.5, 1]) < 1e-9);
+
+  glyphs.updateGlyphs({ morphFactor: 0.25 });
+  leaflet.updateMorphFactor(0.25);
+  maplibre.updateMorphFactor(0.25);
+  assert.ok(distanceBetween(markers[0].latlng, [1, 1.625]) < 1e-9);
+  assert.ok(distanceBetween(leaflet.tweenLayer.features[0].centroid, [1.625, 1]) < 1e-9);
+  assert.ok(distanceBetween(tweenCentroid(), [1.625, 1]) < 1e-9);
+});
+
+test("GeoMorpher morphs only selected features while the rest stay pinned", async () => {
+  const squareAt = (id, x, district, offset = 0) => squareFeature({ id, district }, x, offset);
+  const layout = (offset) => collectionOf([
+    squareAt("a", 0, "north", offset),
+    squareAt("b", 5, "south", offset),
+    squareAt("c", 10, "north", offset),
+  ]);
+
+  const morpher = new GeoMorpher({
+    regularGeoJSON: layout(0),
+    cartogramGeoJSON: layout(10),
+    joinColumn: "id",
+    geoJSONJoinColumn: "id",
+    projection: WGS84Projection,
+    normalize: false,
+    easing: "cubic",
+    selection: ["a"],
+  });
+  await morpher.prepare();
+
+  const centroidY = (collection) => Object.fromEntries(
+    collection.features.map((feature) => [feature.properties.id, Number(feature.centroid[1].toFixed(9))])
+  );
+  const pinned = (collection) => Object.fromEntries(
+    collection.features.map((feature) => [feature.properties.id, feature.properties.morph_pinned])
+  );
+
+  const half = morpher.getInterpolatedFeatureCollection(0.5);
+  assert.deepEqual(centroidY(half), { a: 5.5, b: 0.5, c: 0.5 });
+  assert.deepEqual(pinned(half), { a: false, b: true, c: true });
+
+  const byPredicate = morpher.getInterpolatedFeatureCollection(0.5, {
+    selection: { filter: (properties) => properties.district === "north", pinTo: "cartogram" },
+    easing: null,
+  });
+  assert.deepEqual(centroidY(byPredicate), { a: 5.5, b: 10.5, c: 5.5 });
+
+  const everything = morpher.getInterpolatedFeatureCollection(0.5, { selection: false });
+  assert.deepEqual(centroidY(everything), { a: 5.5, b: 5.5, c: 5.5 });
+  assert.ok(everything.features.every((feature) => feature.properties.morph_pinned === undefined));
+
+  assert.throws(() => morpher.setSelection("a"), TypeError);
+  assert.throws(() => morpher.setSelection({ codes: ["a"], pinTo: "middle" }), /Unknown pinTo "middle"/);
+
+  const L = {
+    geoJSON(data) {
+      return {
+        data: data?.features ?? [],
+        clearLayers() { this.data = []; },
+        addData(collection) { this.data = [...collection.features]; },
+      };
+    },
+    layerGroup(layers) {
+      return { layers };
+    },
+  };
+
+  const { tweenLayer, setSelection, destroy } = await createLeafletMorphLayers({
+    morpher,
+    L,
+    morphFactor: 1,
+    selection: new Set(["b"]),
+  });
+  assert.deepEqual(centroidY({ features: tweenLayer.data }), { a: 0.5, b: 10.5, c: 0.5 });
+  setSelection(null);
+  assert.equal(morpher.selection, null);
+  assert.deepEqual(centroidY({ features: tweenLayer.data }), { a: 10.5, b: 10.5, c: 10.5 });
+  destroy();
+});
+
+test("GeoMorpher curves centroid paths for features and glyphs", async () => {
+  // "left" and "right" swap places, so straight routes meet head-on at x = 5.5.
+  const morpher = new GeoMorpher({
+    regularGeoJSON: collectionOf([squareFeature("left", 0, 0), squareFeature("right", 10, 0), squareFeature("still", 20, 0)]),
+    cartogramGeoJSON: collectionOf([squareFeature("left", 10, 0), squareFeature("right", 0, 0), squareFeature("still", 20, 0)]),
+    joinColumn: "id",
+    geoJSONJoinColumn: "id",
+    projection: WGS84Projection,
+    normalize: false,
+    centroidPath: { type: "arc", bulge: 0.25 },
+  });
+  await morpher.prepare();
+
+  const centroids = (collection) => Object.fromEntries(
+    collection.features.map((feature) => [feature.properties.id, feature.centroid.map((value) => Number(value.toFixed(9)))])
+  );
+
+  // Control points sit 2.5 degrees to the left of travel, so the curve midpoints are 1.25 off the line.
+  const half = centroids(morpher.getInterpolatedFeatureCollection(0.5));
+  assert.deepEqual(half, { left: [5.5, 1.75], right: [5.5, -0.75], still: [20.5, 0.5] });
+  assert.deepEqual(centroids(morpher.getInterpolatedFeatureCollection(1)), { left: [10.5, 0.5], right: [0.5, 0.5], still: [20.5, 0.5] });
+  assert.deepEqual(
+    centroids(morpher.getInterpolatedFeatureCollection(0.5, { centroidPath: false })).left,
+    [5.5, 0.5]
+  );
+
+  morpher.setCentroidPath({ type: "repel", radius: 2 });
+  const [controls] = morpher.getCentroidControls();
+  assert.equal(controls.still, undefined, "stationary routes have no curve");
+  const repelled = centroids(morpher.getInterpolatedFeatureCollection(0.5));
+  const separation = Math.abs(repelled.left[1] - repelled.right[1]);
+  assert.ok(separation > 1.99, `routes are pushed about a radius apart (got ${separation})`);
+  assert.deepEqual(morpher.getCentroidControls(), morpher.getCentroidControls({ type: "repel", radius: 2 }));
+
+  assert.throws(() => morpher.setCentroidPath("zigzag"), /Unknown centroid path "zigzag"/);
+
+  const positions = [];
+  const L = {
+    layerGroup: () => ({ addLayer() {}, removeLayer() {}, clearLayers() {} }),
+    divIcon: (options) => ({ options }),
+    marker: (latlng) => {
+      positions.push(latlng);
+      return { latlng, setLatLng(next) { positions.push(next); }, setIcon() {} };
+    },
+  };
+  const glyphs = await createLeafletGlyphLayer({
+    morpher,
+    L,
+    morphFactor: 0.5,
+    drawGlyph: () => ({ html: "<div></div>" }),
+  });
+  const glyphLatitudes = positions.slice(0, 3).map((latlng) => Number(latlng[0].toFixed(9))).sort((a, b) => a - b);
+  const featureLatitudes = Object.values(repelled).map(([, lat]) => lat).sort((a, b) => a - b);
+  assert.deepEqual(glyphLatitudes, featureLatitudes);
+  glyphs.destroy();
+});
+
+test("GeoMorpher swaps the cartogram at runtime and can morph between cartograms", async () => {
+  const layout = (offset, ids = ["a", "b"]) => collectionOf(ids.map((id, index) => squareFeature(id, index * 2, offset)));
+  const morpher = new GeoMorpher({
+    regularGeoJSON: layout(0),
+    cartogramGeoJSON: layout(10),
+    joinColumn: "id",
+    geoJSONJoinColumn: "id",
+    projection: WGS84Projection,
+    normalize: false,
+  });
+  await morpher.prepare();
+
+  const latitudeOf = (collection, id = "a") => Number(
+    collection.features.find((feature) => feature.properties.id === id).centroid[1].toFixed(9)
+  );
+
+  const L = {
+    geoJSON(data) {
+      return {
+        data: data?.features ?? [],
+        clearLayers() { this.data = []; },
+        addData(collection) { this.data = [...collection.features]; },
+      };
+    },
+    layerGroup(layers) {
+      return { layers };
+    },
+  };
+  const { cartogramLayer, tweenLayer, destroy } = await createLeafletMorphLayers({ morpher, L, morphFactor: 1 });
+
+  const reasons = [];
+  morpher.on("geometryChanged", ({ reason }) => reasons.push(reason));
+  const regularBefore = morpher.state.keyframeWGS84[0];
+
+  await morpher.setCartogram(layout(20));
+  assert.deepEqual(reasons, ["cartogram"]);
+  assert.equal(morpher.state.keyframeWGS84[0], regularBefore, "the regular keyframe is reused");
+  assert.equal(latitudeOf(morpher.getInterpolatedFeatureCollection(0)), 0.5);
+  assert.equal(latitudeOf(morpher.getInterpolatedFeatureCollection(1)), 20.5);
+  assert.equal(latitudeOf({ features: tweenLayer.data }), 20.5);
+  assert.equal(latitudeOf({ features: cartogramLayer.data }), 20.5);
+
+  await morpher.setCartogram(layout(30), { fromCurrent: true });
+  assert.equal(latitudeOf(morpher.getInterpolatedFeatureCollection(0)), 20.5);
+  assert.equal(latitudeOf(morpher.getInterpolatedFeatureCollection(0.5)), 25.5);
+  assert.equal(latitudeOf(morpher.getRegularFeatureCollection()), 20.5);
+
+  await morpher.setCartogram(layout(40));
+  assert.equal(latitudeOf(morpher.getInterpolatedFeatureCollection(0)), 0.5);
+  assert.equal(latitudeOf(morpher.getInterpolatedFeatureCollection(1)), 40.5);
+
+  morpher.strict = true;
+  const errors = [];
+  morpher.on("error", ({ phase }) => errors.push(phase));
+  await assert.rejects(() => morpher.setCartogram(layout(50, ["a"])), GeoMorpherJoinError);
+  assert.deepEqual(errors, ["cartogram"]);
+  assert.equal(latitudeOf(morpher.getInterpolatedFeatureCollection(1), "b"), 40.5, "a failed swap keeps the previous state");
+  destroy();
+
+  const unprepared = new GeoMorpher({
+    regularGeoJSON: layout(0),
+    cartogramGeoJSON: layout(10),
+    joinColumn: "id",
+    geoJSONJoinColumn: "id",
+    projection: WGS84Projection,
+  });
+  await assert.rejects(() => unprepared.setCartogram(layout(20), { fromCurrent: true }), /prepare/);
+  await unprepared.setCartogram(layout(20));
+  await unprepared.prepare();
+  assert.equal(latitudeOf(unprepared.getCartogramFeatureCollection()), 20.5);
+});
+
+test("GeoMorpher writes interpolated frames into reusable typed arrays", async () => {
+  const morpher = new GeoMorpher({
+    regularGeoJSON,
+    cartogramGeoJSON,
+    data: sampleData,
+    easing: "cubic",
+    centroidPath: "arc",
+  });
+  await morpher.prepare();
+
+  const geometryOf = (collection) => collection.features.map((feature) => [
+    feature.properties.code,
+    feature.geometry,
+    feature.centroid,
+  ]);
+
+  const frame = morpher.getInterpolatedFrame(0.3);
+  assert.ok(frame.positions instanceof Float64Array);
+  assert.deepEqual(
+    geometryOf(frameToFeatureCollection(frame)),
+    geometryOf(morpher.getInterpolatedFeatureCollection(0.3))
+  );
+
+  const { positions, ringOffsets } = frame;
+  const reused = morpher.getInterpolatedFrame(0.7, { buffer: frame });
+  assert.equal(reused, frame);
+  assert.equal(reused.positions, positions, "a large enough buffer is reused");
+  assert.equal(reused.ringOffsets, ringOffsets);
+  assert.equal(reused.factor, 0.7);
+  assert.deepEqual(
+    geometryOf(frameToFeatureCollection(reused)),
+    geometryOf(morpher.getInterpolatedFeatureCollection(0.7))
+  );
+
+  const single = morpher.getInterpolatedFrame(0.5, { buffer: createFrameBuffer({ precision: 32 }) });
+  assert.ok(single.positions instanceof Float32Array);
+  assert.equal(single.featureCount, frame.featureCount);
+  assert.ok(Math.abs(single.positions[0] - morpher.getInterpolatedFrame(0.5).positions[0]) < 1e-4);
+  assert.throws(() => createFrameBuffer({ precision: 16 }), RangeError);
+
+  const withProperties = frameToFeatureCollection(frame, {
+    getProperties: (code) => ({ label: `area ${code}` }),
+  });
+  assert.equal(withProperties.features[0].properties.label, `area ${frame.codes[0]}`);
+  assert.equal(withProperties.features[0].properties.morph_factor, 0.7);
+
+  const mixed = (offset) => collectionOf([
+    featureOf("p", { type: "Point", coordinates: [offset, 0] }),
+    featureOf("l", { type: "MultiLineString", coordinates: [[[offset, 1], [offset + 1, 1]], [[offset, 2], [offset + 1, 3]]] }),
+    featureOf("h", polygonOf(squareRing(offset, 5, 4), squareRing(offset + 1, 6, 1).reverse())),
+  ]);
+  const mixedMorpher = new GeoMorpher({
+    regularGeoJSON: mixed(0),
+    cartogramGeoJSON: mixed(10),
+    joinColumn: "id",
+    geoJSONJoinColumn: "id",
+    projection: WGS84Projection,
+    normalize: false,
+  });
+  await mixedMorpher.prepare();
+  const mixedFrame = mixedMorpher.getInterpolatedFrame(0.5);
+  assert.deepEqual(mixedFrame.types, ["Point", "MultiLineString", "Polygon"]);
+  assert.deepEqual(
+    geometryOf(frameToFeatureCollection(mixedFrame)),
+    geometryOf(mixedMorpher.getInterpolatedFeatureCollection(0.5))
+  );
+});
+
+test("GeoMorpher reports per-feature distortion metrics", async () => {
+  const rectangle = (id, population, [x, y], [width, height]) => featureOf({ id, population }, polygonOf(
+    [[x, y], [x + width, y], [x + width, y + height], [x, y + height], [x, y]]
+  ));
+  const morpher = new GeoMorpher({
+    regularGeoJSON: collectionOf([rectangle("a", 300, [0, 0], [1, 1]), rectangle("b", 100, [2, 0], [1, 1])]),
+    cartogramGeoJSON: collectionOf([rectangle("a", 300, [-0.5, -0.5], [2, 2]), rectangle("b", 100, [2, 2], [4, 0.25])]),
+    joinColumn: "id",
+    geoJSONJoinColumn: "id",
+    projection: WGS84Projection,
+    normalize: false,
+    weightProperty: "population",
+  });
+  await morpher.prepare();
+
+  const start = morpher.getDistortionMetrics(0);
+  assert.ok(Math.abs(start.a.areaRatio - 1) < 1e-9);
+  assert.equal(start.b.centroidDisplacement, 0);
+  assert.ok(Math.abs(start.b.compactnessChange) < 1e-9);
+
+  const end = morpher.getDistortionMetrics();
+  assert.ok(Math.abs(end.a.areaRatio - 4) < 0.01);
+  assert.ok(end.a.centroidDisplacement < 1);
+  assert.ok(Math.abs(end.a.compactnessChange) < 0.01);
+  assert.ok(Math.abs(end.b.areaRatio - 1) < 0.01);
+  // The centroid moves from [2.5, 0.5] to [4, 2.125], roughly 2.2 degrees.
+  assert.ok(Math.abs(end.b.centroidDisplacement - 245872) < 100);
+  assert.ok(end.b.compactnessChange < -0.5, "the square is stretched into a thin bar");
+  // Area shares are 4/5 and 1/5 against value shares of 3/4 and 1/4.
+  assert.ok(Math.abs(end.a.valueAreaError - 1 / 15) < 0.01);
+  assert.ok(Math.abs(end.b.valueAreaError + 0.2) < 0.01);
+
+  const unweighted = morpher.getDistortionMetrics(1, { weightProperty: null });
+  assert.equal(unweighted.a.valueAreaError, null);
+
+  const collection = morpher.getInterpolatedFeatureCollection(1, { distortion: true });
+  const b = collection.features.find((feature) => feature.properties.id === "b");
+  assert.equal(b.properties.distortion_area_ratio, end.b.areaRatio);
+  assert.equal(b.properties.distortion_displacement_m, end.b.centroidDisplacement);
+  assert.equal(b.properties.distortion_compactness_change, end.b.compactnessChange);
+  assert.equal(b.properties.distortion_value_area_error, end.b.valueAreaError);
+  assert.equal(morpher.getInterpolatedFeatureCollection(1).features[0].properties.distortion_area_ratio, undefined);
+});
+
+test("GeoMorpher.setData re-enriches properties and notifies layers without rebuilding interpolators", async () => {
+  const morpher = new GeoMorpher({
+    regularGeoJSON,
+    cartogramGeoJSON,
+    data: sampleData,
+    aggregations: { population: "sum", households: "sum" },
+    normalize: false,
+  });
+  await morpher.prepare();
+
+  const interpolatorsBefore = morpher.state.segments[0].interpolators;
+  assert.equal(morpher.getKeyData().E01028513.data.properties.households, 600);
+
+  const sources = new Map();
+  const fakeMap = {
+    style: {},
+    getSource: (id) => sources.get(id),
+    addSource: (id, { data }) => sources.set(id, { data, setData(next) { this.data = next; } }),
+    getLayer: () => null,
+    addLayer: () => {},
+    removeLayer: () => {},
+    removeSource: (id) => sources.delete(id),
+  };
+  const { createMapLibreMorphLayers } = await import("../src/index.js");
+  const controller = await createMapLibreMorphLayers({ morpher, map: fakeMap, morphFactor: 0.5 });
+
+  const drawn = [];
+  const L = {
+    layerGroup: () => ({ addLayer() {}, removeLayer() {}, clearLayers() {} }),
+    divIcon: (options) => ({ options }),
+    marker: (latlng) => ({ latlng, setLatLng() {}, setIcon() {} }),
+  };
+  const glyphs = await createLeafletGlyphLayer({
+    morpher,
+    L,
+    geometry: "regular",
+    drawGlyph: ({ featureId, data }) => {
+      if (featureId === "E01028513") drawn.push(data?.data?.properties?.population);
+      return { html: "<div></div>" };
+    },
+  });
+
+  const events = [];
+  const unsubscribe = morpher.on("dataChanged", ({ morpher: source }) => events.push(source));
+
+  morpher.setData([{ lsoa: "E01028513", population: 42 }], { aggregations: { population: "sum" } });
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0], morpher);
+  assert.equal(morpher.state.segments[0].interpolators, interpolatorsBefore);
+
+  const updated = morpher.getKeyData().E01028513.data.properties;
+  const source = regularGeoJSON.features.find((feature) => feature.properties.code === "E01028514").properties;
+  assert.equal(updated.population, 42);
+  assert.notEqual(updated.households, 600);
+  assert.equal(morpher.getGeographyLookup().E01028514.properties.households, source.households);
+  assert.equal(morpher.getGeographyLookup().E01028514.properties.population, source.population);
+  assert.equal(morpher.getCartogramLookup().E01028513.properties.population, 42);
+
+  const interpolated = sources.get(controller.sourceIds.interpolated).data;
+  const regular = sources.get(controller.sourceIds.regular).data;
+  const find = (collection) => collection.features.find((feature) => feature.properties.code === "E01028513");
+  assert.equal(find(interpolated).properties.population, 42);
+  assert.equal(find(regular).properties.population, 42);
+  assert.deepEqual(drawn, [1600, 42]);
+
+  unsubscribe();
+  glyphs.destroy();
+  controller.remove();
+  morpher.setData(sampleData, { aggregations: { population: "sum" } });
+  assert.equal(events.length, 1);
+  assert.deepEqual(drawn, [1600, 42]);
+});
+
+test("GeoMorpher emits lifecycle events that keep adapters in sync", async () => {
+  let population = 1000;
+  let failNextLoad = false;
+  const morpher = new GeoMorpher({
+    regularGeoJSON,
+    cartogramGeoJSON,
+    getData: async () => {
+      if (failNextLoad) throw new Error("network down");
+      return [{ lsoa: "E01028513", population }];
+    },
+    aggregations: { population: "sum" },
+    normalize: false,
+  });
+
+  const events = [];
+  for (const event of ["prepared", "dataChanged", "geometryChanged", "error"]) {
+    morpher.on(event, (payload) => events.push({ event, ...payload }));
+  }
+
+  await morpher.prepare();
+  assert.deepEqual(events.map(({ event }) => event), ["prepared"]);
+  assert.equal(events[0].morpher, morpher);
+
+  const sources = new Map();
+  let interpolatedWrites = 0;
+  const fakeMap = {
+    style: {},
+    getSource: (id) => sources.get(id),
+    addSource: (id, { data }) => sources.set(id, {
+      data,
+      setData(next) {
+        if (id.endsWith("interpolated-source")) interpolatedWrites += 1;
+        this.data = next;
+      },
+    }),
+    getLayer: () => null,
+    addLayer: () => {},
+    removeLayer: () => {},
+    removeSource: (id) => sources.delete(id),
+  };
+  const { createMapLibreMorphLayers } = await import("../src/index.js");
+  const controller = await createMapLibreMorphLayers({ morpher, map: fakeMap, morphFactor: 0.5 });
+  const interpolatedSource = () => sources.get(controller.sourceIds.interpolated).data;
+  const find = (collection) => collection.features.find((feature) => feature.properties.code === "E01028513");
+
+  const drawn = [];
+  const L = {
+    layerGroup: () => ({ addLayer() {}, removeLayer() {}, clearLayers() {} }),
+    divIcon: (options) => ({ options }),
+    marker: (latlng) => ({ latlng, setLatLng() {}, setIcon() {} }),
+  };
+  const glyphs = await createLeafletGlyphLayer({
+    morpher,
+    L,
+    morphFactor: 0.5,
+    drawGlyph: ({ featureId, feature }) => {
+      if (featureId === "E01028513") drawn.push(feature.properties.population);
+      return { html: "<div></div>" };
+    },
+  });
+  assert.deepEqual(drawn, [1000]);
+
+  morpher.setEasing("cubic");
+  assert.equal(events.at(-1).event, "geometryChanged");
+  assert.equal(events.at(-1).reason, "easing");
+  assert.deepEqual(interpolatedSource(), morpher.getInterpolatedFeatureCollection(0.5));
+  assert.equal(drawn.length, 2);
+
+  const writes = interpolatedWrites;
+  const returned = controller.setStagger({ by: "attribute", attribute: "population" });
+  assert.equal(events.at(-1).reason, "stagger");
+  assert.equal(interpolatedWrites, writes + 1, "controller setters render once");
+  assert.equal(returned, interpolatedSource());
+
+  population = 5;
+  await morpher.reloadData();
+  assert.equal(events.at(-1).event, "dataChanged");
+  assert.equal(find(interpolatedSource()).properties.population, 5);
+  assert.equal(drawn.at(-1), 5);
+
+  population = 7;
+  morpher.data = null;
+  await morpher.prepare();
+  assert.equal(events.at(-1).event, "prepared");
+  assert.equal(find(sources.get(controller.sourceIds.regular).data).properties.population, 7);
+  assert.equal(drawn.at(-1), 7);
+
+  failNextLoad = true;
+  await assert.rejects(() => morpher.reloadData(), /network down/);
+  assert.equal(events.at(-1).event, "error");
+  assert.equal(events.at(-1).phase, "data");
+  assert.equal(events.at(-1).error.message, "network down");
+
+  const controllerWrites = interpolatedWrites;
+  const drawCount = drawn.length;
+  glyphs.destroy();
+  controller.remove();
+  morpher.setEasing(null);
+  assert.equal(interpolatedWrites, controllerWrites);
+  assert.equal(drawn.length, drawCount);
+
+  const strictMorpher = new GeoMorpher({
+    regularGeoJSON,
+    cartogramGeoJSON,
+    data: [{ lsoa: "UNKNOWN", value: 1 }],
+    strict: true,
+  });
+  const failures = [];
+  strictMorpher.on("error", (payload) => failures.push(payload));
+  strictMorpher.on("prepared", () => failures.push("prepared"));
+  await assert.rejects(() => strictMorpher.prepare(), GeoMorpherJoinError);
+  assert.equal(failures.length, 1);
+  assert.equal(failures[0].phase, "prepare");
+  assert.ok(failures[0].error instanceof GeoMorpherJoinError);
+
+  const controllerAbort = new AbortController();
+  controllerAbort.abort();
+  await assert.rejects(() => strictMorpher.prepare({ signal: controllerAbort.signal }), { name: "AbortError" });
+  assert.equal(failures.length, 1, "aborts are not reported as errors");
+});
+
+test("GeoMorpher reports join diagnostics and throws in strict mode", async () => {
+  const square = (x, y, size = 1) => [squareRing(x, y, size)];
+
+  const options = () => ({
+    regularGeoJSON: collectionOf([
+      featureOf("A", { type: "MultiPolygon", coordinates: [square(0, 0), square(5, 0)] }),
+      featureOf("B", { type: "Polygon", coordinates: square(2, 2) }),
+      featureOf("B", { type: "Polygon", coordinates: square(3, 3) }),
+      featureOf("C", null),
+      featureOf("D", { type: "Polygon", coordinates: square(8, 8) }),
+    ]),
+    cartogramGeoJSON: collectionOf([
+      featureOf("A", { type: "Polygon", coordinates: square(0, 0, 2) }),
+      featureOf("B", { type: "Polygon", coordinates: square(2, 0, 2) }),
+      featureOf("C", { type: "Polygon", coordinates: square(4, 0, 2) }),
+      featureOf("E", { type: "Polygon", coordinates: square(6, 0, 2) }),
+    ]),
+    data: [{ id: "A", value: 1 }, { id: "X", value: 2 }, { id: "X", value: 3 }, { value: 4 }],
+    joinColumn: "id",
+    geoJSONJoinColumn: "id",
+    aggregations: { value: "sum" },
+    projection: WGS84Projection,
+    normalize: false,
+  });
+
+  const morpher = new GeoMorpher(options());
+  await morpher.prepare();
+  const diagnostics = morpher.getDiagnostics();
+
+  assert.deepEqual(diagnostics.onlyInRegular, ["D"]);
+  assert.deepEqual(diagnostics.onlyInCartogram, ["E"]);
+  assert.deepEqual(diagnostics.unmatchedDataKeys, ["X"]);
+  assert.equal(diagnostics.unmatchedDataRowCount, 2);
+  assert.equal(diagnostics.dataRowsWithoutKey, 1);
+  assert.deepEqual(diagnostics.duplicateCodes, { regular: ["B"], cartogram: [] });
+  assert.deepEqual(diagnostics.nullGeometry, { regular: ["C"], cartogram: [] });
+  // A's second island collapses; C grows from and D shrinks into a placeholder.
+  assert.deepEqual(diagnostics.placeholderRings, ["A", "C", "D"]);
+  assert.deepEqual(diagnostics.withoutInterpolator, []);
+  assert.deepEqual(diagnostics.counts, { regular: 4, cartogram: 4, dataRows: 4 });
+
+  morpher.setData([{ id: "A", value: 5 }]);
+  assert.deepEqual(morpher.getDiagnostics().unmatchedDataKeys, []);
+  assert.deepEqual(morpher.getDiagnostics().onlyInRegular, ["D"]);
+
+  const strict = new GeoMorpher({ ...options(), strict: true });
+  await assert.rejects(() => strict.prepare(), (error) => {
+    assert.ok(error instanceof GeoMorpherJoinError);
+    assert.deepEqual(error.diagnostics.onlyInRegular, ["D"]);
+    assert.match(error.message, /1 code\(s\) only in cartogram \(E\)/);
+    return true;
+  });
+  assert.equal(strict.isPrepared(), false);
+
+  const clean = new GeoMorpher({
+    ...options(),
+    regularGeoJSON: collectionOf([featureOf("A", { type: "Polygon", coordinates: square(0, 0) })]),
+    cartogramGeoJSON: collectionOf([featureOf("A", { type: "Polygon", coordinates: square(1, 1) })]),
+    data: [{ id: "A", value: 1 }],
+    strict: true,
+  });
+  await clean.prepare();
+  assert.throws(() => clean.setData([{ id: "Z", value: 1 }]), GeoMorpherJoinError);
+  assert.equal(clean.getKeyData().A.data.properties.value, 1);
+});
+
+test("GeoMorpher pairs islands optimally and can merge them into one cell", async () => {
+  const square = (x, y, size = 1) => [squareRing(x, y, size)];
+  const centroidOf = (ring) => {
+    const points = ring.slice(0, -1);
+    return [
+      points.reduce((sum, [x]) => sum + x, 0) / points.length,
+      points.reduce((sum, [, y]) => sum + y, 0) / points.length,
+    ];
+  };
+  const areaOf = (ring) => Math.abs(signedRingArea(ring));
+
+  // Input order would pair the first island with the wrong cell and cross paths.
+  const swapped = new GeoMorpher({
+    regularGeoJSON: collectionOf([
+      featureOf("S", { type: "MultiPolygon", coordinates: [square(4.9, 0), square(0, 0)] }),
+    ]),
+    cartogramGeoJSON: collectionOf([
+      featureOf("S", { type: "MultiPolygon", coordinates: [square(0, 0), square(10, 0)] }),
+    ]),
+    joinColumn: "id",
+    geoJSONJoinColumn: "id",
+    projection: WGS84Projection,
+  });
+  await swapped.prepare();
+  const [start] = swapped.getInterpolatedFeatureCollection(0).features;
+  const [end] = swapped.getInterpolatedFeatureCollection(1).features;
+  const travelled = start.geometry.coordinates.map((polygon, index) =>
+    distanceBetween(centroidOf(polygon[0]), centroidOf(end.geometry.coordinates[index][0]))
+  );
+  assert.ok(travelled.every((distance) => distance < 5.2), `islands travelled ${travelled}`);
+
+  const archipelago = (ringMatching) => new GeoMorpher({
+    regularGeoJSON: collectionOf([
+      featureOf("A", { type: "MultiPolygon", coordinates: [square(0, 0), square(3, 0), square(6, 0)] }),
+    ]),
+    cartogramGeoJSON: collectionOf([featureOf("A", { type: "Polygon", coordinates: square(2, 5, 3) })]),
+    joinColumn: "id",
+    geoJSONJoinColumn: "id",
+    projection: WGS84Projection,
+    ringMatching,
+  });
+
+  const placeholders = archipelago();
+  await placeholders.prepare();
+  assert.deepEqual(placeholders.getDiagnostics().placeholderRings, ["A"]);
+
+  const merged = archipelago({ splitMerge: true });
+  await merged.prepare();
+  assert.deepEqual(merged.getDiagnostics().placeholderRings, []);
+
+  const [before] = merged.getInterpolatedFeatureCollection(0).features;
+  const [after] = merged.getInterpolatedFeatureCollection(1).features;
+  assert.equal(before.geometry.coordinates.length, 3);
+  before.geometry.coordinates.forEach(([ring]) => assert.ok(Math.abs(areaOf(ring) - 1) < 1e-9));
+
+  const pieces = after.geometry.coordinates.map(([ring]) => ring);
+  const totalArea = pieces.reduce((sum, ring) => sum + areaOf(ring), 0);
+  assert.ok(Math.abs(totalArea - 9) < 1e-9, `pieces should tile the cell, got area ${totalArea}`);
+  assert.ok(pieces.flat().every(([x, y]) => x >= 2 - 1e-9 && x <= 5 + 1e-9 && y >= 5 - 1e-9 && y <= 8 + 1e-9));
+
+  const restored = GeoMorpher.fromPrepared(JSON.parse(JSON.stringify(merged)));
+  assert.deepEqual(
+    restored.getInterpolatedFeatureCollection(0.5).features[0].geometry,
+    merged.getInterpolatedFeatureCollection(0.5).features[0].geometry
+  );
+});
+
+test("GeoMorpher builds simplified levels of detail that adapters pick by zoom", async () => {
+  // Detailed, slightly jagged circles morphing into squares.
+  const circle = (cx, cy) => {
+    const ring = Array.from({ length: 200 }, (_, index) => {
+      const angle = (index / 200) * Math.PI * 2;
+      const radius = 1 + (index % 2 ? 0.002 : 0);
+      return [cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius];
+    });
+    return [...ring, ring[0]];
+  };
+
+  const morpher = new GeoMorpher({
+    regularGeoJSON: collectionOf([featureOf("A", polygonOf(circle(0, 0))), featureOf("B", polygonOf(circle(5, 0)))]),
+    cartogramGeoJSON: collectionOf([squareFeature("A", 0, 3, 2), squareFeature("B", 3, 3, 2)]),
+    joinColumn: "id",
+    geoJSONJoinColumn: "id",
+    projection: WGS84Projection,
+    simplify: {
+      method: "visvalingam",
+      levels: [
+        { minZoom: 12, tolerance: 0 },
+        { minZoom: 0, tolerance: 0.05 },
+      ],
+    },
+    maxSegmentLength: 0.5,
+  });
+  await morpher.prepare();
+
+  assert.deepEqual(morpher.getLevelsOfDetail(), [
+    { index: 0, tolerance: 0.05, method: "visvalingam", minZoom: 0 },
+    { index: 1, tolerance: 0, method: "visvalingam", minZoom: 12 },
+  ]);
+  assert.equal(morpher.getLevelOfDetailIndex(8), 0);
+  assert.equal(morpher.getLevelOfDetailIndex(13), 1);
+  assert.equal(morpher.getLevelOfDetailIndex(), 1);
+
+  const vertexCount = (result) => result.features
+    .reduce((sum, item) => sum + item.geometry.coordinates[0].length, 0);
+  const coarse = morpher.getInterpolatedFeatureCollection(0.5, { zoom: 8 });
+  const detailed = morpher.getInterpolatedFeatureCollection(0.5);
+  assert.equal(coarse.features.length, 2);
+  assert.ok(vertexCount(coarse) < vertexCount(detailed) / 2, "coarse level should drop vertices");
+  assert.throws(() => morpher.getInterpolatedFeatureCollection(0.5, { lod: 5 }), RangeError);
+
+  const restored = GeoMorpher.fromPrepared(JSON.stringify(morpher));
+  assert.deepEqual(restored.getLevelsOfDetail(), morpher.getLevelsOfDetail());
+  assert.deepEqual(
+    restored.getInterpolatedFeatureCollection(0.3, { zoom: 8 }),
+    morpher.getInterpolatedFeatureCollection(0.3, { zoom: 8 })
+  );
+
+  const sources = new Map();
+  const listeners = new Map();
+  let zoom = 8;
+  const fakeMap = {
+    style: {},
+    getZoom: () => zoom,
+    on: (event, handler) => listeners.set(event, handler),
+    off: (event) => listeners.delete(event),
+    getSource: (id) => sources.get(id),
+    addSource: (id, { data }) => sources.set(id, { data, setData(next) { this.data = next; } }),
+    removeSource: (id) => sources.delete(id),
+    getLayer: () => null,
+    addLayer: () => {},
+  };
+  const { createMapLibreMorphLayers } = await import("../src/index.js");
+  const controller = await createMapLibreMorphLayers({ morpher, map: fakeMap, morphFactor: 0.5 });
+  const tween = () => sources.get(controller.sourceIds.interpolated).data;
+
+  assert.equal(vertexCount(tween()), vertexCount(coarse));
+  zoom = 14;
+  listeners.get("zoomend")();
+  assert.equal(vertexCount(tween()), vertexCount(detailed));
+
+  controller.remove();
+  assert.equal(listeners.has("zoomend"), false);
+});
+
+test("GeoMorpher morphs points and lines while keeping their geometry types", async () => {
+  const feature = (id, type, coordinates) => featureOf(id, { type, coordinates });
+  const square = (x, y) => [squareRing(x, y, 2)];
+
+  const morpher = new GeoMorpher({
+    regularGeoJSON: collectionOf([
+      feature("clinic", "Point", [0, 0]),
+      feature("depot", "Point", [10, 10]),
+      feature("stops", "MultiPoint", [[0, 0], [1, 0], [2, 0]]),
+      feature("route", "LineString", [[0, 0], [4, 0]]),
+      feature("cell", "Polygon", square(0, 0)),
+    ]),
+    cartogramGeoJSON: collectionOf([
+      feature("clinic", "Point", [4, 2]),
+      feature("depot", "Polygon", square(20, 20)),
+      feature("stops", "MultiPoint", [[2, 5], [0, 5]]),
+      feature("route", "LineString", [[0, 2], [2, 4], [4, 2]]),
+      feature("cell", "Polygon", square(5, 5)),
+    ]),
+    joinColumn: "id",
+    geoJSONJoinColumn: "id",
+    projection: WGS84Projection,
+  });
+  await morpher.prepare();
+
+  const byId = (factor) => Object.fromEntries(
+    morpher.getInterpolatedFeatureCollection(factor).features.map((item) => [item.properties.id, item.geometry])
+  );
+
+  const start = byId(0);
+  const middle = byId(0.5);
+  const end = byId(1);
+
+  assert.deepEqual(start.clinic, { type: "Point", coordinates: [0, 0] });
+  assert.deepEqual(middle.clinic, { type: "Point", coordinates: [2, 1] });
+  assert.deepEqual(end.clinic, { type: "Point", coordinates: [4, 2] });
+
+  // No point counterpart: the depot follows its feature's anchor into the cell.
+  assert.equal(end.depot.type, "Point");
+  assert.ok(distanceBetween(end.depot.coordinates, [21, 21]) < 1e-9);
+
+  assert.equal(middle.stops.type, "MultiPoint");
+  assert.equal(end.stops.coordinates.length, 3);
+  assert.deepEqual(
+    end.stops.coordinates.map((point) => point.join(",")).sort(),
+    ["0,5", "2,5", "2,5"]
+  );
+
+  assert.equal(middle.route.type, "LineString");
+  assert.equal(start.route.coordinates.length, 3);
+  assert.deepEqual(start.route.coordinates[1], [2, 0]);
+  assert.deepEqual(end.route.coordinates, [[0, 2], [2, 4], [4, 2]]);
+  assert.equal(middle.cell.type, "Polygon");
+
+  const restored = GeoMorpher.fromPrepared(JSON.stringify(morpher));
+  assert.deepEqual(restored.getInterpolatedFeatureCollection(0.5), morpher.getInterpolatedFeatureCollection(0.5));
+});
+
+test("GeoMorpher validates input geometry and repairs it on request", async () => {
+  const square = (x, y) => squareRing(x, y, 2);
+
+  const regular = collectionOf([
+    // Clockwise, unclosed, with a repeated vertex and a NaN.
+    featureOf("A", { type: "Polygon", coordinates: [[[0, 0], [0, 2], [0, 2], [Number.NaN, 1], [2, 2], [2, 0]]] }),
+    // A proper shell plus a hole with no area.
+    featureOf("B", { type: "Polygon", coordinates: [square(5, 0), [[6, 1], [6.5, 1], [6, 1]]] }),
+    // A bow tie cannot be repaired.
+    featureOf("C", { type: "Polygon", coordinates: [[[10, 0], [12, 2], [12, 0], [10, 2], [10, 0]]] }),
+    featureOf("D", { type: "Polygon", coordinates: [square(15, 0)] }),
+  ]);
+  const cartogram = collectionOf(["A", "B", "C", "D"].map((id, index) =>
+    featureOf(id, { type: "Polygon", coordinates: [square(index * 3, 5)] })
+  ));
+  const options = { regularGeoJSON: regular, cartogramGeoJSON: cartogram, joinColumn: "id", geoJSONJoinColumn: "id", projection: WGS84Projection };
+
+  const { issues: reported, collection: untouched } = validateFeatureCollection(regular, { joinProperty: "id" });
+  assert.equal(untouched, regular);
+  assert.deepEqual(Object.keys(reported).sort(), ["A", "B", "C"]);
+  assert.deepEqual(
+    reported.A.map(({ type, count }) => [type, count]),
+    [["nonFiniteCoordinates", 1], ["duplicateVertices", 1], ["unclosedRing", undefined], ["wrongWinding", undefined]]
+  );
+  assert.ok(reported.A.every(({ repaired }) => repaired === false));
+  assert.deepEqual(reported.B, [{ type: "degenerateRing", ring: 1, repaired: false }]);
+  assert.deepEqual(reported.C.map(({ type }) => type), ["selfIntersection"]);
+
+  // prepare() runs the same checks; without repair the input is passed through untouched.
+  const reporting = new GeoMorpher({ ...options, regularGeoJSON: collectionOf(regular.features.slice(1)) });
+  await reporting.prepare();
+  const { geometryIssues } = reporting.getDiagnostics();
+  assert.deepEqual(geometryIssues.regular, { B: reported.B, C: reported.C });
+  assert.deepEqual(geometryIssues.cartogram, {});
+  assert.deepEqual(geometryIssues.intermediateKeyframes, []);
+  assert.equal(reporting.getRegularFeatureCollection().features[0].geometry.coordinates.length, 2);
+
+  const repaired = new GeoMorpher({ ...options, repair: true });
+  await repaired.prepare();
+  const issues = repaired.getDiagnostics().geometryIssues.regular;
+  assert.ok(issues.A.every(({ repaired: fixed }) => fixed));
+  assert.equal(issues.C[0].repaired, false);
+
+  const [a, b] = repaired.getRegularFeatureCollection().features;
+  assert.deepEqual(a.geometry.coordinates, [[[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]]]);
+  assert.deepEqual(b.geometry.coordinates, [square(5, 0)]);
+  assert.deepEqual(repaired.getDiagnostics().placeholderRings, []);
+
+  // Repairs that would empty a geometry leave it as it was.
+  const empty = { type: "Polygon", coordinates: [[[0, 0], [1, 1], [0, 0]]] };
+  const result = validateGeometry(empty, { repair: true });
+  assert.equal(result.geometry, empty);
+  assert.deepEqual(result.issues.map(({ type, repaired: fixed }) => [type, fixed]), [
+    ["degenerateRing", false],
+    ["emptyGeometry", false],
+  ]);
+});
+
+test("GeoMorpher detects join columns and normalises join keys with joinColumn: 'auto'", async () => {
+  const regularGeoJSON = collectionOf([
+    squareFeature({ LSOA21CD: "E01000001", kode_prov: "011", region: "North" }, 0, 0),
+    squareFeature({ LSOA21CD: "E01000002", kode_prov: "012", region: "North" }, 2, 0),
+    squareFeature({ LSOA21CD: "E01000003", kode_prov: "013", region: "South" }, 4, 0),
+  ]);
+  // The cartogram uses another property name and lower-case codes.
+  const cartogramGeoJSON = collectionOf([
+    squareFeature({ id: "e01000001" }, 0, 5),
+    squareFeature({ id: "e01000002" }, 2, 5),
+    squareFeature({ id: " e01000003 " }, 4, 5),
+  ]);
+  const data = [
+    { area: " e01000001", value: 10, region: "North" },
+    { area: "E01000002 ", value: 20, region: "North" },
+    { area: "E01000009", value: 30, region: "South" },
+  ];
+
+  const morpher = new GeoMorpher({
+    regularGeoJSON,
+    cartogramGeoJSON,
+    data,
+    joinColumn: "auto",
+    aggregations: { value: "sum" },
+    normalize: false,
+    projection: WGS84Projection,
+  });
+  await morpher.prepare();
+
+  assert.equal(morpher.joinColumn, "area");
+  assert.equal(morpher.geoJSONJoinColumn, "LSOA21CD");
+  const { joinDetection, onlyInRegular, onlyInCartogram, unmatchedDataKeys } = morpher.getDiagnostics();
+  assert.deepEqual(joinDetection, {
+    joinColumn: "area",
+    geoJSONJoinColumn: "LSOA21CD",
+    matchedKeys: 2,
+    matchRate: 2 / 3,
+    dataMatchRate: 2 / 3,
+  });
+  assert.deepEqual(onlyInRegular, []);
+  assert.deepEqual(onlyInCartogram, []);
+  assert.deepEqual(unmatchedDataKeys, ["E01000009"]);
+
+  const values = Object.fromEntries(morpher.getInterpolatedFeatureCollection(1).features
+    .map(({ properties }) => [properties.LSOA21CD, properties.value]));
+  assert.deepEqual(values, { E01000001: 10, E01000002: 20, E01000003: undefined });
+
+  morpher.setData([{ area: "e01000003", value: 7 }]);
+  assert.equal(morpher.getGeographyLookup().E01000003.properties.value, 7);
+
+  // Numeric and zero-padded codes line up.
+  const numeric = new GeoMorpher({
+    regularGeoJSON,
+    cartogramGeoJSON: regularGeoJSON,
+    data: [{ prov: 11, value: 1 }, { prov: 13, value: 2 }],
+    joinColumn: "auto",
+    aggregations: { value: "sum" },
+    normalize: false,
+    projection: WGS84Projection,
+  });
+  await numeric.prepare();
+  assert.equal(numeric.geoJSONJoinColumn, "kode_prov");
+  assert.equal(numeric.getDiagnostics().joinDetection.matchRate, 2 / 3);
+  assert.equal(numeric.getGeographyLookup()["013"].properties.value, 2);
+  assert.equal(normalizeJoinValue(" 000 "), "0");
+  // Digit strings are compared as text: no precision loss and no exponent expansion.
+  assert.notEqual(normalizeJoinValue("123456789012345678"), normalizeJoinValue("123456789012345679"));
+  assert.equal(normalizeJoinValue("0123456789012345678"), "123456789012345678");
+  assert.notEqual(normalizeJoinValue("1e3"), normalizeJoinValue("1000"));
+
+  const unrelated = new GeoMorpher({
+    regularGeoJSON,
+    cartogramGeoJSON,
+    data: [{ other: "Z1" }],
+    joinColumn: "auto",
+    projection: WGS84Projection,
+  });
+  await assert.rejects(() => unrelated.prepare(), /Could not detect join columns/);
+});
+
+test("createGridCartogramFeatureCollection builds hex cells from offset and axial coordinates", async () => {
+  const regular = collectionOf(["A", "B", "C"].map((id, index) => squareFeature(id, index, 0)));
+  const extent = [0, 0, 10, 10];
+  const build = (records, gridOptions) => createGridCartogramFeatureCollection({
+    records,
+    regularGeoJSON: regular,
+    joinProperty: "id",
+    gridOptions: { cellShape: "hex", cellPadding: 0, extent, ...gridOptions },
+  });
+  // Hexagons are regular in the extent's local plane: longitude scaled by the cosine of the middle latitude.
+  const edges = (ring, [, minY, , maxY] = extent) => {
+    const scaleX = Math.cos((((minY + maxY) / 2) * Math.PI) / 180);
+    const plane = ring.map(([x, y]) => [x * scaleX, y]);
+    return plane.slice(1).map((point, index) => distanceBetween(point, plane[index]));
+  };
+  const round = (ring) => ring.map(([x, y]) => `${x.toFixed(9)},${y.toFixed(9)}`);
+
+  // A at the top left, B to its right, C below them in the shifted odd row.
+  const offset = build([
+    { id: "A", row: 0, col: 0 },
+    { id: "B", row: 0, col: 1 },
+    { id: "C", row: 1, col: 0 },
+  ], {});
+  const [a, b, c] = offset.features.map((feature) => feature.geometry.coordinates[0]);
+
+  assert.equal(a.length, 7);
+  const sides = [...edges(a), ...edges(b), ...edges(c)];
+  assert.ok(sides.every((side) => Math.abs(side - sides[0]) < 1e-9), "hexagons are regular");
+
+  // Far from the equator the cells are stretched in longitude so they stay regular on the map.
+  const northern = build([{ id: "A", row: 0, col: 0 }], { extent: [0, 50, 10, 60] }).features[0].geometry.coordinates[0];
+  const northernSides = edges(northern, [0, 50, 10, 60]);
+  assert.ok(northernSides.every((side) => Math.abs(side - northernSides[0]) < 1e-9));
+  const degreeSides = northern.slice(1).map((point, index) => distanceBetween(point, northern[index]));
+  assert.ok(Math.max(...degreeSides) / Math.min(...degreeSides) > 1.5, "cells are not regular in degrees");
+  assert.ok(offset.features.every(({ geometry }) => geometry.coordinates[0].every(([x, y]) =>
+    x >= -1e-9 && x <= 10 + 1e-9 && y >= -1e-9 && y <= 10 + 1e-9
+  )));
+  // Touching cells share an edge, so two vertices coincide.
+  const shared = (left, right) => round(left).slice(0, 6).filter((point) => round(right).includes(point)).length;
+  assert.equal(shared(a, b), 2);
+  assert.equal(shared(a, c), 2);
+  assert.equal(shared(b, c), 2);
+  assert.ok(c[0][1] < a[0][1], "row 1 sits below row 0");
+  assert.deepEqual(offset.features[2].properties, { id: "C", row: 1, col: 0, grid_row: 1, grid_col: 0, grid_q: 0, grid_r: 1 });
+
+  // The same cells in axial coordinates produce the same geometry.
+  const axial = build([
+    { id: "A", q: 0, r: 0 },
+    { id: "B", q: 1, r: 0 },
+    { id: "C", q: 0, r: 1 },
+  ], { hexCoordinates: "axial", propertyMapper: ({ q, r }) => ({ label: `${q}/${r}` }) });
+  assert.deepEqual(axial.features.map(({ geometry }) => round(geometry.coordinates[0])), [a, b, c].map(round));
+  assert.equal(axial.features[2].properties.label, "0/1");
+  assert.equal(axial.features[2].properties.grid_row, undefined);
+
+  // Flat-top hexagons have a horizontal top edge; padding shrinks every cell.
+  const flat = build([{ id: "A", row: 0, col: 0 }, { id: "B", row: 0, col: 1 }], { hexCoordinates: "even-q", cellPadding: 0.2 });
+  const ring = flat.features[0].geometry.coordinates[0];
+  assert.ok(Math.abs(ring[1][1] - ring[2][1]) < 1e-9);
+  assert.ok(shared(ring, flat.features[1].geometry.coordinates[0]) === 0);
+
+  assert.throws(() => build([{ id: "A", row: 0, col: 0 }], { hexCoordinates: "odd-q", hexOrientation: "pointy" }), /flat-top/);
+  assert.throws(() => build([{ id: "A", row: 0.5, col: 0 }], {}), /integer/);
+  assert.throws(() => build([{ id: "A", row: 0, col: 0 }], { cellShape: "triangle" }), /Unknown grid cell shape/);
+
+  // Works straight from the CSV path.
+  const morpher = new GeoMorpher({
+    regularGeoJSON: regular,
+    cartogramGeoJSON: "id,row,col\nA,0,0\nB,0,1\nC,1,0",
+    joinColumn: "id",
+    geoJSONJoinColumn: "id",
+    projection: WGS84Projection,
+    cartogramGridOptions: { cellShape: "hex", cellPadding: 0.1 },
+  });
+  await morpher.prepare();
+  const cells = morpher.getCartogramFeatureCollection().features;
+  assert.deepEqual(cells.map(({ geometry }) => geometry.coordinates[0].length), [7, 7, 7]);
+  assert.equal(morpher.getInterpolatedFeatureCollection(1).features.length, 3);
+});
+
+test("generateGridLayout assigns unique cells that feed grid cartograms", async () => {
+  // A 3 × 3 block of unit squares, listed out of order, lays out as itself.
+  const names = ["C", "A", "I", "E", "G", "B", "H", "D", "F"];
+  const regular = collectionOf(names.map((code) => {
+    const index = code.charCodeAt(0) - 65;
+    return squareFeature({ code }, index % 3, 2 - Math.floor(index / 3));
+  }));
+
+  const layout = generateGridLayout(regular);
+  assert.equal(layout.rows, 3);
+  assert.equal(layout.cols, 3);
+  const cellOf = Object.fromEntries(layout.records.map(({ code, row, col }) => [code, `${row},${col}`]));
+  assert.deepEqual(cellOf, { A: "0,0", B: "0,1", C: "0,2", D: "1,0", E: "1,1", F: "1,2", G: "2,0", H: "2,1", I: "2,2" });
+  assert.ok(layout.totalDisplacement < 1e-9);
+  assert.equal(layout.neighbourAdjacency, 12 / 20, "rook neighbours stay adjacent, diagonal ones cannot");
+  assert.deepEqual(layout.skipped, []);
+  assert.equal(layout.assignment, "optimal");
+
+  // Above `maxOptimalFeatures` the greedy assignment takes over.
+  const greedy = generateGridLayout(regular, { maxOptimalFeatures: 0 });
+  assert.equal(greedy.assignment, "greedy");
+  assert.deepEqual(greedy.records, layout.records);
+
+  // The real geography: unique cells, deterministic output, hex layouts included.
+  for (const cellShape of ["square", "hex"]) {
+    const first = generateGridLayout(regularGeoJSON, { cellShape });
+    const cells = new Set(first.records.map(({ row, col }) => `${row},${col}`));
+    assert.equal(cells.size, regularGeoJSON.features.length);
+    assert.ok(first.records.every(({ row, col }) => row >= 0 && row < first.rows && col >= 0 && col < first.cols));
+    assert.deepEqual(generateGridLayout(regularGeoJSON, { cellShape }).records, first.records);
+    assert.ok(first.neighbourAdjacency > 0.5);
+
+    const greedyLayout = generateGridLayout(regularGeoJSON, { cellShape, maxOptimalFeatures: 0 });
+    assert.equal(new Set(greedyLayout.records.map(({ row, col }) => `${row},${col}`)).size, regularGeoJSON.features.length);
+  }
+
+  // Longitude/latitude input is measured on the map, so it gets the same grid as the projected original.
+  const osgb = new OSGB();
+  const toGeo = (coordinates) => (typeof coordinates[0] === "number" ? osgb.toGeo(coordinates) : coordinates.map(toGeo));
+  const lonLat = collectionOf(regularGeoJSON.features.map((feature) => ({
+    ...feature,
+    geometry: { ...feature.geometry, coordinates: toGeo(feature.geometry.coordinates) },
+  })));
+  for (const cellShape of ["square", "hex"]) {
+    const projected = generateGridLayout(regularGeoJSON, { cellShape });
+    const geographic = generateGridLayout(lonLat, { cellShape });
+    assert.deepEqual([geographic.rows, geographic.cols], [projected.rows, projected.cols]);
+  }
+
+  const hex = generateGridLayout(regularGeoJSON, { cellShape: "hex", rows: 8 });
+  assert.equal(hex.rows, 8);
+  assert.equal(hex.cols, Math.ceil(regularGeoJSON.features.length / 8));
+  assert.deepEqual(hex.gridOptions, { idField: "code", rowField: "row", colField: "col", cellShape: "hex", hexCoordinates: "odd-r" });
+
+  // Records feed the grid builder directly, and the whole result is cartogram input.
+  const grid = createGridCartogramFeatureCollection({
+    records: hex.records,
+    regularGeoJSON,
+    gridOptions: hex.gridOptions,
+  });
+  assert.equal(grid.features.length, regularGeoJSON.features.length);
+  assert.ok(grid.features.every(({ geometry }) => geometry.coordinates[0].length === 7));
+
+  const morpher = new GeoMorpher({ regularGeoJSON, cartogramGeoJSON: hex, data: sampleData });
+  await morpher.prepare();
+  assert.equal(morpher.getCartogramFeatureCollection().features[0].geometry.coordinates[0].length, 7);
+
+  // CSV export round-trips through parseCSV.
+  const csv = formatCSV(layout.records);
+  assert.equal(csv.split("\n")[0], "code,row,col");
+  assert.deepEqual(parseCSV(csv), layout.records.map(({ code, row, col }) => ({ code, row: String(row), col: String(col) })));
+  assert.equal(formatCSV([{ name: 'Oxford, "city"', n: null }]), 'name,n\n"Oxford, ""city""",');
+
+  assert.throws(() => generateGridLayout(regularGeoJSON, { rows: 5, cols: 5 }), RangeError);
+  assert.throws(() => generateGridLayout(regularGeoJSON, { cellShape: "triangle" }), /Unknown grid cell shape/);
+});
+
+test("createDorlingCartogram builds separated circles sized by value", async () => {
+  const circleOf = (feature) => {
+    const ring = feature.geometry.coordinates[0];
+    const points = ring.slice(0, -1);
+    const center = [
+      points.reduce((sum, [x]) => sum + x, 0) / points.length,
+      points.reduce((sum, [, y]) => sum + y, 0) / points.length,
+    ];
+    return { ring, center, radius: feature.properties.cartogram_radius };
+  };
+
+  const dorling = createDorlingCartogram({ regularGeoJSON, value: "population", vertices: 32 });
+  assert.equal(dorling.features.length, regularGeoJSON.features.length);
+  assert.equal(dorling.cartogram.method, "dorling");
+  assert.equal(dorling.cartogram.converged, true);
+  assert.deepEqual(dorling.cartogram.skipped, []);
+
+  const circles = dorling.features.map(circleOf);
+  assert.ok(circles.every(({ ring }) => ring.length === 33));
+  for (let i = 0; i < circles.length; i += 1) {
+    for (let j = i + 1; j < circles.length; j += 1) {
+      const gap = distanceBetween(circles[i].center, circles[j].center) - circles[i].radius - circles[j].radius;
+      assert.ok(gap > -0.002 * Math.min(circles[i].radius, circles[j].radius), "circles do not overlap");
+    }
+  }
+
+  // Circle areas follow the values.
+  const [first, second] = dorling.features;
+  const areaRatio = (second.properties.cartogram_radius / first.properties.cartogram_radius) ** 2;
+  assert.ok(Math.abs(areaRatio - second.properties.cartogram_value / first.properties.cartogram_value) < 1e-9);
+  assert.equal(first.properties.cartogram_value, Number(regularGeoJSON.features[0].properties.population));
+  assert.equal(first.properties.code, regularGeoJSON.features[0].properties.code);
+
+  // Deterministic, and usable as the morph target.
+  assert.deepEqual(createDorlingCartogram({ regularGeoJSON, value: "population", vertices: 32 }), dorling);
+  const morpher = new GeoMorpher({ regularGeoJSON, cartogramGeoJSON: dorling, data: sampleData });
+  await morpher.prepare();
+  assert.equal(morpher.getInterpolatedFeatureCollection(1).features.length, regularGeoJSON.features.length);
+
+  // In a descriptor, `value` can name a column that only the data provides.
+  const residents = regularGeoJSON.features.map(({ properties }, index) => ({ lsoa: properties.code, residents: index + 1 }));
+  const sizedByData = (cartogramGeoJSON) => new GeoMorpher({
+    regularGeoJSON,
+    cartogramGeoJSON,
+    data: residents,
+    aggregations: { residents: "sum" },
+    normalize: false,
+  });
+  const described = sizedByData({ generator: "dorling", value: "residents" });
+  await described.prepare();
+  const sized = described.getCartogramFeatureCollection().features;
+  assert.equal(sized.length, regularGeoJSON.features.length);
+  assert.ok(sized.every(({ properties }) => properties.cartogram_value === properties.residents));
+  await described.setCartogram({ generator: "dorling", value: "residents", vertices: 32 });
+  assert.equal(described.getCartogramFeatureCollection().features[0].geometry.coordinates[0].length, 33);
+  const swappedEarly = sizedByData(dorling);
+  await swappedEarly.setCartogram({ generator: "dorling", value: "residents", vertices: 32 });
+  await swappedEarly.prepare();
+  assert.deepEqual(swappedEarly.getCartogramFeatureCollection(), described.getCartogramFeatureCollection());
+
+  // Values keyed by code; features without a positive value are skipped. Longitude/latitude
+  // input gets circles that are round on the ground, i.e. wider in degrees of longitude.
+  const lonLat = collectionOf([["A", 0], ["B", 1], ["C", 2]].map(([code, x]) => squareFeature({ code }, x, 60)));
+  const keyed = createDorlingCartogram({ regularGeoJSON: lonLat, value: new Map([["A", 1], ["B", 4], ["C", 0]]) });
+  assert.deepEqual(keyed.features.map(({ properties }) => properties.code), ["A", "B"]);
+  assert.deepEqual(keyed.cartogram.skipped, ["C"]);
+  const ring = keyed.features[0].geometry.coordinates[0];
+  const xs = ring.map(([x]) => x);
+  const ys = ring.map(([, y]) => y);
+  const aspect = (Math.max(...xs) - Math.min(...xs)) / (Math.max(...ys) - Math.min(...ys));
+  assert.ok(aspect > 1.9 && aspect < 2.1, `expected about 2, got ${aspect}`);
+
+  assert.throws(() => createDorlingCartogram({ regularGeoJSON }), TypeError);
+  assert.throws(() => createDorlingCartogram({ regularGeoJSON, value: "population", vertices: 2 }), RangeError);
+});
+
+test("createContiguousCartogram equalises density while keeping shared boundaries", async () => {
+  // Four squares around a shared corner; A should end up holding half the area.
+  const block = collectionOf([["A", 0, 1, 3], ["B", 1, 1, 1], ["C", 0, 0, 1], ["D", 1, 0, 1]]
+    .map(([code, x, y, count]) => squareFeature({ code, count }, 500000 + x, 200000 + y)));
+  const areaOf = ({ geometry }) => Math.abs(signedRingArea(geometry.coordinates[0]));
+
+  const unchanged = createContiguousCartogram({ regularGeoJSON: block, value: "count", iterations: 0 });
+  assert.deepEqual(unchanged.features.map(({ geometry }) => geometry), block.features.map(({ geometry }) => geometry));
+  // A targets 2 square units and the others 2/3, so every area is off by half.
+  assert.ok(Math.abs(unchanged.cartogram.meanAreaError - 0.5) < 1e-9);
+
+  const result = createContiguousCartogram({ regularGeoJSON: block, value: "count", tolerance: 0.005, iterations: 200 });
+  assert.equal(result.cartogram.method, "contiguous");
+  assert.equal(result.cartogram.converged, true);
+  assert.ok(result.cartogram.iterations > 0);
+  assert.ok(result.cartogram.meanAreaError <= 0.005);
+  const areas = result.features.map(areaOf);
+  const total = areas.reduce((sum, area) => sum + area, 0);
+  assert.ok(Math.abs(areas[0] / total - 0.5) < 0.02, `A holds ${areas[0] / total} of the area`);
+
+  // The corner all four squares share is still shared, and so is every edge.
+  const positions = result.features.map(({ geometry }) => new Set(geometry.coordinates[0].map((point) => point.join(","))));
+  const sharedBy = (key) => positions.filter((set) => set.has(key)).length;
+  const [corner] = [...positions[0]].filter((key) => sharedBy(key) === 4);
+  assert.ok(corner, "the centre vertex is shared by all features");
+  assert.equal([...positions[0]].filter((key) => positions[1].has(key)).length, 2);
+  assert.equal([...positions[0]].filter((key) => positions[2].has(key)).length, 2);
+  assert.deepEqual(createContiguousCartogram({ regularGeoJSON: block, value: "count", tolerance: 0.005, iterations: 200 }), result);
+
+  // The Oxford geography morphs into its population cartogram.
+  const oxford = createContiguousCartogram({ regularGeoJSON, value: "population", iterations: 10 });
+  assert.equal(oxford.features.length, regularGeoJSON.features.length);
+  assert.equal(oxford.cartogram.iterations, 10);
+  const before = createContiguousCartogram({ regularGeoJSON, value: "population", iterations: 0 }).cartogram.meanAreaError;
+  assert.ok(oxford.cartogram.meanAreaError < before / 4);
+  const morpher = new GeoMorpher({ regularGeoJSON, cartogramGeoJSON: oxford, data: sampleData });
+  await morpher.prepare();
+  assert.equal(morpher.getInterpolatedFeatureCollection(0.5).features.length, regularGeoJSON.features.length);
+});
+
+test("Demers and Olson cartograms are generated from values and plug into GeoMorpher", async () => {
+  const boundsOf = ({ geometry }) => {
+    const xs = geometry.coordinates[0].map(([x]) => x);
+    const ys = geometry.coordinates[0].map(([, y]) => y);
+    return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+  };
+
+  const demers = createDemersCartogram({ regularGeoJSON, value: "population" });
+  assert.equal(demers.cartogram.method, "demers");
+  assert.equal(demers.cartogram.converged, true);
+  assert.equal(demers.features.length, regularGeoJSON.features.length);
+  const boxes = demers.features.map(boundsOf);
+  boxes.forEach(([minX, minY, maxX, maxY], index) => {
+    const { cartogram_side: side } = demers.features[index].properties;
+    assert.ok(Math.abs(maxX - minX - side) < 1e-6 && Math.abs(maxY - minY - side) < 1e-6, "cells are squares");
+  });
+  for (let i = 0; i < boxes.length; i += 1) {
+    for (let j = i + 1; j < boxes.length; j += 1) {
+      const overlapX = Math.min(boxes[i][2], boxes[j][2]) - Math.max(boxes[i][0], boxes[j][0]);
+      const overlapY = Math.min(boxes[i][3], boxes[j][3]) - Math.max(boxes[i][1], boxes[j][1]);
+      const allowed = 0.001 * Math.min(boxes[i][2] - boxes[i][0], boxes[j][2] - boxes[j][0]);
+      assert.ok(Math.min(overlapX, overlapY) < allowed, "squares do not overlap");
+    }
+  }
+  const [first, second] = demers.features;
+  assert.ok(Math.abs((second.properties.cartogram_side / first.properties.cartogram_side) ** 2
+    - second.properties.cartogram_value / first.properties.cartogram_value) < 1e-9);
+  assert.deepEqual(createDemersCartogram({ regularGeoJSON, value: "population" }), demers);
+
+  // Olson: the densest feature keeps its shape, the rest shrink about their anchors.
+  const olson = createOlsonCartogram({ regularGeoJSON, value: "population" });
+  assert.equal(olson.cartogram.method, "olson");
+  const scales = olson.features.map(({ properties }) => properties.cartogram_scale);
+  assert.equal(Math.max(...scales), 1);
+  assert.ok(scales.every((scale) => scale > 0 && scale <= 1));
+  const densest = scales.indexOf(1);
+  assert.deepEqual(olson.features[densest].geometry, regularGeoJSON.features[densest].geometry);
+  const shrunk = scales.indexOf(Math.min(...scales));
+  const [regularBox, olsonBox] = [regularGeoJSON.features[shrunk], olson.features[shrunk]].map(boundsOf);
+  const widthRatio = (olsonBox[2] - olsonBox[0]) / (regularBox[2] - regularBox[0]);
+  assert.ok(Math.abs(widthRatio - scales[shrunk]) < 1e-9);
+
+  // Generator descriptors work anywhere cartogram input is accepted.
+  const morpher = new GeoMorpher({
+    regularGeoJSON,
+    cartogramGeoJSON: { generator: "demers", value: "population" },
+    data: sampleData,
+  });
+  await morpher.prepare();
+  assert.equal(morpher.getCartogramFeatureCollection().features[0].geometry.coordinates[0].length, 5);
+  await morpher.setCartogram({ generator: "olson", value: "population" });
+  assert.equal(morpher.getCartogramFeatureCollection().features.length, regularGeoJSON.features.length);
+  await assert.rejects(() => morpher.setCartogram({ generator: "voronoi", value: "population" }), /Unknown cartogram generator/);
+});
@@ -0,0 +1,91 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { simplifyFeatureCollection, simplifyLine } from "../src/utils/simplify.js";
+import { validateFeatureCollection } from "../src/core/validation.js";
+
+// Two squares sharing a jagged vertical edge at x ≈ 1.
+const sharedEdge = Array.from({ length: 21 }, (_, index) => [1 + (index % 2 ? 0.001 : 0), index / 20]);
+
+const collection = {
+  type: "FeatureCollection",
+  features: [
+    {
+      type: "Feature",
+      properties: { id: "left" },
+      geometry: { type: "Polygon", coordinates: [[[0, 0], ...sharedEdge, [0, 1], [0, 0]]] },
+    },
+    {
+      type: "Feature",
+      properties: { id: "right" },
+      geometry: {
+        type: "Polygon",
+        coordinates: [[[2, 0], [2, 1], ...sharedEdge.slice().reverse(), [2, 0]]],
+      },
+    },
+  ],
+};
+
+const onSharedEdge = (ring) => ring.slice(0, -1).filter(([x, y]) => x >= 1 && x <= 1.001 && y >= 0 && y <= 1)
+  .map((point) => point.join(","))
+  .sort();
+
+for (const method of ["douglas-peucker", "visvalingam"]) {
+  test(`simplifyFeatureCollection (${method}) keeps shared boundaries coincident`, () => {
+    const simplified = simplifyFeatureCollection(collection, { tolerance: 0.01, method });
+    const [left, right] = simplified.features.map((feature) => feature.geometry.coordinates[0]);
+
+    assert.ok(left.length < collection.features[0].geometry.coordinates[0].length);
+    assert.deepEqual(left[0], left[left.length - 1]);
+    assert.deepEqual(onSharedEdge(left), onSharedEdge(right));
+    // Junctions where the shared edge meets the outer boundary survive.
+    assert.ok(onSharedEdge(left).includes("1,0") && onSharedEdge(left).includes("1,1"));
+    assert.equal(collection.features[0].geometry.coordinates[0].length, 24, "input must not be mutated");
+  });
+}
+
+// A thin band hugging a half disc; both share the inner arc.
+const semicircle = (radius, steps) => Array.from({ length: steps - 1 }, (_, index) => {
+  const angle = (Math.PI * (index + 1)) / steps;
+  return [radius * Math.cos(angle), radius * Math.sin(angle)];
+});
+const innerArc = semicircle(1, 20);
+const bandCollection = {
+  type: "FeatureCollection",
+  features: [
+    {
+      type: "Feature",
+      properties: { code: "band" },
+      geometry: {
+        type: "Polygon",
+        coordinates: [[[1, 0], [1.05, 0], ...semicircle(1.05, 7), [-1.05, 0], [-1, 0], ...innerArc.slice().reverse(), [1, 0]]],
+      },
+    },
+    {
+      type: "Feature",
+      properties: { code: "disc" },
+      geometry: { type: "Polygon", coordinates: [[[-1, 0], [1, 0], ...innerArc, [-1, 0]]] },
+    },
+  ],
+};
+
+const onInnerArc = (ring) => ring.slice(0, -1).filter(([x, y]) => y > 0 && Math.abs(Math.hypot(x, y) - 1) < 1e-9)
+  .map((point) => point.join(","))
+  .sort();
+
+for (const method of ["douglas-peucker", "visvalingam"]) {
+  test(`simplifyFeatureCollection (${method}) restores vertices instead of crossing a narrow neighbour`, () => {
+    const simplified = simplifyFeatureCollection(bandCollection, { tolerance: 0.3, method });
+    const [band, disc] = simplified.features.map((feature) => feature.geometry.coordinates[0]);
+
+    assert.deepEqual(validateFeatureCollection(simplified).issues, {});
+    assert.ok(band.length < bandCollection.features[0].geometry.coordinates[0].length);
+    assert.deepEqual(onInnerArc(band), onInnerArc(disc));
+  });
+}
+
+test("simplifyLine keeps endpoints and rejects unknown methods", () => {
+  const line = [[0, 0], [1, 0.001], [2, 0], [3, 5], [4, 0]];
+  assert.deepEqual(simplifyLine(line, 0.1), [[0, 0], [2, 0], [3, 5], [4, 0]]);
+  assert.deepEqual(simplifyLine(line, 0), line);
+  assert.throws(() => simplifyLine(line, 1, "nope"), /Unknown simplification method/);
+});
@@ -0,0 +1,164 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { dirname, resolve } from "node:path";
+import { Worker } from "node:worker_threads";
+import { GeoMorpher } from "../src/index.js";
+import { prepareInWorker } from "../src/worker/prepareInWorker.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const loadJSON = async (relativePath) => {
+  const raw = await readFile(resolve(__dirname, "..", relativePath), "utf8");
+  return JSON.parse(raw);
+};
+
+const [regularGeoJSON, cartogramGeoJSON] = await Promise.all([
+  loadJSON("data/oxford_lsoas_regular.json"),
+  loadJSON("data/oxford_lsoas_cartogram.json"),
+]);
+
+test("prepareInWorker prepares a morpher in worker_threads with progress", async () => {
+  const progress = [];
+  const morpher = await prepareInWorker(
+    {
+      regularGeoJSON,
+      cartogramGeoJSON,
+      getData: async () => [{ lsoa: "E01028513", population: 1000 }],
+      aggregations: { population: "sum" },
+    },
+    { onProgress: (event) => progress.push(event) }
+  );
+
+  assert.ok(morpher instanceof GeoMorpher);
+  assert.ok(morpher.isPrepared());
+
+  const { total } = progress[progress.length - 1];
+  assert.equal(total, regularGeoJSON.features.length);
+  assert.equal(progress[progress.length - 1].processed, total);
+  assert.ok(progress.every((event, index) => index === 0 || event.processed >= progress[index - 1].processed));
+
+  const local = new GeoMorpher({
+    regularGeoJSON,
+    cartogramGeoJSON,
+    data: [{ lsoa: "E01028513", population: 1000 }],
+    aggregations: { population: "sum" },
+  });
+  await local.prepare();
+
+  assert.deepEqual(morpher.getInterpolatedFeatureCollection(0.4), local.getInterpolatedFeatureCollection(0.4));
+});
+
+test("prepareInWorker restores the morpher with the caller's options", async () => {
+  const data = [{ lsoa: "E01028513", population: 1000 }];
+  const codes = regularGeoJSON.features.slice(0, 20).map(({ properties }) => properties.code);
+  const options = {
+    regularGeoJSON,
+    cartogramGeoJSON,
+    data,
+    easing: "cubic",
+    centroidPath: "arc",
+    selection: codes,
+    weightProperty: "population",
+  };
+
+  const morpher = await prepareInWorker(options);
+  const local = new GeoMorpher(options);
+  await local.prepare();
+
+  assert.equal(morpher.easing, "cubic");
+  assert.equal(morpher.centroidPath, "arc");
+  assert.deepEqual(morpher.selection, codes);
+  assert.equal(morpher.weightProperty, "population");
+  assert.deepEqual(morpher.data, data);
+  assert.deepEqual(morpher.getInterpolatedFeatureCollection(0.3), local.getInterpolatedFeatureCollection(0.3));
+  assert.deepEqual(morpher.getDiagnostics(), local.getDiagnostics());
+});
+
+test("prepareInWorker keeps function morph options on the calling thread", async () => {
+  const easing = (t) => t * t;
+  const selection = (properties, code) => code.endsWith("1");
+  const options = { regularGeoJSON, cartogramGeoJSON, easing, selection };
+
+  const morpher = await prepareInWorker(options);
+  const local = new GeoMorpher(options);
+  await local.prepare();
+
+  assert.equal(morpher.easing, easing);
+  assert.equal(morpher.selection, selection);
+  assert.deepEqual(morpher.getInterpolatedFeatureCollection(0.6), local.getInterpolatedFeatureCollection(0.6));
+});
+
+test("prepareInWorker honours AbortSignal", async () => {
+  const aborted = new AbortController();
+  aborted.abort();
+  await assert.rejects(
+    prepareInWorker({ regularGeoJSON, cartogramGeoJSON }, { signal: aborted.signal }),
+    { name: "AbortError" }
+  );
+
+  const controller = new AbortController();
+  await assert.rejects(
+    prepareInWorker(
+      { regularGeoJSON, cartogramGeoJSON },
+      { signal: controller.signal, onProgress: () => controller.abort() }
+    ),
+    { name: "AbortError" }
+  );
+});
+
+test("prepareInWorker aborts a caller-supplied worker without terminating it", async () => {
+  const worker = new Worker(new URL("../src/worker/prepareWorker.js", import.meta.url));
+  const messages = [];
+  worker.on("message", (message) => messages.push(message));
+
+  try {
+    const controller = new AbortController();
+    await assert.rejects(
+      prepareInWorker(
+        { regularGeoJSON, cartogramGeoJSON },
+        { worker, signal: controller.signal, onProgress: () => controller.abort() }
+      ),
+      { name: "AbortError" }
+    );
+    const [{ id }] = messages;
+
+    // The worker stops building instead of finishing and posting a result.
+    const morpher = await prepareInWorker({ regularGeoJSON, cartogramGeoJSON }, { worker });
+    assert.ok(morpher.isPrepared());
+    const abortedJob = messages.filter((message) => message.id === id);
+    assert.ok(abortedJob.every(({ type }) => type === "progress"));
+    assert.ok(abortedJob[abortedJob.length - 1].processed < regularGeoJSON.features.length);
+  } finally {
+    await worker.terminate();
+  }
+});
+
+test("prepareInWorker surfaces worker errors and rejects custom projections", async () => {
+  await assert.rejects(
+    prepareInWorker({ regularGeoJSON, cartogramGeoJSON: 42 }),
+    /Unsupported cartogram input format/
+  );
+
+  await assert.rejects(
+    prepareInWorker({ regularGeoJSON, cartogramGeoJSON, projection: { toGeo: (point) => point } }),
+    TypeError
+  );
+});
+
+test("GeoMorpher.prepare reports progress and can be aborted in-thread", async () => {
+  const morpher = new GeoMorpher({ regularGeoJSON, cartogramGeoJSON });
+  const controller = new AbortController();
+
+  await assert.rejects(
+    morpher.prepare({
+      signal: controller.signal,
+      onProgress: ({ processed }) => {
+        if (processed === 5) controller.abort();
+      },
+    }),
+    { name: "AbortError" }
+  );
+  assert.equal(morpher.isPrepared(), false);
+});